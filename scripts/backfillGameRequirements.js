@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+const Game = require("../src/models/Game");
+const { PARSER_VERSION } = require("../src/utils/systemRequirements");
+require("dotenv").config();
+
+// Parse the free-text requirements of games saved before they were parsed,
+// or parsed by an older parser, so the maxMemory and maxStorage filters
+// see them
+async function backfillGameRequirements() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const games = await Game.find({
+      "requirements.parserVersion": { $ne: PARSER_VERSION },
+    }).setOptions({ withDeleted: true }); // Trashed games too
+    console.log(`Found ${games.length} games without up to date requirements`);
+
+    let updatedCount = 0;
+
+    for (const game of games) {
+      // The model parses the requirements on save
+      await game.save();
+      updatedCount++;
+      console.log(
+        `${game.title} -> ${
+          game.requirements.minimum ? "parsed" : "no requirements"
+        }`
+      );
+    }
+
+    console.log(`\nBackfill complete! Updated ${updatedCount} games.`);
+  } catch (error) {
+    console.error("Backfill failed:", error);
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the backfill
+backfillGameRequirements();
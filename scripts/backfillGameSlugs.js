@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+const Game = require("../src/models/Game");
+require("dotenv").config();
+
+// Give games created before slugs existed their slug
+async function backfillGameSlugs() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const games = await Game.find({ slug: { $exists: false } })
+      .setOptions({ withDeleted: true }) // Trashed games too
+      .sort({
+        createdAt: 1, // Older games keep the plain slug on collisions
+      });
+    console.log(`Found ${games.length} games without a slug`);
+
+    let updatedCount = 0;
+
+    for (const game of games) {
+      // The model generates the slug on save
+      await game.save();
+      updatedCount++;
+      console.log(`${game.title} -> ${game.slug}`);
+    }
+
+    console.log(`\nBackfill complete! Updated ${updatedCount} games.`);
+  } catch (error) {
+    console.error("Backfill failed:", error);
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the backfill
+backfillGameSlugs();
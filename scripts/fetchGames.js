@@ -5,10 +5,11 @@
  *
  * Usage:
  *   node scripts/fetchGames.js
- *   npm run sync-games
+ *   npm run fetch-games
+ *   npm run fetch-games -- --dry-run
  *
  * Features:
- * - Fetches all games from API
+ * - Fetches all games from API (GAME_API_BASE_URL, see GameSyncService)
  * - Updates existing games or creates new ones
  * - Preserves user ratings and reviews
  * - Provides detailed logging and error reporting
@@ -17,6 +18,40 @@
 
 require("dotenv").config();
 const mongoose = require("mongoose");
+const SyncRunService = require("../src/services/syncRunService");
+
+// Run the sync and print its report. Pass --dry-run to see what would
+// change without saving anything.
+const syncGames = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  console.log(`🔄 Syncing games${dryRun ? " (dry run)" : ""}...`);
+
+  // Recorded in the sync history and locked like scheduled runs
+  const { done } = await SyncRunService.startSync({
+    trigger: "script",
+    dryRun,
+  });
+  const run = await done;
+
+  console.log(`📡 Source: ${run.source} (${run.pages} pages)`);
+  console.log(
+    `📊 ${run.total} games: ${run.created} created, ${run.updated} updated, ${run.unchanged} unchanged, ${run.failed} failed`
+  );
+  run.failures.forEach((failure) =>
+    console.warn(
+      `⚠️  ${failure.title || "Unknown game"} (${failure.externalId}): ${
+        failure.error
+      }`
+    )
+  );
+  console.log(`⏱️  Finished in ${run.durationMs}ms`);
+
+  if (run.status === "failed") {
+    throw new Error(run.error);
+  }
+  return run;
+};
+
 // Connect to database
 const connectDB = async () => {
   try {
@@ -63,6 +98,7 @@ const main = async () => {
   try {
     await connectDB();
     await syncGames();
+    await mongoose.connection.close();
   } catch (error) {
     console.error("💥 Fatal error:", error.message);
     process.exit(1);
@@ -75,5 +111,5 @@ if (require.main === module) {
 }
 
 module.exports = {
-  syncGames: main,
+  syncGames,
 };
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+const User = require("../src/models/User");
+require("dotenv").config();
+
+// Move legacy googleId values into the provider-agnostic identities list
+async function migrateIdentities() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    // Find users that still rely on the legacy googleId field
+    const users = await User.find({
+      googleId: { $exists: true, $ne: null },
+      "identities.provider": { $ne: "google" },
+    });
+    console.log(`Found ${users.length} users to migrate`);
+
+    let updatedCount = 0;
+
+    for (const user of users) {
+      user.identities.push({
+        provider: "google",
+        providerId: user.googleId,
+        email: user.email,
+        emailVerified: true,
+        linkedAt: user.createdAt,
+      });
+      user.googleId = undefined;
+      // Google verified these addresses when the accounts were created
+      user.emailVerified = true;
+
+      await user.save();
+      updatedCount++;
+      console.log(`Migrated user: ${user.name} (${user._id})`);
+    }
+
+    console.log(`\nMigration complete! Updated ${updatedCount} users.`);
+  } catch (error) {
+    console.error("Migration failed:", error);
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the migration
+migrateIdentities();
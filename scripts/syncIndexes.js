@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+const Game = require("../src/models/Game");
+require("dotenv").config();
+
+// Bring the games collection indexes in line with the schema. Needed after
+// changing the text index, which MongoDB can't have two of.
+async function syncIndexes() {
+  try {
+    // Connect to MongoDB
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("Connected to MongoDB");
+
+    const dropped = await Game.syncIndexes();
+    console.log(
+      dropped.length > 0
+        ? `Dropped outdated indexes: ${dropped.join(", ")}`
+        : "No outdated indexes found"
+    );
+
+    console.log("\nIndex sync complete!");
+  } catch (error) {
+    console.error("Index sync failed:", error);
+  } finally {
+    await mongoose.disconnect();
+    console.log("Disconnected from MongoDB");
+  }
+}
+
+// Run the sync
+syncIndexes();
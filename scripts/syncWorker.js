@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+/**
+ * Game Sync Worker
+ *
+ * Usage:
+ *   GAME_SYNC_INTERVAL_HOURS=6 npm run sync-worker
+ *
+ * Runs the scheduled game catalogue sync outside the API server (set
+ * GAME_SYNC_IN_SERVER=false on the servers). Several workers and servers
+ * can run the scheduler at once, a lock lets only one of them sync.
+ */
+
+require("dotenv").config();
+const mongoose = require("mongoose");
+const SyncRunService = require("../src/services/syncRunService");
+
+const main = async () => {
+  const interval = SyncRunService.getScheduleInterval();
+  if (!interval) {
+    console.error("❌ Set GAME_SYNC_INTERVAL_HOURS to schedule game syncs");
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log("🗃️  MongoDB Connected for game sync worker");
+  } catch (error) {
+    console.error("❌ MongoDB connection failed:", error.message);
+    process.exit(1);
+  }
+
+  SyncRunService.startScheduler(interval);
+  console.log(
+    `🔄 Syncing games every ${process.env.GAME_SYNC_INTERVAL_HOURS} hours`
+  );
+};
+
+// Stop scheduling and disconnect; an unfinished run is marked as
+// interrupted by the next one
+const shutdown = async () => {
+  console.log("\n🛑 Stopping game sync worker...");
+  SyncRunService.stopScheduler();
+  await mongoose.connection.close();
+  process.exit(0);
+};
+
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
+
+main();
@@ -1,12 +1,36 @@
 require("dotenv").config();
 const app = require("./src/app");
 const connectDB = require("./src/config/database");
+const SyncRunService = require("./src/services/syncRunService");
+const GameTrashService = require("./src/services/gameTrashService");
+const GamePublicationService = require("./src/services/gamePublicationService");
+const EmailService = require("./src/services/emailService");
 
 const PORT = process.env.PORT || 5000;
 
+// Verification and password reset emails must be delivered in production
+if (process.env.NODE_ENV === "production" && !EmailService.isConfigured()) {
+  console.error("❌ SMTP_URL must be set in production to send emails");
+  process.exit(1);
+}
+
 // Connect to database
 connectDB();
 
+// Scheduled game catalogue sync (GAME_SYNC_INTERVAL_HOURS). Can also run
+// in a separate worker with `npm run sync-worker`, only one instance syncs
+// at a time either way.
+const syncInterval = SyncRunService.getScheduleInterval();
+if (syncInterval && process.env.GAME_SYNC_IN_SERVER !== "false") {
+  SyncRunService.startScheduler(syncInterval);
+}
+
+// Purge games that outlived their time in the trash
+GameTrashService.startPurgeScheduler();
+
+// Publish scheduled games once their publishAt has passed
+GamePublicationService.startScheduler();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 GameHub API server running on port ${PORT}`);
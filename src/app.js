@@ -2,7 +2,7 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
-const passport = require("./config/googleAuth");
+const passport = require("./config/passport");
 
 const app = express();
 
@@ -53,7 +53,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-  allowedHeaders: ["Content-Type", "Authorization"],
+  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+  exposedHeaders: ["X-Impersonated-By"],
 };
 app.use(cors(corsOptions));
 
@@ -85,29 +86,58 @@ app.get("/api", (req, res) => {
       auth: {
         base: "/api/auth",
         endpoints: [
-          "GET /api/auth/google - Initiate Google OAuth",
-          "GET /api/auth/google/callback - Google OAuth callback",
+          "GET /api/auth/providers - List OAuth sign-in providers",
+          "GET /api/auth/:provider - Initiate OAuth (google, github, discord)",
+          "GET /api/auth/:provider/callback - OAuth callback",
+          "POST /api/auth/exchange - Exchange one-time code for tokens",
+          "POST /api/auth/register - Register with email and password",
+          "POST /api/auth/login - Login with email and password",
+          "POST /api/auth/verify-email - Verify email address",
+          "POST /api/auth/verify-email/resend - Resend verification email",
+          "POST /api/auth/password/forgot - Request password reset email",
+          "POST /api/auth/password/reset - Reset password",
+          "PUT /api/auth/password - Add or change password (Protected)",
+          "GET /api/auth/2fa - Two-factor status (Protected)",
+          "POST /api/auth/2fa/setup - Start two-factor enrolment (Protected)",
+          "POST /api/auth/2fa/enable - Enable two-factor authentication (Protected)",
+          "POST /api/auth/2fa/verify - Complete a two-factor sign-in challenge",
+          "POST /api/auth/2fa/step-up - Verify two-factor for this session (Protected)",
+          "POST /api/auth/2fa/recovery-codes - Regenerate recovery codes (Protected)",
+          "POST /api/auth/2fa/disable - Disable two-factor authentication (Protected)",
           "POST /api/auth/refresh - Refresh access token",
           "POST /api/auth/logout - Logout user (Protected)",
+          "GET /api/auth/sessions - List active sessions (Protected)",
+          "DELETE /api/auth/sessions - Sign out everywhere (Protected)",
+          "DELETE /api/auth/sessions/:id - Revoke a session (Protected)",
           "GET /api/auth/me - Get current user (Protected)",
+          "GET /api/auth/identities - List linked providers (Protected)",
+          "POST /api/auth/identities/:provider/link - Link a provider (Protected)",
+          "DELETE /api/auth/identities/:provider - Unlink a provider (Protected)",
         ],
       },
       games: {
         base: "/api/games",
         endpoints: [
           "GET /api/games - Get paginated games with filters",
-          "GET /api/games/:id - Get single game details",
+          "GET /api/games/autocomplete?q= - Typo-tolerant title suggestions",
+          "GET /api/games/:idOrSlug - Get single game details by ID or slug",
           "GET /api/games/filters/metadata - Get filter options",
           "GET /api/games/stats - Get game statistics",
           "GET /api/games/search/advanced - Advanced search",
         ],
         filters: [
-          "?category={genre} - Filter by game genre",
-          "?platform={platform} - Filter by platform",
+          "?category={genre} - Filter by game genres (repeated or comma-separated, genreMatch=all to require all)",
+          "?platform={platform} - Filter by platforms (repeated or comma-separated, platformMatch=all to require all)",
+          "?publisher={name}&developer={name} - Filter by exact publisher or developer",
+          "?-genre={genre} - Exclude genres, also -platform, -publisher and -developer",
+          "?releaseFrom={date}&releaseTo={date} - Release date range (year, YYYY-MM or YYYY-MM-DD)",
+          "?minRating={0-5}&minReviews={num} - Minimum rating and review count",
           "?sort-by={sort} - Sort by (release-date, alphabetical, rating, relevance)",
           "?tag={tags} - Filter by tags (dot-separated)",
           "?search={query} - Search in title and description",
           "?page={num}&limit={num} - Pagination",
+          "?cursor={nextCursor}&limit={num} - Cursor pagination, empty cursor for the first page",
+          "?facets=true - Include per-facet counts for the current filters",
         ],
       },
       users: {
@@ -117,6 +147,9 @@ app.get("/api", (req, res) => {
           "PUT /api/users/profile - Update user profile (Protected)",
           "POST /api/users/avatar - Upload user avatar to Cloudinary (Protected)",
           "DELETE /api/users/avatar - Delete user avatar from Cloudinary (Protected)",
+          "GET /api/users/api-keys - List API keys (Protected)",
+          "POST /api/users/api-keys - Create an API key (Protected)",
+          "DELETE /api/users/api-keys/:id - Revoke an API key (Protected)",
         ],
         notes: [
           "Avatar uploads are processed via Cloudinary CDN",
@@ -124,6 +157,7 @@ app.get("/api", (req, res) => {
           "Supports: JPG, JPEG, PNG, GIF, WEBP formats",
           "Maximum file size: 5MB per upload",
           "Images are automatically resized to 400x400px",
+          "API keys are sent in the X-API-Key header and limited to their scopes (games:read, games:write, reviews:moderate, stats:read)",
         ],
       },
       reviews: {
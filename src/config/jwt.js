@@ -1,27 +1,103 @@
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
+const { JWT, IMPERSONATION } = require("../utils/constants");
+
+// Refresh tokens are signed with their own secret so they can never be
+// replayed as access tokens. Falls back to JWT_SECRET for existing deployments.
+const getRefreshSecret = () =>
+  process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
 
 const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
     expiresIn: process.env.JWT_EXPIRE,
+    jwtid: crypto.randomUUID(), // Lets a single access token be denylisted
   });
 };
 
 const verifyToken = (token) => {
+  let decoded;
   try {
-    return jwt.verify(token, process.env.JWT_SECRET);
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (error) {
     throw new Error("Invalid token");
   }
+
+  // Reject refresh and OAuth state tokens presented as access tokens
+  if (decoded.type) {
+    throw new Error("Invalid token");
+  }
+
+  return decoded;
+};
+
+// Short-lived access token acting as another user. Marked with the
+// impersonation session id (imp) and the acting superadmin (act.sub).
+const generateImpersonationToken = (payload, impersonationId, actorId) => {
+  return jwt.sign(
+    {
+      ...payload,
+      imp: impersonationId.toString(),
+      act: { sub: actorId.toString() },
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: IMPERSONATION.TOKEN_EXPIRE_SECONDS,
+      jwtid: crypto.randomUUID(),
+    }
+  );
 };
 
 const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: "30d", // Refresh tokens last longer
+  return jwt.sign({ ...payload, type: "refresh" }, getRefreshSecret(), {
+    expiresIn: process.env.JWT_REFRESH_EXPIRE || JWT.REFRESH_TOKEN_EXPIRE,
+    jwtid: crypto.randomUUID(), // Makes every issued refresh token unique
   });
 };
 
+const verifyRefreshToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, getRefreshSecret());
+  } catch (error) {
+    throw new Error("Invalid token");
+  }
+
+  if (decoded.type !== "refresh") {
+    throw new Error("Invalid token");
+  }
+
+  return decoded;
+};
+
+// Short-lived signed OAuth "state" parameter, carries PKCE data through
+// the provider redirect and protects the callback against forged requests
+const generateStateToken = (payload) => {
+  return jwt.sign({ ...payload, type: "state" }, process.env.JWT_SECRET, {
+    expiresIn: "10m",
+  });
+};
+
+const verifyStateToken = (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new Error("Invalid state");
+  }
+
+  if (decoded.type !== "state") {
+    throw new Error("Invalid state");
+  }
+
+  return decoded;
+};
+
 module.exports = {
   generateToken,
   verifyToken,
+  generateImpersonationToken,
   generateRefreshToken,
+  verifyRefreshToken,
+  generateStateToken,
+  verifyStateToken,
 };
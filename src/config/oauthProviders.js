@@ -0,0 +1,119 @@
+const axios = require("axios");
+
+// Fetch a JSON resource from a provider API with the user's access token
+const fetchJson = async (url, accessToken) => {
+  const response = await axios.get(url, {
+    headers: {
+      Authorization: `Bearer ${accessToken}`,
+      Accept: "application/json",
+      "User-Agent": "GameHub", // Required by the GitHub API
+    },
+  });
+  return response.data;
+};
+
+// Supported OAuth providers. Every URL can be overridden through the
+// environment (e.g. GITHUB_TOKEN_URL) to point at a local fake OAuth server.
+// fetchProfile resolves to a normalised profile:
+// { id, name, email, emailVerified, avatar }
+const PROVIDERS = {
+  google: {
+    displayName: "Google",
+    authorizationURL: "https://accounts.google.com/o/oauth2/v2/auth",
+    tokenURL: "https://oauth2.googleapis.com/token",
+    profileURL: "https://openidconnect.googleapis.com/v1/userinfo",
+    scope: ["openid", "profile", "email"],
+    fetchProfile: async (accessToken, urls) => {
+      const json = await fetchJson(urls.profileURL, accessToken);
+      return {
+        id: String(json.sub),
+        name: json.name,
+        email: json.email,
+        emailVerified: json.email_verified === true,
+        avatar: json.picture || null,
+      };
+    },
+  },
+  github: {
+    displayName: "GitHub",
+    authorizationURL: "https://github.com/login/oauth/authorize",
+    tokenURL: "https://github.com/login/oauth/access_token",
+    profileURL: "https://api.github.com/user",
+    emailsURL: "https://api.github.com/user/emails",
+    scope: ["read:user", "user:email"],
+    fetchProfile: async (accessToken, urls) => {
+      const [json, emails] = await Promise.all([
+        fetchJson(urls.profileURL, accessToken),
+        fetchJson(urls.emailsURL, accessToken),
+      ]);
+      // The public profile email is not necessarily verified
+      const primary = (emails || []).find((e) => e.primary && e.verified);
+      return {
+        id: String(json.id),
+        name: json.name || json.login,
+        email: primary ? primary.email : null,
+        emailVerified: !!primary,
+        avatar: json.avatar_url || null,
+      };
+    },
+  },
+  discord: {
+    displayName: "Discord",
+    authorizationURL: "https://discord.com/oauth2/authorize",
+    tokenURL: "https://discord.com/api/oauth2/token",
+    profileURL: "https://discord.com/api/users/@me",
+    scope: ["identify", "email"],
+    fetchProfile: async (accessToken, urls) => {
+      const json = await fetchJson(urls.profileURL, accessToken);
+      return {
+        id: String(json.id),
+        name: json.global_name || json.username,
+        email: json.email || null,
+        emailVerified: json.verified === true,
+        avatar: json.avatar
+          ? `https://cdn.discordapp.com/avatars/${json.id}/${json.avatar}.png`
+          : null,
+      };
+    },
+  },
+};
+
+// Resolve a provider's configuration from the environment
+const getProviderConfig = (name) => {
+  const provider = Object.hasOwn(PROVIDERS, name) ? PROVIDERS[name] : null;
+  if (!provider) {
+    return null;
+  }
+
+  const prefix = name.toUpperCase();
+  const env = (key) => process.env[`${prefix}_${key}`];
+  const apiURL = process.env.API_URL || "http://localhost:5000";
+
+  return {
+    ...provider,
+    name,
+    clientID: env("CLIENT_ID"),
+    clientSecret: env("CLIENT_SECRET"),
+    callbackURL: env("CALLBACK_URL") || `${apiURL}/api/auth/${name}/callback`,
+    authorizationURL: env("AUTHORIZATION_URL") || provider.authorizationURL,
+    tokenURL: env("TOKEN_URL") || provider.tokenURL,
+    profileURL: env("PROFILE_URL") || provider.profileURL,
+    emailsURL: env("EMAILS_URL") || provider.emailsURL,
+  };
+};
+
+// A provider is enabled once its client credentials are configured
+const isProviderEnabled = (name) => {
+  const config = getProviderConfig(name);
+  return !!(config && config.clientID && config.clientSecret);
+};
+
+const getEnabledProviders = () =>
+  Object.keys(PROVIDERS).filter(isProviderEnabled).map(getProviderConfig);
+
+module.exports = {
+  PROVIDERS,
+  getProviderConfig,
+  isProviderEnabled,
+  getEnabledProviders,
+};
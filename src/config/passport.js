@@ -0,0 +1,51 @@
+const passport = require("passport");
+const OAuth2Strategy = require("passport-oauth2");
+const User = require("../models/User");
+const { getEnabledProviders } = require("./oauthProviders");
+
+// Register one OAuth2 strategy per configured provider. Strategies only
+// resolve the normalised provider profile; deciding whether it signs in,
+// creates or links an account is left to the auth controller.
+getEnabledProviders().forEach((provider) => {
+  const strategy = new OAuth2Strategy(
+    {
+      authorizationURL: provider.authorizationURL,
+      tokenURL: provider.tokenURL,
+      clientID: provider.clientID,
+      clientSecret: provider.clientSecret,
+      callbackURL: provider.callbackURL,
+      scope: provider.scope,
+    },
+    (accessToken, refreshToken, profile, done) => done(null, profile)
+  );
+
+  strategy.name = provider.name;
+  strategy.userProfile = (accessToken, done) => {
+    provider
+      .fetchProfile(accessToken, provider)
+      .then((profile) => done(null, { provider: provider.name, ...profile }))
+      .catch((error) => {
+        console.error(`${provider.displayName} profile error:`, error.message);
+        done(error);
+      });
+  };
+
+  passport.use(provider.name, strategy);
+});
+
+// Serialize user for session
+passport.serializeUser((user, done) => {
+  done(null, user._id);
+});
+
+// Deserialize user from session
+passport.deserializeUser(async (id, done) => {
+  try {
+    const user = await User.findById(id);
+    done(null, user);
+  } catch (error) {
+    done(error, null);
+  }
+});
+
+module.exports = passport;
@@ -0,0 +1,116 @@
+const { validationResult } = require("express-validator");
+const ApiKeyService = require("../services/apiKeyService");
+const {
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  TWO_FACTOR,
+} = require("../utils/constants");
+
+/**
+ * List the current user's API keys
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const keys = await ApiKeyService.listKeys({ userId: req.user._id });
+
+    res.json({
+      success: true,
+      data: keys,
+    });
+  } catch (error) {
+    console.error("Get API keys error:", error);
+    res.status(500).json({
+      error: "Failed to get API keys",
+      message: "An error occurred while fetching API keys",
+    });
+  }
+};
+
+/**
+ * Create an API key for the current user
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: ERROR_MESSAGES.VALIDATION_ERROR,
+        message: errors.array()[0].msg,
+        details: errors.array(),
+      });
+    }
+
+    // Admin keys skip two-factor checks, so they must come from a
+    // session that passed them
+    if (
+      TWO_FACTOR.REQUIRED_ROLES.includes(req.user.role) &&
+      !req.authSession?.mfaVerifiedAt
+    ) {
+      return res.status(403).json({
+        error: ERROR_MESSAGES.AUTH_2FA_VERIFICATION_REQUIRED,
+        message: "Verify your two-factor code for this session first",
+      });
+    }
+
+    const { apiKey, key } = await ApiKeyService.createKey(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: SUCCESS_MESSAGES.API_KEY_CREATED,
+      data: { ...apiKey, key },
+    });
+  } catch (error) {
+    console.error("Create API key error:", error);
+
+    if (
+      [
+        ERROR_MESSAGES.API_KEY_SCOPE_NOT_ALLOWED,
+        ERROR_MESSAGES.API_KEY_LIMIT_REACHED,
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({
+        error: error.message,
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to create API key",
+      message: "An error occurred while creating the API key",
+    });
+  }
+};
+
+/**
+ * Revoke one of the current user's API keys
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    await ApiKeyService.revokeKey(req.params.id, req.user._id);
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.API_KEY_REVOKED,
+    });
+  } catch (error) {
+    console.error("Revoke API key error:", error);
+
+    if (error.message === ERROR_MESSAGES.API_KEY_NOT_FOUND) {
+      return res.status(404).json({
+        error: error.message,
+        message: "No active API key with this ID exists for your account",
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to revoke API key",
+      message: "An error occurred while revoking the API key",
+    });
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+};
@@ -1,64 +1,770 @@
 const passport = require("passport");
-require("../config/googleAuth");
+require("../config/passport");
 const {
-  generateToken,
-  generateRefreshToken,
-  verifyToken,
-} = require("../config/jwt");
+  getEnabledProviders,
+  isProviderEnabled,
+} = require("../config/oauthProviders");
+const { generateStateToken, verifyStateToken } = require("../config/jwt");
+const TokenService = require("../services/tokenService");
+const SessionService = require("../services/sessionService");
+const AuthCodeService = require("../services/authCodeService");
+const LocalAuthService = require("../services/localAuthService");
+const IdentityService = require("../services/identityService");
+const TwoFactorService = require("../services/twoFactorService");
+const ModerationService = require("../services/moderationService");
 const User = require("../models/User");
+const { validationResult } = require("express-validator");
+const { ERROR_MESSAGES, SUCCESS_MESSAGES } = require("../utils/constants");
 
-// Google OAuth login
-const googleAuth = (req, res, next) => {
-  passport.authenticate("google", {
-    scope: ["profile", "email"],
+// Client page that receives the result of linking a provider
+const ACCOUNT_SETTINGS_PATH = "/settings/accounts";
+
+// Errors from provider sign-in that are safe to show to the user
+const PROVIDER_ERRORS = [
+  ERROR_MESSAGES.AUTH_PROVIDER_EMAIL_REQUIRED,
+  ERROR_MESSAGES.AUTH_PROVIDER_EMAIL_UNVERIFIED,
+  ERROR_MESSAGES.AUTH_IDENTITY_IN_USE,
+];
+
+// Redirect back to a client page with an error message
+const redirectWithError = (res, message, path = "/login") => {
+  const clientURL = process.env.CLIENT_URL || "http://localhost:3000";
+  return res.redirect(
+    `${clientURL}${path}?error=${encodeURIComponent(message)}`
+  );
+};
+
+// Finish a first-factor sign-in: banned users are refused, users with
+// two-factor authentication get a short-lived challenge to complete at
+// /api/auth/2fa/verify, everyone else gets a new session straight away
+const completeSignIn = async (req, res, user, message) => {
+  if (user.getModerationStatus() === "banned") {
+    return res.status(403).json({
+      error: ERROR_MESSAGES.ACCOUNT_BANNED,
+      message: "This account has been banned",
+      moderation: ModerationService.describe(user),
+    });
+  }
+
+  if (user.twoFactorEnabled) {
+    return res.json({
+      success: true,
+      message: ERROR_MESSAGES.AUTH_2FA_REQUIRED,
+      twoFactorRequired: true,
+      challengeToken: generateStateToken({
+        purpose: "2fa",
+        userId: user._id.toString(),
+      }),
+    });
+  }
+
+  const { accessToken, refreshToken, expiresIn } =
+    await SessionService.startSession(user, req);
+
+  res.json({
+    success: true,
+    message,
+    tokens: {
+      accessToken,
+      refreshToken,
+      expiresIn,
+    },
+  });
+};
+
+// Respond 404 for providers that are unknown or not configured
+const sendProviderNotAvailable = (res, provider) =>
+  res.status(404).json({
+    error: ERROR_MESSAGES.AUTH_PROVIDER_NOT_AVAILABLE,
+    message: `Sign in with "${provider}" is not available`,
+  });
+
+// List the sign-in providers configured on this server
+const getProviders = async (req, res) => {
+  res.json({
+    success: true,
+    data: getEnabledProviders().map((provider) => ({
+      name: provider.name,
+      displayName: provider.displayName,
+      url: `/api/auth/${provider.name}`,
+    })),
+  });
+};
+
+// OAuth login (or account linking when a link_token is given)
+// Optional PKCE parameters (code_challenge, code_challenge_method) are carried
+// through the signed state and checked when the code is exchanged
+const oauthAuth = (req, res, next) => {
+  const { provider } = req.params;
+  if (!isProviderEnabled(provider)) {
+    return sendProviderNotAvailable(res, provider);
+  }
+
+  let pkce;
+  try {
+    pkce = AuthCodeService.normalizePkce(
+      req.query.code_challenge,
+      req.query.code_challenge_method
+    );
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid PKCE parameters",
+      message:
+        "code_challenge must be 43-128 characters and code_challenge_method S256 or plain",
+    });
+  }
+
+  let linkUserId = null;
+  if (req.query.link_token) {
+    try {
+      const linkToken = verifyStateToken(req.query.link_token);
+      if (linkToken.purpose !== "link" || linkToken.provider !== provider) {
+        throw new Error("Invalid state");
+      }
+      linkUserId = linkToken.userId;
+    } catch (error) {
+      return res.status(400).json({
+        error: "Invalid link token",
+        message: "The link request is invalid or expired, please try again",
+      });
+    }
+  }
+
+  passport.authenticate(provider, {
+    session: false,
+    state: generateStateToken({ pkce, linkUserId }),
   })(req, res, next);
 };
 
-// Google OAuth callback
-const googleCallback = async (req, res, next) => {
-  passport.authenticate("google", { session: false }, async (err, user) => {
+// OAuth callback
+// Redirects with a short-lived single-use code, never with the tokens
+const oauthCallback = async (req, res, next) => {
+  const { provider } = req.params;
+  if (!isProviderEnabled(provider)) {
+    return sendProviderNotAvailable(res, provider);
+  }
+
+  let state;
+  try {
+    state = verifyStateToken(req.query.state);
+  } catch (error) {
+    return redirectWithError(res, "Authentication failed");
+  }
+  const errorPath = state.linkUserId ? ACCOUNT_SETTINGS_PATH : "/login";
+
+  passport.authenticate(provider, { session: false }, async (err, profile) => {
     try {
-      const clientURL = process.env.CLIENT_URL;
-      console.log("CLIENT_URL:", process.env.CLIENT_URL || "❌ Missing");
-      console.log("Computed Client URL:", clientURL);
+      const clientURL = process.env.CLIENT_URL || "http://localhost:3000";
 
       if (err) {
-        console.error("Google OAuth error:", err);
-        return res.redirect(
-          `${clientURL}/login?error=${encodeURIComponent(
-            "Authentication failed"
-          )}`
-        );
+        console.error(`${provider} OAuth error:`, err);
+        return redirectWithError(res, "Authentication failed", errorPath);
+      }
+
+      if (!profile) {
+        return redirectWithError(res, "Authentication failed", errorPath);
       }
 
-      if (!user) {
+      // The link_token may have been opened in someone else's browser, so
+      // the account is only linked once the client that started linking
+      // redeems the code with its own access token
+      if (state.linkUserId) {
+        const linkCode = await AuthCodeService.createLinkCode(
+          state.linkUserId,
+          profile
+        );
         return res.redirect(
-          `${clientURL}/login?error=${encodeURIComponent(
-            "Authentication failed"
-          )}`
+          `${clientURL}${ACCOUNT_SETTINGS_PATH}?provider=${encodeURIComponent(
+            provider
+          )}&link_code=${encodeURIComponent(linkCode)}`
         );
       }
 
-      const accessToken = generateToken({ userId: user._id });
-      const refreshToken = generateRefreshToken({ userId: user._id });
+      const user = await IdentityService.findOrCreateUser(profile);
+      const code = await AuthCodeService.createCode(user._id, state.pkce);
 
-      const redirectUrl = `${clientURL}/auth/callback?token=${accessToken}&refreshToken=${refreshToken}`;
-      console.log("Redirecting to:", redirectUrl);
-      return res.redirect(redirectUrl);
-    } catch (error) {
-      console.error("Token generation error:", error);
-      // Determine client URL for error redirect
-      const clientURL = process.env.CLIENT_URL || "http://localhost:3000";
-      // Redirect to frontend with error
       return res.redirect(
-        `${clientURL}/login?error=${encodeURIComponent(
-          "Token generation failed"
-        )}`
+        `${clientURL}/auth/callback?code=${encodeURIComponent(code)}`
       );
+    } catch (error) {
+      console.error(`${provider} sign-in error:`, error);
+
+      if (PROVIDER_ERRORS.includes(error.message)) {
+        return redirectWithError(res, error.message, errorPath);
+      }
+
+      return redirectWithError(res, "Token generation failed", errorPath);
     }
   })(req, res, next);
 };
 
+// List the providers linked to the current user
+const getIdentities = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+passwordHash");
+
+    res.json({
+      success: true,
+      data: {
+        identities: IdentityService.listIdentities(user),
+        hasPassword: !!user.passwordHash,
+      },
+    });
+  } catch (error) {
+    console.error("Get identities error:", error);
+    res.status(500).json({
+      error: "Failed to get linked accounts",
+      message: "An error occurred while fetching linked accounts",
+    });
+  }
+};
+
+// Start linking a provider to the current user. Returns the URL the client
+// should navigate to, since browser navigation can't carry the bearer token.
+// The callback comes back with a link_code to redeem at .../link/complete.
+const linkIdentity = async (req, res) => {
+  const { provider } = req.params;
+  if (!isProviderEnabled(provider)) {
+    return sendProviderNotAvailable(res, provider);
+  }
+
+  const linkToken = generateStateToken({
+    purpose: "link",
+    provider,
+    userId: req.user._id.toString(),
+  });
+
+  res.json({
+    success: true,
+    data: {
+      url: `/api/auth/${provider}?link_token=${encodeURIComponent(linkToken)}`,
+    },
+  });
+};
+
+// Finish linking a provider with the link_code the callback redirected
+// with. The code only works for the user who started linking.
+const completeLinkIdentity = async (req, res) => {
+  const { code } = req.body || {};
+  if (!code || typeof code !== "string") {
+    return res.status(400).json({
+      error: "Link code required",
+      message: "Please provide the link_code received on the accounts page",
+    });
+  }
+
+  try {
+    const profile = await AuthCodeService.redeemLinkCode(code, req.user._id);
+    if (profile.provider !== req.params.provider) {
+      throw new Error("Invalid link code");
+    }
+
+    const user = await IdentityService.linkIdentity(req.user._id, profile);
+
+    res.json({
+      success: true,
+      message: "Provider linked successfully",
+      data: { identities: IdentityService.listIdentities(user) },
+    });
+  } catch (error) {
+    console.error("Complete link identity error:", error);
+
+    if (error.message === "Invalid link code") {
+      return res.status(400).json({
+        error: "Invalid link code",
+        message: "The link request is invalid or expired, please try again",
+      });
+    }
+
+    if (error.message === ERROR_MESSAGES.AUTH_IDENTITY_IN_USE) {
+      return res.status(409).json({
+        error: "Cannot link provider",
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to link provider",
+      message: "An error occurred while linking the provider",
+    });
+  }
+};
+
+// Unlink a provider from the current user
+const unlinkIdentity = async (req, res) => {
+  try {
+    const user = await IdentityService.unlinkIdentity(
+      req.user._id,
+      req.params.provider
+    );
+
+    res.json({
+      success: true,
+      message: "Provider unlinked successfully",
+      data: { identities: IdentityService.listIdentities(user) },
+    });
+  } catch (error) {
+    console.error("Unlink identity error:", error);
+
+    if (error.message === ERROR_MESSAGES.AUTH_IDENTITY_NOT_LINKED) {
+      return res.status(404).json({
+        error: error.message,
+        message: `"${req.params.provider}" is not linked to your account`,
+      });
+    }
+
+    if (error.message === ERROR_MESSAGES.AUTH_LAST_SIGN_IN_METHOD) {
+      return res.status(400).json({
+        error: "Cannot unlink provider",
+        message: error.message,
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to unlink provider",
+      message: "An error occurred while unlinking the provider",
+    });
+  }
+};
+
+// Exchange a one-time authorization code for a token pair
+const exchangeCode = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const codeVerifier = req.body?.codeVerifier || req.body?.code_verifier;
+
+    if (!code) {
+      return res.status(400).json({
+        error: "Authorization code required",
+        message: "Please provide the code received on the auth callback",
+      });
+    }
+
+    // Only strings can be codes, anything else would fail to hash
+    if (typeof code !== "string") {
+      return res.status(400).json({
+        error: "Invalid grant",
+        message: "The authorization code is invalid, expired or already used",
+      });
+    }
+
+    const user = await AuthCodeService.redeemCode(code, codeVerifier);
+    await completeSignIn(req, res, user, "Login successful");
+  } catch (error) {
+    console.error("Code exchange error:", error);
+
+    if (
+      [
+        "Invalid authorization code",
+        "Invalid code verifier",
+        "User not found",
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({
+        error: "Invalid grant",
+        message: "The authorization code is invalid, expired or already used",
+      });
+    }
+
+    res.status(500).json({
+      error: "Code exchange failed",
+      message: "An error occurred while exchanging the authorization code",
+    });
+  }
+};
+
+// Respond with express-validator errors, if any
+const sendValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    error: ERROR_MESSAGES.VALIDATION_ERROR,
+    message: errors.array()[0].msg,
+    details: errors.array(),
+  });
+  return true;
+};
+
+// Register with email and password
+const register = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const { name, email, password } = req.body;
+    await LocalAuthService.register({ name, email, password });
+
+    // Same answer for new and registered addresses, the email tells them apart
+    res.status(201).json({
+      success: true,
+      message: SUCCESS_MESSAGES.AUTH_REGISTERED,
+    });
+  } catch (error) {
+    console.error("Registration error:", error);
+
+    res.status(500).json({
+      error: "Registration failed",
+      message: "An error occurred while creating the account",
+    });
+  }
+};
+
+// Login with email and password
+const login = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const user = await LocalAuthService.login(
+      req.body.email,
+      req.body.password
+    );
+    await completeSignIn(req, res, user, SUCCESS_MESSAGES.AUTH_LOGIN_SUCCESS);
+  } catch (error) {
+    console.error("Login error:", error);
+
+    if (error.message === ERROR_MESSAGES.AUTH_INVALID_CREDENTIALS) {
+      return res.status(401).json({
+        error: ERROR_MESSAGES.AUTH_INVALID_CREDENTIALS,
+        message: "Please check your email and password",
+      });
+    }
+
+    if (error.message === ERROR_MESSAGES.AUTH_EMAIL_NOT_VERIFIED) {
+      return res.status(403).json({
+        error: ERROR_MESSAGES.AUTH_EMAIL_NOT_VERIFIED,
+        message: "Please verify your email address before signing in",
+      });
+    }
+
+    res.status(500).json({
+      error: "Login failed",
+      message: "An error occurred during login",
+    });
+  }
+};
+
+// Verify email address from the emailed link
+const verifyEmail = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    await LocalAuthService.verifyEmail(req.body.token);
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.AUTH_EMAIL_VERIFIED,
+    });
+  } catch (error) {
+    console.error("Email verification error:", error);
+
+    if (error.message === ERROR_MESSAGES.AUTH_INVALID_VERIFICATION_TOKEN) {
+      return res.status(400).json({
+        error: ERROR_MESSAGES.AUTH_INVALID_VERIFICATION_TOKEN,
+        message: "Request a new verification email and try again",
+      });
+    }
+
+    res.status(500).json({
+      error: "Email verification failed",
+      message: "An error occurred while verifying the email address",
+    });
+  }
+};
+
+// Resend the verification email
+const resendVerification = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    await LocalAuthService.resendVerification(req.body.email);
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.AUTH_VERIFICATION_SENT,
+    });
+  } catch (error) {
+    console.error("Resend verification error:", error);
+    res.status(500).json({
+      error: "Failed to send verification email",
+      message: "An error occurred while sending the verification email",
+    });
+  }
+};
+
+// Request a password reset email
+const forgotPassword = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    await LocalAuthService.requestPasswordReset(req.body.email);
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.AUTH_PASSWORD_RESET_SENT,
+    });
+  } catch (error) {
+    console.error("Forgot password error:", error);
+    res.status(500).json({
+      error: "Failed to send password reset email",
+      message: "An error occurred while requesting a password reset",
+    });
+  }
+};
+
+// Reset password from the emailed link
+const resetPassword = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    await LocalAuthService.resetPassword(req.body.token, req.body.password);
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.AUTH_PASSWORD_RESET,
+    });
+  } catch (error) {
+    console.error("Reset password error:", error);
+
+    if (error.message === ERROR_MESSAGES.AUTH_INVALID_RESET_TOKEN) {
+      return res.status(400).json({
+        error: ERROR_MESSAGES.AUTH_INVALID_RESET_TOKEN,
+        message: "Request a new password reset email and try again",
+      });
+    }
+
+    res.status(500).json({
+      error: "Password reset failed",
+      message: "An error occurred while resetting the password",
+    });
+  }
+};
+
+// Add a password to the current account, or change it
+const updatePassword = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    await LocalAuthService.setPassword(req.user._id, req.body);
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.AUTH_PASSWORD_UPDATED,
+    });
+  } catch (error) {
+    console.error("Update password error:", error);
+
+    if (error.message === ERROR_MESSAGES.AUTH_INVALID_CURRENT_PASSWORD) {
+      return res.status(400).json({
+        error: ERROR_MESSAGES.AUTH_INVALID_CURRENT_PASSWORD,
+        message: "Please provide your current password to change it",
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to update password",
+      message: "An error occurred while updating the password",
+    });
+  }
+};
+
+// Respond to errors shared by the two-factor endpoints
+const sendTwoFactorError = (res, error, fallback) => {
+  if (error.message === ERROR_MESSAGES.AUTH_2FA_INVALID_CODE) {
+    return res.status(400).json({
+      error: error.message,
+      message: "The code is invalid or has already been used",
+    });
+  }
+
+  if (
+    [
+      ERROR_MESSAGES.AUTH_2FA_NOT_ENABLED,
+      ERROR_MESSAGES.AUTH_2FA_ALREADY_ENABLED,
+      ERROR_MESSAGES.AUTH_2FA_NO_PENDING_SETUP,
+    ].includes(error.message)
+  ) {
+    return res.status(400).json({
+      error: error.message,
+      message: error.message,
+    });
+  }
+
+  res.status(500).json({
+    error: fallback,
+    message: "An error occurred while processing two-factor authentication",
+  });
+};
+
+// Get the current user's two-factor status
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await TwoFactorService.getStatus(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        ...status,
+        sessionVerified: !!req.authSession?.mfaVerifiedAt,
+      },
+    });
+  } catch (error) {
+    console.error("Get two-factor status error:", error);
+    sendTwoFactorError(res, error, "Failed to get two-factor status");
+  }
+};
+
+// Start two-factor enrolment. The secret is returned once so the client
+// can show it as a QR code (otpauthUrl) or for manual entry.
+const setupTwoFactor = async (req, res) => {
+  try {
+    const data = await TwoFactorService.startEnrollment(req.user._id);
+
+    res.json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Two-factor setup error:", error);
+    sendTwoFactorError(res, error, "Two-factor setup failed");
+  }
+};
+
+// Confirm enrolment with a first code and return the recovery codes
+const enableTwoFactor = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const recoveryCodes = await TwoFactorService.confirmEnrollment(
+      req.user._id,
+      req.body.code
+    );
+
+    // The code just proved the second factor for this session
+    if (req.authSession) {
+      await SessionService.markMfaVerified(req.authSession._id);
+    }
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.AUTH_2FA_ENABLED,
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error("Enable two-factor error:", error);
+    sendTwoFactorError(
+      res,
+      error,
+      "Failed to enable two-factor authentication"
+    );
+  }
+};
+
+// Complete a sign-in challenge with a TOTP or recovery code
+const verifyTwoFactorChallenge = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    let challenge;
+    try {
+      challenge = verifyStateToken(req.body.challengeToken);
+      if (challenge.purpose !== "2fa") {
+        throw new Error("Invalid state");
+      }
+    } catch (error) {
+      return res.status(401).json({
+        error: ERROR_MESSAGES.AUTH_2FA_INVALID_CHALLENGE,
+        message: "Please sign in again",
+      });
+    }
+
+    const user = await TwoFactorService.verify(challenge.userId, req.body);
+    const { accessToken, refreshToken, expiresIn } =
+      await SessionService.startSession(user, req, { mfaVerified: true });
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.AUTH_LOGIN_SUCCESS,
+      tokens: {
+        accessToken,
+        refreshToken,
+        expiresIn,
+      },
+    });
+  } catch (error) {
+    console.error("Two-factor verification error:", error);
+    sendTwoFactorError(res, error, "Two-factor verification failed");
+  }
+};
+
+// Verify the second factor for the current session (e.g. a session that
+// started before two-factor authentication was enabled)
+const stepUpTwoFactor = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    if (!req.authSession) {
+      return res.status(400).json({
+        error: "Session required",
+        message: "Sign in again to verify this session",
+      });
+    }
+
+    await TwoFactorService.verify(req.user._id, req.body);
+    await SessionService.markMfaVerified(req.authSession._id);
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.AUTH_2FA_VERIFIED,
+    });
+  } catch (error) {
+    console.error("Two-factor step-up error:", error);
+    sendTwoFactorError(res, error, "Two-factor verification failed");
+  }
+};
+
+// Replace the recovery codes
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(
+      req.user._id,
+      req.body
+    );
+
+    res.json({
+      success: true,
+      data: { recoveryCodes },
+    });
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error);
+    sendTwoFactorError(res, error, "Failed to regenerate recovery codes");
+  }
+};
+
+// Turn two-factor authentication off
+const disableTwoFactor = async (req, res) => {
+  try {
+    if (sendValidationErrors(req, res)) return;
+
+    await TwoFactorService.disable(req.user._id, req.body);
+
+    res.json({
+      success: true,
+      message: SUCCESS_MESSAGES.AUTH_2FA_DISABLED,
+    });
+  } catch (error) {
+    console.error("Disable two-factor error:", error);
+    sendTwoFactorError(
+      res,
+      error,
+      "Failed to disable two-factor authentication"
+    );
+  }
+};
+
 // Refresh token
 const refreshToken = async (req, res) => {
   try {
@@ -71,32 +777,36 @@ const refreshToken = async (req, res) => {
       });
     }
 
-    // Verify refresh token
-    const decoded = verifyToken(refreshToken);
-
-    // Get user from database
-    const user = await User.findById(decoded.userId);
-    if (!user) {
-      return res.status(401).json({
-        error: "User not found",
-        message: "The user associated with this token no longer exists",
-      });
-    }
-
-    // Generate new access token
-    const newAccessToken = generateToken({ userId: user._id });
+    // Rotate: the presented token is revoked and replaced
+    const tokens = await TokenService.rotateRefreshToken(refreshToken);
 
     res.json({
       success: true,
       message: "Token refreshed successfully",
       tokens: {
-        accessToken: newAccessToken,
-        expiresIn: process.env.JWT_EXPIRE,
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
       },
     });
   } catch (error) {
     console.error("Token refresh error:", error);
 
+    if (error.message === "Refresh token reuse detected") {
+      return res.status(401).json({
+        error: "Refresh token reuse detected",
+        message:
+          "This refresh token was already used. All sessions from this login have been revoked",
+      });
+    }
+
+    if (error.message === "User not found") {
+      return res.status(401).json({
+        error: "User not found",
+        message: "The user associated with this token no longer exists",
+      });
+    }
+
     if (error.message === "Invalid token") {
       return res.status(401).json({
         error: "Invalid refresh token",
@@ -111,12 +821,20 @@ const refreshToken = async (req, res) => {
   }
 };
 
-// Logout user (client-side token removal)
+// Logout user (revokes the current access token and the presented refresh token)
 const logout = async (req, res) => {
   try {
-    // Note: With JWT, logout is primarily handled client-side
-    // by removing the token from storage. Server-side logout
-    // would require token blacklisting, which we can implement later.
+    const { refreshToken } = req.body || {};
+
+    await TokenService.revokeAccessToken(req.token);
+
+    if (req.authSession) {
+      await SessionService.revokeSession(req.user._id, req.authSession._id);
+    }
+
+    if (refreshToken) {
+      await TokenService.revokeRefreshToken(refreshToken, req.user._id);
+    }
 
     res.json({
       success: true,
@@ -131,6 +849,72 @@ const logout = async (req, res) => {
   }
 };
 
+// List the current user's active sessions
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await SessionService.listSessions(
+      req.user._id,
+      req.authSession?._id
+    );
+
+    res.json({
+      success: true,
+      data: sessions,
+    });
+  } catch (error) {
+    console.error("Get sessions error:", error);
+    res.status(500).json({
+      error: "Failed to get sessions",
+      message: "An error occurred while fetching active sessions",
+    });
+  }
+};
+
+// Revoke one of the current user's sessions
+const revokeSession = async (req, res) => {
+  try {
+    await SessionService.revokeSession(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: "Session revoked successfully",
+    });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+
+    if (error.message === "Session not found") {
+      return res.status(404).json({
+        error: "Session not found",
+        message: "No active session with this ID exists for your account",
+      });
+    }
+
+    res.status(500).json({
+      error: "Failed to revoke session",
+      message: "An error occurred while revoking the session",
+    });
+  }
+};
+
+// Revoke every session of the current user ("sign out everywhere")
+const revokeAllSessions = async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeAllSessions(req.user._id);
+
+    res.json({
+      success: true,
+      message: "Signed out of all sessions",
+      data: { revoked },
+    });
+  } catch (error) {
+    console.error("Revoke all sessions error:", error);
+    res.status(500).json({
+      error: "Failed to revoke sessions",
+      message: "An error occurred while signing out of all sessions",
+    });
+  }
+};
+
 // Get current user
 const getCurrentUser = async (req, res) => {
   try {
@@ -141,9 +925,20 @@ const getCurrentUser = async (req, res) => {
         name: req.user.name,
         username: req.user.username,
         email: req.user.email,
+        emailVerified: req.user.emailVerified,
         avatar: req.user.avatar,
         avatarUrl: req.user.avatar, // Use avatar field for Cloudinary URL
         role: req.user.role || "user", // Include user role
+        moderation: ModerationService.describe(req.user),
+        // Set when a superadmin is viewing the app as this user
+        impersonatedBy: req.impersonation
+          ? {
+              id: req.impersonation.actor._id,
+              name: req.impersonation.actor.name,
+              readOnly: req.impersonation.session.readOnly,
+              expiresAt: req.impersonation.session.expiresAt,
+            }
+          : null,
         createdAt: req.user.createdAt,
         updatedAt: req.user.updatedAt,
       },
@@ -158,9 +953,32 @@ const getCurrentUser = async (req, res) => {
 };
 
 module.exports = {
-  googleAuth,
-  googleCallback,
+  getProviders,
+  oauthAuth,
+  oauthCallback,
+  getIdentities,
+  linkIdentity,
+  completeLinkIdentity,
+  unlinkIdentity,
+  exchangeCode,
+  register,
+  login,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  updatePassword,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorChallenge,
+  stepUpTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
   refreshToken,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   getCurrentUser,
 };
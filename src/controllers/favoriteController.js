@@ -1,21 +1,23 @@
 const Favorite = require("../models/Favorite");
 const Game = require("../models/Game");
 const FavoriteService = require("../services/favoriteService");
+const { hasGameFilters } = require("../utils/gameFilters");
+const { ERROR_MESSAGES } = require("../utils/constants");
 
 // Get user's favorite games
 const getUserFavorites = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { page = 1, limit = 20, genre, platform, search, sortBy } = req.query;
+    const { page = 1, limit = 20, cursor, search, sortBy } = req.query;
 
     // If filtering is requested, use the filtered service
-    if (genre || platform || search || sortBy) {
-      const filters = { genre, platform, search, sortBy };
+    if (search || sortBy || hasGameFilters(req.query)) {
       const result = await FavoriteService.getFilteredFavorites(
         userId,
-        filters,
+        req.query,
         parseInt(page),
-        parseInt(limit)
+        parseInt(limit),
+        cursor
       );
 
       return res.json({
@@ -30,7 +32,8 @@ const getUserFavorites = async (req, res) => {
     const result = await FavoriteService.getUserFavorites(
       userId,
       parseInt(page),
-      parseInt(limit)
+      parseInt(limit),
+      cursor
     );
 
     res.json({
@@ -39,6 +42,18 @@ const getUserFavorites = async (req, res) => {
       pagination: result.pagination,
     });
   } catch (error) {
+    const invalidInput = [
+      ERROR_MESSAGES.VALIDATION_INVALID_CURSOR,
+      ERROR_MESSAGES.VALIDATION_INVALID_FILTER,
+    ].find((message) => error.message.includes(message));
+    if (invalidInput) {
+      return res.status(400).json({
+        success: false,
+        error: invalidInput,
+        message: error.message,
+      });
+    }
+
     console.error("Error fetching user favorites:", error);
     res.status(500).json({
       success: false,
@@ -141,16 +156,15 @@ const checkFavoriteStatus = async (req, res) => {
 const getFilteredFavorites = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { genre, platform, search, sortBy, page = 1, limit = 20 } = req.query;
-
-    const filters = { genre, platform, search, sortBy };
+    const { page = 1, limit = 20, cursor } = req.query;
 
     // Use service to get filtered favorites
     const result = await FavoriteService.getFilteredFavorites(
       userId,
-      filters,
+      req.query,
       parseInt(page),
-      parseInt(limit)
+      parseInt(limit),
+      cursor
     );
 
     res.json({
@@ -160,6 +174,18 @@ const getFilteredFavorites = async (req, res) => {
       filters: result.filters,
     });
   } catch (error) {
+    const invalidInput = [
+      ERROR_MESSAGES.VALIDATION_INVALID_CURSOR,
+      ERROR_MESSAGES.VALIDATION_INVALID_FILTER,
+    ].find((message) => error.message.includes(message));
+    if (invalidInput) {
+      return res.status(400).json({
+        success: false,
+        error: invalidInput,
+        message: error.message,
+      });
+    }
+
     console.error("Error fetching filtered favorites:", error);
     res.status(500).json({
       success: false,
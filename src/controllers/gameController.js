@@ -1,5 +1,20 @@
+const mongoose = require("mongoose");
+const { validationResult } = require("express-validator");
 const gameService = require("../services/gameService");
+const autocompleteService = require("../services/autocompleteService");
 const Game = require("../models/Game");
+const { escapeRegex, buildTextSearch } = require("../utils/textSearch");
+const { GAMES, ERROR_MESSAGES, TWO_FACTOR } = require("../utils/constants");
+
+// Whether the signed-in user may see games that aren't published yet. The
+// same conditions as requireAdmin, which can't run on public routes.
+const canPreview = (req) =>
+  !!req.user &&
+  ["admin", "superadmin"].includes(req.user.role) &&
+  !req.impersonation &&
+  (!!req.apiKey ||
+    !TWO_FACTOR.REQUIRED_ROLES.includes(req.user.role) ||
+    !!(req.authSession && req.authSession.mfaVerifiedAt));
 
 // @route   GET /api/games
 // @desc    Get paginated games list with filters
@@ -16,6 +31,18 @@ const getGames = async (req, res) => {
     const result = await gameService.searchGames(queryParams);
     res.json(result);
   } catch (error) {
+    const invalidInput = [
+      ERROR_MESSAGES.VALIDATION_INVALID_CURSOR,
+      ERROR_MESSAGES.VALIDATION_INVALID_FILTER,
+    ].find((message) => error.message.includes(message));
+    if (invalidInput) {
+      return res.status(400).json({
+        success: false,
+        error: invalidInput,
+        message: error.message,
+      });
+    }
+
     console.error("Get games error:", error);
     res.status(500).json({
       success: false,
@@ -25,14 +52,42 @@ const getGames = async (req, res) => {
   }
 };
 
-// @route   GET /api/games/:id
-// @desc    Get single game details
+// @route   GET /api/games/autocomplete
+// @desc    Suggest game titles for a partial or misspelled query
+// @access  Public
+const getAutocomplete = async (req, res) => {
+  try {
+    const query = typeof req.query.q === "string" ? req.query.q : "";
+    const limit = Math.min(
+      Math.max(parseInt(req.query.limit) || GAMES.AUTOCOMPLETE_LIMIT, 1),
+      GAMES.AUTOCOMPLETE_MAX_LIMIT
+    );
+
+    const suggestions = await autocompleteService.suggest(query, limit);
+
+    res.json({
+      success: true,
+      data: suggestions,
+    });
+  } catch (error) {
+    console.error("Autocomplete error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to get suggestions",
+      message: error.message,
+    });
+  }
+};
+
+// @route   GET /api/games/:idOrSlug
+// @desc    Get single game details by ID or slug. Admins can add
+//          ?preview=true to see games that aren't published yet.
 // @access  Public
 const getGameById = async (req, res) => {
   try {
-    const { id } = req.params;
+    const { idOrSlug } = req.params;
 
-    if (!id) {
+    if (!idOrSlug) {
       return res.status(400).json({
         success: false,
         error: "Game ID is required",
@@ -40,7 +95,21 @@ const getGameById = async (req, res) => {
       });
     }
 
-    const game = await gameService.getGameById(id);
+    const preview = req.query.preview === "true" && canPreview(req);
+    const game = await gameService.getGameById(idOrSlug, { preview });
+
+    // Former slugs redirect to the current one, merged duplicates to the
+    // game they were merged into
+    const moved = mongoose.isObjectIdOrHexString(idOrSlug)
+      ? game._id.toString() !== idOrSlug
+      : game.slug && idOrSlug.toLowerCase() !== game.slug;
+    if (moved) {
+      const query = preview ? "?preview=true" : "";
+      return res.redirect(
+        301,
+        `${req.baseUrl}/${game.slug || game._id}${query}`
+      );
+    }
 
     res.json({
       success: true,
@@ -49,7 +118,7 @@ const getGameById = async (req, res) => {
   } catch (error) {
     console.error("Get game by ID error:", error);
 
-    if (error.message === "Game not found") {
+    if (error.message.includes(ERROR_MESSAGES.GAME_NOT_FOUND)) {
       return res.status(404).json({
         success: false,
         error: "Game not found",
@@ -65,6 +134,61 @@ const getGameById = async (req, res) => {
   }
 };
 
+// @route   POST /api/games/:idOrSlug/compatibility
+// @desc    Check a player's hardware against a game's minimum and
+//          recommended requirements
+// @access  Public
+const checkCompatibility = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: "Validation failed",
+        details: errors.array(),
+      });
+    }
+
+    const fields = [
+      "os",
+      "processorGHz",
+      "processorCores",
+      "memoryGB",
+      "graphicsMemoryGB",
+      "storageGB",
+    ];
+    const hardware = {};
+    fields.forEach((field) => {
+      hardware[field] = req.body[field] !== undefined ? req.body[field] : null;
+    });
+
+    const result = await gameService.checkCompatibility(
+      req.params.idOrSlug,
+      hardware
+    );
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    if (error.message.includes(ERROR_MESSAGES.GAME_NOT_FOUND)) {
+      return res.status(404).json({
+        success: false,
+        error: "Game not found",
+        message: "The requested game does not exist",
+      });
+    }
+
+    console.error("Compatibility check error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to check compatibility",
+      message: error.message,
+    });
+  }
+};
+
 // @route   GET /api/games/filters/metadata
 // @desc    Get available filter options (categories, platforms, tags)
 // @access  Public
@@ -124,28 +248,28 @@ const advancedSearch = async (req, res) => {
     } = req.query;
 
     // Build advanced filter object
-    const filter = {};
-
-    // Text search
-    if (query) {
-      filter.$or = [
-        { title: new RegExp(query, "i") },
-        { shortDescription: new RegExp(query, "i") },
-        { developer: new RegExp(query, "i") },
-        { publisher: new RegExp(query, "i") },
-      ];
+    const filter = Game.publishedFilter();
+
+    // Full-text search in title, description, developer, publisher
+    const textSearch = buildTextSearch(query);
+    if (textSearch) {
+      filter.$text = { $search: textSearch };
     }
 
     // Multiple genres filter
     if (genres) {
       const genreList = genres.split(",").map((g) => g.trim());
-      filter.genre = { $in: genreList.map((g) => new RegExp(g, "i")) };
+      filter.genre = {
+        $in: genreList.map((g) => new RegExp(escapeRegex(g), "i")),
+      };
     }
 
     // Multiple platforms filter
     if (platforms) {
       const platformList = platforms.split(",").map((p) => p.trim());
-      filter.platform = { $in: platformList.map((p) => new RegExp(p, "i")) };
+      filter.platform = {
+        $in: platformList.map((p) => new RegExp(escapeRegex(p), "i")),
+      };
     }
 
     // Rating range filter
@@ -177,9 +301,15 @@ const advancedSearch = async (req, res) => {
         sort = { title: -1 };
         break;
       default:
-        sort = { lastUpdated: -1 };
+        // Best text match first, or most recently updated without a query
+        sort = textSearch
+          ? { score: { $meta: "textScore" }, averageRating: -1 }
+          : { updatedAt: -1 };
     }
 
+    // Include the text score in each result when searching
+    const projection = textSearch ? { score: { $meta: "textScore" } } : {};
+
     // Pagination
     const pageNum = parseInt(page) || 1;
     const limitNum = Math.min(parseInt(limit) || 20, 100);
@@ -187,7 +317,11 @@ const advancedSearch = async (req, res) => {
 
     // Execute query
     const [games, totalGames] = await Promise.all([
-      Game.find(filter).sort(sort).skip(skip).limit(limitNum).lean(),
+      Game.find(filter, projection)
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum)
+        .lean(),
       Game.countDocuments(filter),
     ]);
 
@@ -225,7 +359,9 @@ const advancedSearch = async (req, res) => {
 
 module.exports = {
   getGames,
+  getAutocomplete,
   getGameById,
+  checkCompatibility,
   getFilterMetadata,
   getGameStats,
   advancedSearch,
@@ -1,6 +1,8 @@
 const Review = require("../models/Review");
 const Game = require("../models/Game");
 const User = require("../models/User");
+const ReviewService = require("../services/reviewService");
+const { ERROR_MESSAGES } = require("../utils/constants");
 const { validationResult } = require("express-validator");
 
 // Get reviews for a specific game (user's review first)
@@ -11,7 +13,7 @@ const getGameReviews = async (req, res) => {
 
     // Validate if game exists
     const game = await Game.findById(gameId);
-    if (!game) {
+    if (!game || !game.isPublished()) {
       return res.status(404).json({
         success: false,
         error: "Game not found",
@@ -84,7 +86,7 @@ const createOrUpdateReview = async (req, res) => {
 
     // Validate if game exists
     const game = await Game.findById(gameId);
-    if (!game) {
+    if (!game || !game.isPublished()) {
       return res.status(404).json({
         success: false,
         error: "Game not found",
@@ -200,48 +202,42 @@ const deleteReview = async (req, res) => {
 const getUserReviews = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { page = 1, limit = 20, cursor } = req.query;
 
-    // Get user reviews without populate
-    const reviews = await Review.find({ userId })
-      .populate("gameId", "title thumbnail genre platform")
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    // Manually populate user data
-    const populatedReviews = await Promise.all(
-      reviews.map(async (review) => {
-        const user = await User.findById(review.userId).lean();
-        const reviewObj = review.toObject();
-        reviewObj.userId = {
-          _id: user._id,
-          name: user.name,
-          username: user.username,
-          avatar: user.avatar,
-          avatarUrl: user.avatar,
-        };
-        return reviewObj;
-      })
+    const result = await ReviewService.getUserReviews(
+      userId,
+      parseInt(page) || 1,
+      parseInt(limit) || 20,
+      cursor
     );
 
-    const totalReviews = await Review.countDocuments({ userId });
-    const totalPages = Math.ceil(totalReviews / parseInt(limit));
+    // Shape user data like the other review listings
+    const populatedReviews = result.reviews.map((review) => {
+      const reviewObj = review.toObject();
+      const user = reviewObj.userId;
+      reviewObj.userId = {
+        _id: user._id,
+        name: user.name,
+        username: user.username,
+        avatar: user.avatar,
+        avatarUrl: user.avatar,
+      };
+      return reviewObj;
+    });
 
     res.json({
       success: true,
       data: populatedReviews,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalReviews,
-        reviewsPerPage: parseInt(limit),
-        hasNextPage: parseInt(page) < totalPages,
-        hasPreviousPage: parseInt(page) > 1,
-      },
+      pagination: result.pagination,
     });
   } catch (error) {
+    if (error.message.includes(ERROR_MESSAGES.VALIDATION_INVALID_CURSOR)) {
+      return res.status(400).json({
+        success: false,
+        error: ERROR_MESSAGES.VALIDATION_INVALID_CURSOR,
+      });
+    }
+
     console.error("Error fetching user reviews:", error);
     res.status(500).json({
       success: false,
@@ -1,5 +1,6 @@
 const User = require("../models/User");
 const { cloudinary } = require("../config/cloudinary");
+const TokenService = require("../services/tokenService");
 const {
   ERROR_MESSAGES,
   SUCCESS_MESSAGES,
@@ -293,6 +294,7 @@ const deleteAccount = async (req, res) => {
     const Review = require("../models/Review");
     const Favorite = require("../models/Favorite");
     const Game = require("../models/Game");
+    const ApiKey = require("../models/ApiKey");
 
     // Get user data first
     const user = await User.findById(userId);
@@ -344,6 +346,13 @@ const deleteAccount = async (req, res) => {
     // Delete user's favorites
     await Favorite.deleteMany({ userId });
 
+    // Invalidate every token and API key issued to the account before
+    // removing it
+    await TokenService.revokeAllForUser(userId);
+    await ApiKey.deleteMany({ userId });
+    await TokenService.bumpTokenVersion(userId);
+    await TokenService.revokeAccessToken(req.token);
+
     // Delete the user account
     await User.findByIdAndDelete(userId);
 
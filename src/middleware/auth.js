@@ -1,8 +1,116 @@
 const { verifyToken } = require("../config/jwt");
 const User = require("../models/User");
+const TokenService = require("../services/tokenService");
+const SessionService = require("../services/sessionService");
+const ApiKeyService = require("../services/apiKeyService");
+const ModerationService = require("../services/moderationService");
+const ImpersonationService = require("../services/impersonationService");
+const { ERROR_MESSAGES, TWO_FACTOR } = require("../utils/constants");
+
+// Declare the scopes an API key needs for a route. Must come before
+// authenticateToken/optionalAuth: routes without it don't accept API keys.
+const requireScope = (...scopes) => {
+  return (req, res, next) => {
+    req.requiredScopes = scopes;
+    next();
+  };
+};
+
+// Respond 403 for a banned account
+const sendAccountBanned = (res, user) =>
+  res.status(403).json({
+    success: false,
+    error: ERROR_MESSAGES.ACCOUNT_BANNED,
+    message: "This account can no longer use the API",
+    moderation: ModerationService.describe(user),
+  });
+
+// Authenticate a request made with an X-API-Key header
+const authenticateApiKey = async (req, res, next, key) => {
+  if (!req.requiredScopes) {
+    return res.status(403).json({
+      success: false,
+      error: ERROR_MESSAGES.API_KEY_NOT_ALLOWED,
+      message: "Use a user access token for this endpoint",
+    });
+  }
+
+  let apiKey;
+  let user;
+  try {
+    ({ apiKey, user } = await ApiKeyService.authenticate(key));
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      error: ERROR_MESSAGES.API_KEY_INVALID,
+      message: "The provided API key is invalid, expired or revoked",
+    });
+  }
+
+  if (user.getModerationStatus() === "banned") {
+    return sendAccountBanned(res, user);
+  }
+
+  const missing = req.requiredScopes.filter(
+    (scope) => !apiKey.scopes.includes(scope)
+  );
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      error: ERROR_MESSAGES.API_KEY_INSUFFICIENT_SCOPE,
+      message: `This endpoint requires the scope: ${missing.join(", ")}`,
+    });
+  }
+
+  ApiKeyService.touchKey(apiKey, req.ip).catch((err) =>
+    console.warn("Failed to update API key activity:", err.message)
+  );
+
+  req.user = user;
+  req.apiKey = apiKey;
+  req.token = null;
+  req.authSession = null;
+  next();
+};
+
+// Authenticate a superadmin acting as another user (token with an imp claim)
+const authenticateImpersonation = async (req, res, next, decoded, user) => {
+  const impersonation = await ImpersonationService.getActiveSession(decoded);
+  if (!impersonation) {
+    return res.status(401).json({
+      success: false,
+      error: ERROR_MESSAGES.IMPERSONATION_ENDED,
+      message: "Start a new impersonation session to continue",
+    });
+  }
+
+  const { session, actor } = impersonation;
+  if (!ImpersonationService.isRequestAllowed(session, req)) {
+    await ImpersonationService.record(session, "denied", req, 403);
+    return res.status(403).json({
+      success: false,
+      error: ERROR_MESSAGES.IMPERSONATION_READ_ONLY,
+      message: "This action is not allowed while impersonating",
+    });
+  }
+
+  res.set("X-Impersonated-By", actor._id.toString());
+  ImpersonationService.trackRequest(session, req, res);
+
+  req.user = user;
+  req.token = decoded;
+  req.authSession = null;
+  req.impersonation = { session, actor };
+  next();
+};
 
 const authenticateToken = async (req, res, next) => {
   try {
+    const apiKeyHeader = req.headers["x-api-key"];
+    if (apiKeyHeader) {
+      return await authenticateApiKey(req, res, next, apiKeyHeader);
+    }
+
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
 
@@ -27,8 +135,42 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Attach user to request object
+    if (user.getModerationStatus() === "banned") {
+      return sendAccountBanned(res, user);
+    }
+
+    // Reject tokens issued before a logout, role change or account deletion
+    if (await TokenService.isAccessTokenRevoked(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        error: "Token revoked",
+        message: "This token has been revoked, please sign in again",
+      });
+    }
+
+    if (decoded.imp) {
+      return await authenticateImpersonation(req, res, next, decoded, user);
+    }
+
+    // Tokens tied to a session die with it
+    const session = await SessionService.getActiveSession(decoded);
+    if (decoded.sessionId && !session) {
+      return res.status(401).json({
+        success: false,
+        error: "Session revoked",
+        message: "This session has been signed out, please sign in again",
+      });
+    }
+    if (session) {
+      SessionService.touchSession(session, req.ip).catch((err) =>
+        console.warn("Failed to update session activity:", err.message)
+      );
+    }
+
+    // Attach user, token claims and session to request object
     req.user = user;
+    req.token = decoded;
+    req.authSession = session;
     next();
   } catch (error) {
     console.error("Authentication error:", error);
@@ -53,12 +195,43 @@ const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(" ")[1];
+    const apiKeyHeader = req.headers["x-api-key"];
 
-    if (token) {
+    if (apiKeyHeader && req.requiredScopes) {
+      const { apiKey, user } = await ApiKeyService.authenticate(apiKeyHeader);
+      if (
+        user.getModerationStatus() !== "banned" &&
+        req.requiredScopes.every((scope) => apiKey.scopes.includes(scope))
+      ) {
+        ApiKeyService.touchKey(apiKey, req.ip).catch(() => {});
+        req.user = user;
+        req.apiKey = apiKey;
+      }
+    } else if (token) {
       const decoded = verifyToken(token);
       const user = await User.findById(decoded.userId);
-      if (user) {
-        req.user = user;
+      if (
+        user &&
+        user.getModerationStatus() !== "banned" &&
+        !(await TokenService.isAccessTokenRevoked(decoded, user))
+      ) {
+        const session = await SessionService.getActiveSession(decoded);
+        const impersonation = decoded.imp
+          ? await ImpersonationService.getActiveSession(decoded)
+          : null;
+        if (
+          (!decoded.sessionId || session) &&
+          (!decoded.imp || impersonation)
+        ) {
+          req.user = user;
+          req.token = decoded;
+          req.authSession = session;
+          if (impersonation) {
+            res.set("X-Impersonated-By", impersonation.actor._id.toString());
+            ImpersonationService.trackRequest(impersonation.session, req, res);
+            req.impersonation = impersonation;
+          }
+        }
       }
     }
 
@@ -82,6 +255,15 @@ const requireRole = (allowedRoles) => {
         });
       }
 
+      // An impersonated user's role never grants admin access
+      if (req.impersonation) {
+        return res.status(403).json({
+          success: false,
+          error: ERROR_MESSAGES.IMPERSONATION_ADMIN_FORBIDDEN,
+          message: "Stop impersonating to use admin routes",
+        });
+      }
+
       // Check if user has required role
       if (!allowedRoles.includes(req.user.role)) {
         return res.status(403).json({
@@ -91,6 +273,28 @@ const requireRole = (allowedRoles) => {
         });
       }
 
+      // Privileged roles need a second factor verified in this session.
+      // API keys have none: keys with admin scopes can only be created from
+      // a verified session.
+      if (!req.apiKey && TWO_FACTOR.REQUIRED_ROLES.includes(req.user.role)) {
+        if (!req.user.twoFactorEnabled) {
+          return res.status(403).json({
+            success: false,
+            error: ERROR_MESSAGES.AUTH_2FA_REQUIRED,
+            message: "Enable two-factor authentication to access this resource",
+          });
+        }
+
+        if (!req.authSession || !req.authSession.mfaVerifiedAt) {
+          return res.status(403).json({
+            success: false,
+            error: ERROR_MESSAGES.AUTH_2FA_VERIFICATION_REQUIRED,
+            message:
+              "Verify your two-factor code for this session to access this resource",
+          });
+        }
+      }
+
       next();
     } catch (error) {
       console.error("Role check error:", error);
@@ -103,6 +307,21 @@ const requireRole = (allowedRoles) => {
   };
 };
 
+// Block write actions (posting reviews, changing favorites) for suspended
+// users. Use after authenticateToken; banned users never get this far.
+const requireActiveAccount = (req, res, next) => {
+  if (req.user && req.user.getModerationStatus() !== "active") {
+    return res.status(403).json({
+      success: false,
+      error: ERROR_MESSAGES.ACCOUNT_SUSPENDED,
+      message: "Your account is suspended and can only view content",
+      moderation: ModerationService.describe(req.user),
+    });
+  }
+
+  next();
+};
+
 // Convenience middleware for specific roles
 const requireAdmin = requireRole(["admin", "superadmin"]);
 const requireSuperAdmin = requireRole(["superadmin"]);
@@ -111,6 +330,8 @@ module.exports = {
   authenticateToken,
   optionalAuth,
   requireRole,
+  requireScope,
+  requireActiveAccount,
   requireAdmin,
   requireSuperAdmin,
   // Aliases for consistency
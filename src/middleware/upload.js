@@ -1,15 +1,63 @@
 const multer = require("multer");
 const { upload } = require("../config/cloudinary");
+const {
+  FILE_UPLOAD,
+  GAME_TRANSFER,
+  GAME_MEDIA,
+} = require("../utils/constants");
+const { formatFileSize } = require("../utils/helpers");
+
+// Game import files are parsed in memory and never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: GAME_TRANSFER.MAX_FILE_SIZE,
+    files: 1,
+  },
+});
+
+// Screenshots are kept in memory and handed to GameMediaService, which
+// stores them
+const mediaUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: GAME_MEDIA.MAX_FILE_SIZE,
+    files: 1,
+  },
+  fileFilter: (req, file, cb) => {
+    if (GAME_MEDIA.IMAGE_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only image files are allowed"), false);
+    }
+  },
+});
+
+// Accept one file, keeping its size limit for the error message
+const singleFile = (uploader, field, maxSize) => [
+  (req, res, next) => {
+    req.uploadMaxSize = maxSize;
+    next();
+  },
+  uploader.single(field),
+];
 
 // Error handling middleware for multer
 const handleMulterError = (error, req, res, next) => {
+  // Raw bodies over the same limit are refused by the body parser
+  if (
+    (error instanceof multer.MulterError && error.code === "LIMIT_FILE_SIZE") ||
+    error.type === "entity.too.large"
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: `File too large. Maximum size is ${formatFileSize(
+        req.uploadMaxSize
+      )}.`,
+    });
+  }
+
   if (error instanceof multer.MulterError) {
-    if (error.code === "LIMIT_FILE_SIZE") {
-      return res.status(400).json({
-        success: false,
-        error: "File too large. Maximum size is 5MB.",
-      });
-    }
     if (error.code === "LIMIT_FILE_COUNT") {
       return res.status(400).json({
         success: false,
@@ -33,6 +81,12 @@ const handleMulterError = (error, req, res, next) => {
 };
 
 module.exports = {
-  avatarUpload: upload.single("avatar"),
+  avatarUpload: singleFile(upload, "avatar", FILE_UPLOAD.AVATAR.MAX_SIZE),
+  gameImportUpload: singleFile(
+    importUpload,
+    "file",
+    GAME_TRANSFER.MAX_FILE_SIZE
+  ),
+  gameMediaUpload: singleFile(mediaUpload, "image", GAME_MEDIA.MAX_FILE_SIZE),
   handleMulterError,
 };
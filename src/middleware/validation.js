@@ -1,4 +1,27 @@
 const { body } = require("express-validator");
+const {
+  VALIDATION_LIMITS,
+  API_KEY_SCOPES,
+  API_KEYS,
+} = require("../utils/constants");
+
+const passwordRule = (field) =>
+  body(field)
+    .isString()
+    .isLength({
+      min: VALIDATION_LIMITS.PASSWORD_MIN_LENGTH,
+      max: VALIDATION_LIMITS.PASSWORD_MAX_LENGTH,
+    })
+    .withMessage(
+      `Password must be between ${VALIDATION_LIMITS.PASSWORD_MIN_LENGTH} and ${VALIDATION_LIMITS.PASSWORD_MAX_LENGTH} characters`
+    );
+
+const emailRule = () =>
+  body("email")
+    .isString()
+    .trim()
+    .isEmail()
+    .withMessage("A valid email address is required");
 
 // Review validation rules
 const validateReview = [
@@ -12,6 +35,150 @@ const validateReview = [
     .withMessage("Review content must be between 1 and 1000 characters"),
 ];
 
+// Game creation rules, also applied to each row of a bulk import
+const validateGame = [
+  body("title").notEmpty().withMessage("Title is required"),
+  body("thumbnail").isURL().withMessage("Valid thumbnail URL is required"),
+  body("shortDescription")
+    .notEmpty()
+    .withMessage("Short description is required"),
+  body("gameUrl").isURL().withMessage("Valid game URL is required"),
+  body("genre")
+    .isArray({ min: 1 })
+    .withMessage("At least one genre is required"),
+  body("platform")
+    .isArray({ min: 1 })
+    .withMessage("At least one platform is required"),
+  body("publisher").notEmpty().withMessage("Publisher is required"),
+  body("developer").notEmpty().withMessage("Developer is required"),
+  body("releaseDate").isISO8601().withMessage("Valid release date is required"),
+];
+
+// Local account registration
+const validateRegistration = [
+  body("name")
+    .isString()
+    .trim()
+    .isLength({
+      min: VALIDATION_LIMITS.NAME_MIN_LENGTH,
+      max: VALIDATION_LIMITS.NAME_MAX_LENGTH,
+    })
+    .withMessage(
+      `Name must be between ${VALIDATION_LIMITS.NAME_MIN_LENGTH} and ${VALIDATION_LIMITS.NAME_MAX_LENGTH} characters`
+    ),
+  emailRule(),
+  passwordRule("password"),
+];
+
+// Email and password login
+const validateLogin = [
+  emailRule(),
+  body("password").isString().notEmpty().withMessage("Password is required"),
+];
+
+// Endpoints that only take an email address
+const validateEmail = [emailRule()];
+
+// One-time token sent by email (verification or reset)
+const validateEmailToken = [
+  body("token").isString().notEmpty().withMessage("Token is required"),
+];
+
+// Password reset from an emailed link
+const validatePasswordReset = [...validateEmailToken, passwordRule("password")];
+
+// Adding or changing the password of a signed-in user
+const validatePasswordChange = [
+  body("currentPassword").optional().isString(),
+  passwordRule("newPassword"),
+];
+
+// TOTP code from an authenticator app
+const validateTotpCode = [
+  body("code")
+    .isString()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Code must be 6 digits"),
+];
+
+// Second factor: a TOTP code or a recovery code
+const validateSecondFactor = [
+  body("code")
+    .if(body("recoveryCode").not().exists())
+    .isString()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Provide a 6 digit code or a recovery code"),
+  body("recoveryCode").optional().isString().trim().notEmpty(),
+];
+
+// Sign-in challenge completed with a second factor
+const validateTwoFactorChallenge = [
+  body("challengeToken")
+    .isString()
+    .notEmpty()
+    .withMessage("Challenge token is required"),
+  ...validateSecondFactor,
+];
+
+// New API key
+const validateApiKey = [
+  body("name")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Name must be between 1 and 50 characters"),
+  body("scopes")
+    .isArray({ min: 1 })
+    .withMessage("At least one scope is required"),
+  body("scopes.*")
+    .isIn(Object.values(API_KEY_SCOPES))
+    .withMessage(
+      `Scopes must be one of: ${Object.values(API_KEY_SCOPES).join(", ")}`
+    ),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: API_KEYS.MAX_EXPIRE_DAYS })
+    .withMessage(
+      `expiresInDays must be between 1 and ${API_KEYS.MAX_EXPIRE_DAYS}`
+    )
+    .toInt(),
+];
+
+// Player hardware for a game compatibility check, any of which may be left
+// out. Sizes in GB, clock speed in GHz.
+const HARDWARE_NUMBERS = [
+  "processorGHz",
+  "processorCores",
+  "memoryGB",
+  "graphicsMemoryGB",
+  "storageGB",
+];
+const validateHardwareProfile = [
+  body("os")
+    .optional({ values: "null" })
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage("OS must be text of at most 100 characters"),
+  ...HARDWARE_NUMBERS.map((field) =>
+    body(field)
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage(`${field} must be a number of at least 0`)
+      .toFloat()
+  ),
+  body()
+    .custom(
+      (value) =>
+        !!value &&
+        ["os", ...HARDWARE_NUMBERS].some(
+          (field) => value[field] !== undefined && value[field] !== null
+        )
+    )
+    .withMessage("Describe at least one hardware component"),
+];
+
 // MongoDB ObjectId validation
 const validateObjectId = (paramName) => {
   return (req, res, next) => {
@@ -28,5 +195,17 @@ const validateObjectId = (paramName) => {
 
 module.exports = {
   validateReview,
+  validateGame,
+  validateRegistration,
+  validateLogin,
+  validateEmail,
+  validateEmailToken,
+  validatePasswordReset,
+  validatePasswordChange,
+  validateTotpCode,
+  validateSecondFactor,
+  validateTwoFactorChallenge,
+  validateApiKey,
+  validateHardwareProfile,
   validateObjectId,
 };
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const { API_KEY_SCOPES } = require("../utils/constants");
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true, // Requests made with the key act as this user
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    prefix: {
+      type: String,
+      required: true, // First characters of the key, to tell keys apart
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true, // SHA-256 of the key, the raw value is never stored
+      select: false,
+    },
+    scopes: {
+      type: [String],
+      enum: Object.values(API_KEY_SCOPES),
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: null,
+    },
+    lastUsedIp: {
+      type: String,
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // Set when an admin created the key for the user
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+const authCodeSchema = new mongoose.Schema(
+  {
+    codeHash: {
+      type: String,
+      required: true,
+      unique: true, // SHA-256 of the code, the raw value is never stored
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    codeChallenge: {
+      type: String,
+      default: null, // PKCE challenge sent when the login was started
+    },
+    codeChallengeMethod: {
+      type: String,
+      enum: ["S256", "plain", null],
+      default: null,
+    },
+    purpose: {
+      type: String,
+      enum: ["login", "link"],
+      default: "login",
+    },
+    // Provider account waiting to be linked, for link codes
+    profile: {
+      provider: String,
+      id: String,
+      email: String,
+      emailVerified: Boolean,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+authCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AuthCode", authCodeSchema);
@@ -36,7 +36,7 @@ favoriteSchema.index({ userId: 1, gameId: 1 }, { unique: true });
 favoriteSchema.pre(/^find/, function (next) {
   this.populate({
     path: "gameId",
-    select: "title thumbnail genre platform averageRating totalReviews",
+    select: "title slug thumbnail genre platform averageRating totalReviews",
   });
   next();
 });
@@ -1,4 +1,80 @@
 const mongoose = require("mongoose");
+const { createSlug } = require("../utils/helpers");
+const {
+  PARSER_VERSION,
+  parseRequirements,
+} = require("../utils/systemRequirements");
+
+// System requirements parsed from the free-text min* and rec* fields
+const requirementLevelSchema = new mongoose.Schema(
+  {
+    os: {
+      type: [
+        {
+          _id: false,
+          family: { type: String, enum: ["windows", "macos", "linux"] },
+          version: { type: String, default: null }, // Lowest version listed
+        },
+      ],
+      default: [],
+    },
+    processorGHz: { type: Number, default: null },
+    processorCores: { type: Number, default: null },
+    memoryGB: { type: Number, default: null },
+    graphicsMemoryGB: { type: Number, default: null },
+    storageGB: { type: Number, default: null },
+  },
+  { _id: false }
+);
+
+// One screenshot or video in a game's gallery. The gallery is shown in
+// array order.
+const mediaItemSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["image", "video"],
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true, // Uploaded image, or video page / embed URL
+    },
+    publicId: {
+      type: String,
+      default: null, // Storage id of uploaded images, to delete the file
+    },
+    caption: {
+      type: String,
+      default: "",
+    },
+    focalPoint: {
+      // Where crops should centre, from the top left (0) to the bottom right (1)
+      x: { type: Number, min: 0, max: 1, default: 0.5 },
+      y: { type: Number, min: 0, max: 1, default: 0.5 },
+    },
+    width: {
+      type: Number,
+      default: null, // Images only
+    },
+    height: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Free-text requirement fields and the part of a level each one fills
+const REQUIREMENT_FIELDS = {
+  OS: "os",
+  Processor: "processor",
+  Memory: "memory",
+  Graphics: "graphics",
+  Storage: "storage",
+};
 
 const gameSchema = new mongoose.Schema(
   {
@@ -7,6 +83,35 @@ const gameSchema = new mongoose.Schema(
       required: true,
       index: true, // Index for search performance
     },
+    slug: {
+      type: String,
+      unique: true,
+      sparse: true, // Games created before slugs get one on their next save
+    },
+    slugAliases: {
+      type: [String],
+      default: [], // Previous slugs, kept so old links still resolve
+      index: true,
+    },
+    mergedIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      default: [], // Duplicates merged into this game, their ids redirect here
+      index: true,
+    },
+    externalId: {
+      type: String,
+      unique: true,
+      sparse: true, // Only games imported from the external catalogue
+    },
+    externalIdAliases: {
+      type: [String],
+      default: [], // Catalogue ids of merged duplicates, the sync skips them
+      index: true,
+    },
+    lastSyncedAt: {
+      type: Date,
+      default: null,
+    },
     thumbnail: {
       type: String,
       required: true,
@@ -15,10 +120,13 @@ const gameSchema = new mongoose.Schema(
       type: String,
       default: null, // Optional background image
     },
+    media: {
+      type: [mediaItemSchema],
+      default: [], // Screenshots and trailers, managed by GameMediaService
+    },
     shortDescription: {
       type: String,
-      required: true,
-      index: "search", // Text index for search
+      required: true, // Covered by the text index below
     },
     gameUrl: {
       type: String,
@@ -70,6 +178,33 @@ const gameSchema = new mongoose.Schema(
       type: String,
       default: null, // Optional minimum graphics requirement
     },
+    recOS: {
+      type: String,
+      default: null, // Optional recommended OS
+    },
+    recMemory: {
+      type: String,
+      default: null, // Optional recommended memory
+    },
+    recStorage: {
+      type: String,
+      default: null, // Optional recommended storage
+    },
+    recProcessor: {
+      type: String,
+      default: null, // Optional recommended processor
+    },
+    recGraphics: {
+      type: String,
+      default: null, // Optional recommended graphics
+    },
+    requirements: {
+      // Set from the min* and rec* fields on save
+      minimum: { type: requirementLevelSchema, default: null },
+      recommended: { type: requirementLevelSchema, default: null },
+      // Parser version the levels come from, unset for games never parsed
+      parserVersion: { type: Number },
+    },
     averageRating: {
       type: Number,
       default: 0,
@@ -81,6 +216,32 @@ const gameSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    status: {
+      type: String,
+      enum: ["draft", "in-review", "scheduled", "published"],
+      // Published by default for games from before the workflow and the
+      // catalogue sync. The admin routes and imports create drafts.
+      default: "published",
+      index: true,
+    },
+    publishAt: {
+      type: Date,
+      default: null, // When a scheduled game goes public
+    },
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedAt: {
+      type: Date,
+      default: null, // Set while the game is in the trash
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt automatically
@@ -91,7 +252,139 @@ const gameSchema = new mongoose.Schema(
 // Note: Cannot index parallel arrays (genre and platform are both arrays)
 gameSchema.index({ averageRating: -1, totalReviews: -1 });
 gameSchema.index({ releaseDate: -1 });
-gameSchema.index({ title: "text", shortDescription: "text" });
+gameSchema.index({ "requirements.minimum.memoryGB": 1 });
+gameSchema.index({ "requirements.minimum.storageGB": 1 });
+
+// Full-text search, ranked by text score with title matches boosted.
+// Changing the fields or weights needs `npm run sync-indexes` on existing
+// databases, MongoDB allows a single text index per collection.
+gameSchema.index(
+  {
+    title: "text",
+    shortDescription: "text",
+    developer: "text",
+    publisher: "text",
+  },
+  {
+    name: "game_text_search",
+    weights: { title: 10, shortDescription: 3, developer: 1, publisher: 1 },
+  }
+);
+
+// Games in the trash are left out of reads, including populates, unless
+// the query filters on deletedAt itself or sets { withDeleted: true }
+const excludeTrashed = function () {
+  if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) {
+    return;
+  }
+  this.where({ deletedAt: null });
+};
+gameSchema.pre(
+  ["find", "findOne", "countDocuments", "distinct"],
+  excludeTrashed
+);
+
+// Same for aggregations, whose first $match may hold a $text search that
+// has to stay the first stage
+gameSchema.pre("aggregate", function () {
+  const pipeline = this.pipeline();
+  const first = pipeline[0] && pipeline[0].$match;
+  if (first && "deletedAt" in first) {
+    return;
+  }
+  if (first) {
+    pipeline[0] = { $match: { ...first, deletedAt: null } };
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
+// Condition for games the public may see. Games saved before publication
+// states existed have no status and are published.
+gameSchema.statics.publishedFilter = function () {
+  return { status: { $in: ["published", null] } };
+};
+
+gameSchema.methods.isPublished = function () {
+  return !this.status || this.status === "published";
+};
+
+// Slugs that look like ids would be looked up as ids
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+/**
+ * Find a free slug for a title, adding -2, -3, ... when it's taken by
+ * another game's slug or alias
+ * @param {string} title - Game title
+ * @param {string} gameId - Game the slug is for, whose own slugs are free
+ * @returns {string} Unique slug
+ */
+gameSchema.statics.generateSlug = async function (title, gameId = null) {
+  const base = createSlug(title) || "game";
+
+  for (let suffix = 1; ; suffix++) {
+    const candidate = suffix === 1 ? base : `${base}-${suffix}`;
+    if (OBJECT_ID_PATTERN.test(candidate)) {
+      continue;
+    }
+    // Trashed games keep their slugs
+    const taken = await this.exists({
+      _id: { $ne: gameId },
+      $or: [{ slug: candidate }, { slugAliases: candidate }],
+    }).setOptions({ withDeleted: true });
+    if (!taken) {
+      return candidate;
+    }
+  }
+};
+
+// Give new games a slug, and a new one when the title changes. The old
+// slug becomes an alias.
+gameSchema.pre("validate", async function () {
+  if (this.slug && !this.isModified("title")) {
+    return;
+  }
+
+  const slug = await this.constructor.generateSlug(this.title, this._id);
+  if (slug === this.slug) {
+    return;
+  }
+
+  const aliases = this.slugAliases.filter((alias) => alias !== slug);
+  if (this.slug && !aliases.includes(this.slug)) {
+    aliases.push(this.slug);
+  }
+  this.slug = slug;
+  this.slugAliases = aliases;
+});
+
+// Parse the free-text requirements when they change, or for games last
+// parsed by another version of the parser (or never)
+gameSchema.pre("validate", function () {
+  const paths = Object.keys(REQUIREMENT_FIELDS).flatMap((name) => [
+    `min${name}`,
+    `rec${name}`,
+  ]);
+  if (
+    this.requirements.parserVersion === PARSER_VERSION &&
+    !paths.some((path) => this.isModified(path))
+  ) {
+    return;
+  }
+
+  ["min", "rec"].forEach((prefix) => {
+    const text = {};
+    Object.entries(REQUIREMENT_FIELDS).forEach(([name, part]) => {
+      text[part] = this[`${prefix}${name}`];
+    });
+    const level = prefix === "min" ? "minimum" : "recommended";
+    this.requirements[level] = Object.values(text).some(Boolean)
+      ? parseRequirements(text)
+      : null;
+  });
+  this.requirements.parserVersion = PARSER_VERSION;
+  this.markModified("requirements");
+});
 
 // Virtual for formatted release date
 gameSchema.virtual("formattedReleaseDate").get(function () {
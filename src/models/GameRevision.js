@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+const fieldChangeSchema = new mongoose.Schema(
+  {
+    field: {
+      type: String,
+      required: true,
+    },
+    from: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    to: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// One recorded change to a game. Revisions outlive the game so a deleted
+// game can be restored.
+const gameRevisionSchema = new mongoose.Schema(
+  {
+    gameId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    rev: {
+      type: Number,
+      required: true, // 1, 2, ... per game
+    },
+    action: {
+      type: String,
+      // baseline: state before the first recorded change of an older game,
+      // merge: a duplicate folded into the game
+      enum: ["baseline", "create", "update", "delete", "restore", "merge"],
+      required: true,
+    },
+    source: {
+      type: String,
+      // schedule: a scheduled game going public
+      enum: ["admin", "import", "sync", "merge", "schedule"],
+      default: "admin",
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // Null for the scheduled sync and scripts
+    },
+    restoredFrom: {
+      type: Number,
+      default: null, // Revision a restore went back to
+    },
+    mergedFrom: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null, // Duplicate a merge folded in
+    },
+    changes: {
+      type: [fieldChangeSchema],
+      default: [],
+    },
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true, // Tracked fields after the change, before it for deletes
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+gameRevisionSchema.index({ gameId: 1, rev: -1 }, { unique: true });
+
+module.exports = mongoose.model("GameRevision", gameRevisionSchema);
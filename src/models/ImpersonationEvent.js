@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// Audit trail of an impersonation session: start, stop, and every request
+// made (or refused) with the impersonation token
+const impersonationEventSchema = new mongoose.Schema(
+  {
+    impersonationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ImpersonationSession",
+      required: true,
+      index: true,
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["start", "stop", "request", "denied"],
+      required: true,
+    },
+    method: {
+      type: String,
+      default: null,
+    },
+    path: {
+      type: String,
+      default: null,
+    },
+    statusCode: {
+      type: Number,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+module.exports = mongoose.model("ImpersonationEvent", impersonationEventSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+const impersonationSessionSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true, // Superadmin acting as the target
+    },
+    targetUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    reason: {
+      type: String,
+      required: true, // e.g. the support ticket being investigated
+    },
+    readOnly: {
+      type: Boolean,
+      default: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    endedAt: {
+      type: Date,
+      default: null,
+    },
+    endedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // createdAt is the start time
+  }
+);
+
+module.exports = mongoose.model(
+  "ImpersonationSession",
+  impersonationSessionSchema
+);
@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Named lock shared by every server instance. A lock whose holder stops
+// renewing it is free again once it expires.
+const lockSchema = new mongoose.Schema(
+  {
+    _id: {
+      type: String, // Lock name
+    },
+    owner: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+module.exports = mongoose.model("Lock", lockSchema);
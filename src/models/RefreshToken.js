@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true, // SHA-256 of the token, the raw value is never stored
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true, // All tokens rotated from the same login share a family
+    },
+    sessionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      default: null,
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["rotated", "logout", "reuse-detected", "user-revoked", null],
+      default: null,
+    },
+    replacedByHash: {
+      type: String,
+      default: null, // Hash of the token issued when this one was rotated
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Let MongoDB drop tokens once they can no longer be used
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
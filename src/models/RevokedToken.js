@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const revokedTokenSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true, // Matches the token's own expiry
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Entries are only needed until the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RevokedToken", revokedTokenSchema);
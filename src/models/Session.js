@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    userAgent: {
+      type: String,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: null,
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    mfaVerifiedAt: {
+      type: Date,
+      default: null, // Set once the second factor was checked for this session
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true, // createdAt doubles as the login time
+  }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+
+const syncFailureSchema = new mongoose.Schema(
+  {
+    externalId: {
+      type: String,
+      default: null,
+    },
+    title: {
+      type: String,
+      default: null,
+    },
+    error: {
+      type: String,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// One run of the game catalogue sync, with the report of GameSyncService
+const syncRunSchema = new mongoose.Schema(
+  {
+    trigger: {
+      type: String,
+      enum: ["schedule", "manual", "script"],
+      required: true,
+    },
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null, // Set for manual runs
+    },
+    dryRun: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["running", "completed", "failed"],
+      default: "running",
+      index: true,
+    },
+    instance: {
+      type: String,
+      default: null, // Process that ran the sync
+    },
+    source: {
+      type: String,
+      default: null,
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+    pages: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
+    created: {
+      type: Number,
+      default: 0,
+    },
+    updated: {
+      type: Number,
+      default: 0,
+    },
+    unchanged: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    failures: {
+      type: [syncFailureSchema],
+      default: [],
+    },
+    error: {
+      type: String,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+syncRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model("SyncRun", syncRunSchema);
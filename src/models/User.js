@@ -1,11 +1,76 @@
 const mongoose = require("mongoose");
 
+// An external sign-in method (Google, GitHub, Discord, ...) linked to a user
+const identitySchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    providerId: {
+      type: String,
+      required: true,
+    },
+    email: {
+      type: String,
+      default: null,
+      lowercase: true,
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false, // Whether the provider vouched for the email
+    },
+    linkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Suspension or ban applied by a superadmin
+const moderationSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: ["active", "suspended", "banned"],
+      default: "active",
+    },
+    reason: {
+      type: String,
+      default: null,
+    },
+    until: {
+      type: Date,
+      default: null, // null means until reinstated
+    },
+    appealNote: {
+      type: String,
+      default: null, // Shown to the user, e.g. how to appeal
+    },
+    actionedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    actionedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
 const userSchema = new mongoose.Schema(
   {
     googleId: {
       type: String,
-      required: true,
       unique: true,
+      sparse: true, // Legacy: Google accounts created before identities existed
+    },
+    identities: {
+      type: [identitySchema],
+      default: [],
     },
     email: {
       type: String,
@@ -35,12 +100,94 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: null, // Cloudinary public_id for deletion (only for uploaded avatars)
     },
+    passwordHash: {
+      type: String,
+      default: null,
+      select: false, // Only loaded explicitly for password checks
+    },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    passwordResetTokenHash: {
+      type: String,
+      default: null,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      default: null,
+      select: false,
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      default: null,
+      select: false, // Base32 TOTP secret
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      default: null,
+      select: false, // Secret awaiting confirmation during enrolment
+    },
+    twoFactorRecoveryCodes: {
+      type: [String],
+      default: [],
+      select: false, // SHA-256 hashes of unused recovery codes
+    },
+    twoFactorLastUsedStep: {
+      type: Number,
+      default: null,
+      select: false, // Last accepted TOTP time step, prevents code replay
+    },
+    moderation: {
+      type: moderationSchema,
+      default: () => ({}),
+    },
+    tokenVersion: {
+      type: Number,
+      default: 0, // Bumped to invalidate every access token issued so far
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt automatically
   }
 );
 
+// A provider account can only be linked to one user
+userSchema.index(
+  { "identities.provider": 1, "identities.providerId": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.providerId": { $exists: true } },
+  }
+);
+
+// Current moderation status, treating an expired suspension or ban as lifted
+userSchema.methods.getModerationStatus = function () {
+  const moderation = this.moderation;
+  if (!moderation || !moderation.status || moderation.status === "active") {
+    return "active";
+  }
+  if (moderation.until && moderation.until.getTime() <= Date.now()) {
+    return "active";
+  }
+  return moderation.status;
+};
+
 // Virtual field for backward compatibility
 userSchema.virtual("avatarUrl").get(function () {
   return this.avatar;
@@ -1,17 +1,107 @@
 const express = require("express");
 const router = express.Router();
-const { auth, requireRole } = require("../middleware/auth");
+const { auth, requireRole, requireScope } = require("../middleware/auth");
 const { thumbnailUpload } = require("../config/cloudinary");
 const Game = require("../models/Game");
 const Review = require("../models/Review");
 const User = require("../models/User");
 const Favorite = require("../models/Favorite");
+const ApiKeyService = require("../services/apiKeyService");
+const ModerationService = require("../services/moderationService");
+const ImpersonationService = require("../services/impersonationService");
+const autocompleteService = require("../services/autocompleteService");
+const SyncRunService = require("../services/syncRunService");
+const GameTransferService = require("../services/gameTransferService");
+const GameMergeService = require("../services/gameMergeService");
+const GameRevisionService = require("../services/gameRevisionService");
+const GameTrashService = require("../services/gameTrashService");
+const GamePublicationService = require("../services/gamePublicationService");
+const GameMediaService = require("../services/gameMediaService");
+const { paginateByCursor } = require("../utils/cursor");
+const { escapeRegex } = require("../utils/textSearch");
 const { body, validationResult } = require("express-validator");
+const {
+  gameImportUpload,
+  gameMediaUpload,
+  handleMulterError,
+} = require("../middleware/upload");
+const {
+  validateGame,
+  validateApiKey,
+  validateObjectId,
+} = require("../middleware/validation");
+const {
+  API_KEY_SCOPES,
+  ERROR_MESSAGES,
+  SUCCESS_MESSAGES,
+  GAME_TRANSFER,
+  GAME_DUPLICATES,
+  GAME_PUBLICATION,
+  GAME_MEDIA,
+} = require("../utils/constants");
 
 // Middleware to check for admin or superadmin role
 const requireAdmin = requireRole(["admin", "superadmin"]);
 const requireSuperAdmin = requireRole(["superadmin"]);
 
+// Scopes that let API keys call a route (routes without one refuse keys)
+const gamesRead = requireScope(API_KEY_SCOPES.GAMES_READ);
+const gamesWrite = requireScope(API_KEY_SCOPES.GAMES_WRITE);
+const reviewsModerate = requireScope(API_KEY_SCOPES.REVIEWS_MODERATE);
+const statsRead = requireScope(API_KEY_SCOPES.STATS_READ);
+
+// Admin game list search over title, developer and publisher, optionally
+// narrowed to one publication status, shared by the list and the export
+const buildGameSearchFilter = (search = "", status) => {
+  // Matched literally, search is user input
+  const pattern = new RegExp(escapeRegex(search), "i");
+  const filter = search
+    ? {
+        $or: [
+          { title: pattern },
+          { developer: pattern },
+          { publisher: pattern },
+        ],
+      }
+    : {};
+  if (status) {
+    filter.status =
+      status === "published" ? { $in: ["published", null] } : status;
+  }
+  return filter;
+};
+
+// Responses for the errors GameMediaService throws
+const MEDIA_ERROR_STATUS = {
+  [ERROR_MESSAGES.GAME_NOT_FOUND]: 404,
+  [ERROR_MESSAGES.GAME_MEDIA_NOT_FOUND]: 404,
+  [ERROR_MESSAGES.GAME_MEDIA_LIMIT]: 409,
+  [ERROR_MESSAGES.GAME_MEDIA_ORDER_INVALID]: 400,
+  [ERROR_MESSAGES.GAME_MEDIA_STORAGE_FAILED]: 502,
+};
+
+// Caption and focal point of a gallery item, each optional
+const mediaDetailsRules = [
+  body("caption")
+    .optional()
+    .isString()
+    .isLength({ max: GAME_MEDIA.CAPTION_MAX_LENGTH })
+    .withMessage(
+      `Caption cannot exceed ${GAME_MEDIA.CAPTION_MAX_LENGTH} characters`
+    ),
+  ...["x", "y"].map((axis) =>
+    body(`focalPoint.${axis}`)
+      .optional()
+      .isFloat({ min: 0, max: 1 })
+      .withMessage(`focalPoint.${axis} must be a number from 0 to 1`)
+      .toFloat()
+  ),
+];
+
+// Whether ?status= is missing or a publication status
+const isValidStatusFilter = (status) =>
+  status === undefined || GAME_PUBLICATION.STATUSES.includes(status);
+
 // =============================================================================
 // IMAGE UPLOAD ROUTES (Admin & SuperAdmin)
 // =============================================================================
@@ -21,6 +111,7 @@ const requireSuperAdmin = requireRole(["superadmin"]);
 // @access  Admin/SuperAdmin
 router.post(
   "/upload/thumbnail",
+  gamesWrite,
   auth,
   requireAdmin,
   thumbnailUpload.single("thumbnail"),
@@ -58,6 +149,7 @@ router.post(
 // @access  Admin/SuperAdmin
 router.post(
   "/upload/background",
+  gamesWrite,
   auth,
   requireAdmin,
   thumbnailUpload.single("background"),
@@ -95,25 +187,37 @@ router.post(
 // =============================================================================
 
 // @route   GET /api/admin/games
-// @desc    Get all games with pagination (for admin management)
+// @desc    Get all games with pagination (for admin management), including
+//          unpublished ones (?search=&status=)
 // @access  Admin/SuperAdmin
-router.get("/games", auth, requireAdmin, async (req, res) => {
+router.get("/games", gamesRead, auth, requireAdmin, async (req, res) => {
+  if (!isValidStatusFilter(req.query.status)) {
+    return res.status(400).json({
+      success: false,
+      message: ERROR_MESSAGES.GAME_INVALID_STATUS,
+    });
+  }
+
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const skip = (page - 1) * limit;
-    const search = req.query.search || "";
+    const filter = buildGameSearchFilter(req.query.search, req.query.status);
 
-    // Build search filter
-    const filter = search
-      ? {
-          $or: [
-            { title: new RegExp(search, "i") },
-            { developer: new RegExp(search, "i") },
-            { publisher: new RegExp(search, "i") },
-          ],
-        }
-      : {};
+    // Cursor mode: an empty cursor asks for the first page
+    if (req.query.cursor !== undefined) {
+      const result = await paginateByCursor(
+        Game.find(filter).lean(),
+        { createdAt: -1 },
+        req.query.cursor,
+        req.query.limit
+      );
+      return res.json({
+        success: true,
+        data: result.items,
+        pagination: result.pagination,
+      });
+    }
 
     const [games, totalGames] = await Promise.all([
       Game.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
@@ -135,6 +239,13 @@ router.get("/games", auth, requireAdmin, async (req, res) => {
       },
     });
   } catch (error) {
+    if (error.message === ERROR_MESSAGES.VALIDATION_INVALID_CURSOR) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     console.error("Admin get games error:", error);
     res.status(500).json({
       success: false,
@@ -145,31 +256,15 @@ router.get("/games", auth, requireAdmin, async (req, res) => {
 });
 
 // @route   POST /api/admin/games
-// @desc    Create a new game
+// @desc    Create a new game, as a draft unless a status is given (status,
+//          publishAt)
 // @access  Admin/SuperAdmin
 router.post(
   "/games",
+  gamesWrite,
   auth,
   requireAdmin,
-  [
-    body("title").notEmpty().withMessage("Title is required"),
-    body("thumbnail").isURL().withMessage("Valid thumbnail URL is required"),
-    body("shortDescription")
-      .notEmpty()
-      .withMessage("Short description is required"),
-    body("gameUrl").isURL().withMessage("Valid game URL is required"),
-    body("genre")
-      .isArray({ min: 1 })
-      .withMessage("At least one genre is required"),
-    body("platform")
-      .isArray({ min: 1 })
-      .withMessage("At least one platform is required"),
-    body("publisher").notEmpty().withMessage("Publisher is required"),
-    body("developer").notEmpty().withMessage("Developer is required"),
-    body("releaseDate")
-      .isISO8601()
-      .withMessage("Valid release date is required"),
-  ],
+  validateGame,
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -181,8 +276,19 @@ router.post(
         });
       }
 
+      // Slugs are set by the model, publication fields by applyStatus and
+      // the gallery through the media routes
+      const {
+        slug,
+        slugAliases,
+        media,
+        status = "draft",
+        publishAt,
+        publishedAt,
+        ...fields
+      } = req.body;
       const gameData = {
-        ...req.body,
+        ...fields,
         releaseDate: new Date(req.body.releaseDate),
         averageRating: 0,
         totalReviews: 0,
@@ -190,7 +296,15 @@ router.post(
       };
 
       const game = new Game(gameData);
+      GamePublicationService.applyStatus(game, { status, publishAt });
       await game.save();
+      autocompleteService.refresh();
+      await GameRevisionService.record({
+        gameId: game._id,
+        action: "create",
+        after: GameRevisionService.snapshot(game),
+        author: req.user._id,
+      });
 
       res.status(201).json({
         success: true,
@@ -198,13 +312,24 @@ router.post(
         data: game,
       });
     } catch (error) {
+      if (
+        error.message === ERROR_MESSAGES.GAME_INVALID_STATUS ||
+        error.message === ERROR_MESSAGES.GAME_PUBLISH_AT_INVALID
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
       console.error("Admin create game error:", error);
 
-      // Handle duplicate key error
+      // Titles aren't unique, see GET /api/admin/games/duplicates. Only a
+      // slug or external id can clash, when two saves race.
       if (error.code === 11000) {
-        return res.status(400).json({
+        return res.status(409).json({
           success: false,
-          message: "A game with this title already exists",
+          message: "A game with this slug or external id already exists",
         });
       }
 
@@ -222,6 +347,7 @@ router.post(
 // @access  Admin/SuperAdmin
 router.put(
   "/games/:id",
+  gamesWrite,
   auth,
   requireAdmin,
   [
@@ -266,11 +392,7 @@ router.put(
         updateData.releaseDate = new Date(updateData.releaseDate);
       }
 
-      const game = await Game.findByIdAndUpdate(gameId, updateData, {
-        new: true,
-        runValidators: true,
-      });
-
+      const game = await Game.findById(gameId);
       if (!game) {
         return res.status(404).json({
           success: false,
@@ -278,6 +400,27 @@ router.put(
         });
       }
 
+      // Saved rather than updated in place so a new title gets a new slug
+      // (slugs are managed by the model). Publication goes through
+      // PUT /api/admin/games/:id/status, the gallery through the media routes.
+      delete updateData.slug;
+      delete updateData.slugAliases;
+      delete updateData.media;
+      delete updateData.status;
+      delete updateData.publishAt;
+      delete updateData.publishedAt;
+      const before = GameRevisionService.snapshot(game);
+      game.set(updateData);
+      await game.save();
+      autocompleteService.refresh();
+      await GameRevisionService.record({
+        gameId: game._id,
+        action: "update",
+        before,
+        after: GameRevisionService.snapshot(game),
+        author: req.user._id,
+      });
+
       res.json({
         success: true,
         message: "Game updated successfully",
@@ -294,155 +437,1073 @@ router.put(
   }
 );
 
-// @route   DELETE /api/admin/games/:id
-// @desc    Delete a game
+// @route   PUT /api/admin/games/:id/status
+// @desc    Move a game through the publication workflow: draft, in-review,
+//          scheduled (with a future publishAt) or published
 // @access  Admin/SuperAdmin
-router.delete("/games/:id", auth, requireAdmin, async (req, res) => {
-  try {
-    const gameId = req.params.id;
+router.put(
+  "/games/:id/status",
+  gamesWrite,
+  auth,
+  requireAdmin,
+  validateObjectId("id"),
+  [
+    body("status")
+      .isIn(GAME_PUBLICATION.STATUSES)
+      .withMessage(ERROR_MESSAGES.GAME_INVALID_STATUS),
+    body("publishAt")
+      .if(body("status").equals("scheduled"))
+      .isISO8601()
+      .withMessage(ERROR_MESSAGES.GAME_PUBLISH_AT_INVALID),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
 
-    const game = await Game.findById(gameId);
-    if (!game) {
-      return res.status(404).json({
+      const game = await GamePublicationService.setStatus(
+        req.params.id,
+        { status: req.body.status, publishAt: req.body.publishAt },
+        req.user._id
+      );
+
+      res.json({
+        success: true,
+        message: SUCCESS_MESSAGES.GAME_STATUS_UPDATED,
+        data: game,
+      });
+    } catch (error) {
+      if (error.message === ERROR_MESSAGES.GAME_NOT_FOUND) {
+        return res.status(404).json({
+          success: false,
+          message: "Game not found",
+        });
+      }
+      if (error.message === ERROR_MESSAGES.GAME_PUBLISH_AT_INVALID) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Admin update game status error:", error);
+      res.status(500).json({
         success: false,
-        message: "Game not found",
+        message: "Failed to update game status",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Delete all reviews associated with this game
-    await Review.deleteMany({ game: gameId });
+// @route   DELETE /api/admin/games/:id
+// @desc    Move a game to the trash, hiding it from public listings
+// @access  Admin/SuperAdmin
+router.delete(
+  "/games/:id",
+  gamesWrite,
+  auth,
+  requireAdmin,
+  validateObjectId("id"),
+  async (req, res) => {
+    try {
+      const game = await GameTrashService.trashGame(
+        req.params.id,
+        req.user._id
+      );
 
-    // Delete the game
-    await Game.findByIdAndDelete(gameId);
+      res.json({
+        success: true,
+        message: SUCCESS_MESSAGES.GAME_TRASHED,
+        data: {
+          _id: game._id,
+          deletedAt: game.deletedAt,
+          purgeAt: GameTrashService.getPurgeDate(game),
+        },
+      });
+    } catch (error) {
+      if (error.message === ERROR_MESSAGES.GAME_NOT_FOUND) {
+        return res.status(404).json({
+          success: false,
+          message: "Game not found",
+        });
+      }
 
-    res.json({
-      success: true,
-      message: "Game and associated reviews deleted successfully",
-    });
-  } catch (error) {
-    console.error("Admin delete game error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Failed to delete game",
-      error: error.message,
-    });
+      console.error("Admin delete game error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete game",
+        error: error.message,
+      });
+    }
   }
-});
-
-// =============================================================================
-// REVIEW MANAGEMENT ROUTES (Admin & SuperAdmin)
-// =============================================================================
+);
 
-// @route   GET /api/admin/reviews
-// @desc    Get all reviews with pagination (for admin management)
+// @route   GET /api/admin/games/trash
+// @desc    List trashed games with their purge dates (?cursor=&limit=)
 // @access  Admin/SuperAdmin
-router.get("/reviews", auth, requireAdmin, async (req, res) => {
+router.get("/games/trash", gamesRead, auth, requireAdmin, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    const gameId = req.query.gameId;
-
-    // Build filter
-    const filter = gameId ? { gameId: gameId } : {};
-
-    const [reviews, totalReviews] = await Promise.all([
-      Review.find(filter)
-        .populate("gameId", "title")
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit)
-        .lean(),
-      Review.countDocuments(filter),
-    ]);
-
-    // Manually populate user data for each review
-    const populatedReviews = await Promise.all(
-      reviews.map(async (review) => {
-        const user = await User.findById(review.userId).lean();
-        return {
-          ...review,
-          userId: {
-            _id: user._id,
-            name: user.name,
-            username: user.username,
-            avatar: user.avatar,
-            avatarUrl: user.avatar,
-          },
-        };
-      })
+    const result = await GameTrashService.listTrash(
+      req.query.cursor,
+      req.query.limit
     );
 
-    const totalPages = Math.ceil(totalReviews / limit);
-
     res.json({
       success: true,
-      data: populatedReviews,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalReviews,
-        reviewsPerPage: limit,
-        hasNextPage: page < totalPages,
-        hasPreviousPage: page > 1,
-      },
+      data: result.items,
+      pagination: result.pagination,
+      retentionDays: GameTrashService.getRetentionDays(),
     });
   } catch (error) {
-    console.error("Admin get reviews error:", error);
+    if (error.message === ERROR_MESSAGES.VALIDATION_INVALID_CURSOR) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Admin get trash error:", error);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch reviews",
+      message: "Failed to fetch trashed games",
       error: error.message,
     });
   }
 });
 
-// @route   DELETE /api/admin/reviews/:id
-// @desc    Delete a review
+// @route   POST /api/admin/games/:id/restore
+// @desc    Restore a game from the trash
 // @access  Admin/SuperAdmin
-router.delete("/reviews/:id", auth, requireAdmin, async (req, res) => {
-  try {
-    const reviewId = req.params.id;
+router.post(
+  "/games/:id/restore",
+  gamesWrite,
+  auth,
+  requireAdmin,
+  validateObjectId("id"),
+  async (req, res) => {
+    try {
+      const game = await GameTrashService.restoreGame(
+        req.params.id,
+        req.user._id
+      );
 
-    const review = await Review.findById(reviewId);
-    if (!review) {
-      return res.status(404).json({
+      res.json({
+        success: true,
+        message: SUCCESS_MESSAGES.GAME_RESTORED,
+        data: game,
+      });
+    } catch (error) {
+      if (error.message === ERROR_MESSAGES.GAME_NOT_IN_TRASH) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Admin restore game error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to restore game",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/games/:id/purge
+// @desc    Permanently delete a trashed game with its reviews, favorites and
+//          gallery files
+// @access  Admin/SuperAdmin
+router.delete(
+  "/games/:id/purge",
+  gamesWrite,
+  auth,
+  requireAdmin,
+  validateObjectId("id"),
+  async (req, res) => {
+    try {
+      const result = await GameTrashService.purgeGame(req.params.id);
+
+      res.json({
+        success: true,
+        message: SUCCESS_MESSAGES.GAME_PURGED,
+        data: result,
+      });
+    } catch (error) {
+      if (error.message === ERROR_MESSAGES.GAME_NOT_IN_TRASH) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Admin purge game error:", error);
+      res.status(500).json({
         success: false,
-        message: "Review not found",
+        message: "Failed to purge game",
+        error: error.message,
       });
     }
+  }
+);
 
-    // Delete the review
-    await Review.findByIdAndDelete(reviewId);
+// @route   POST /api/admin/games/import
+// @desc    Import games from CSV or JSON lines, sent as a "file" upload or
+//          as the raw body (?format=csv|jsonl&mode=insert|upsert-title|upsert-slug&dryRun=true)
+// @access  Admin/SuperAdmin
+router.post(
+  "/games/import",
+  gamesWrite,
+  auth,
+  requireAdmin,
+  gameImportUpload,
+  express.text({
+    type: [
+      "text/csv",
+      "text/plain",
+      "application/x-ndjson",
+      "application/jsonl",
+      "application/x-jsonlines",
+    ],
+    limit: GAME_TRANSFER.MAX_FILE_SIZE,
+  }),
+  handleMulterError, // Also catches a raw body over the limit
+  async (req, res) => {
+    try {
+      const content = req.file
+        ? req.file.buffer.toString("utf8")
+        : typeof req.body === "string"
+        ? req.body
+        : "";
+      if (!content.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: ERROR_MESSAGES.IMPORT_NO_FILE,
+        });
+      }
 
-    // Update game's rating and review count
-    const reviews = await Review.find({ gameId: review.gameId });
-    const totalReviews = reviews.length;
-    const averageRating =
-      totalReviews > 0
-        ? reviews.reduce((sum, r) => sum + r.rating, 0) / totalReviews
-        : 0;
+      const format = GameTransferService.detectFormat({
+        format: req.query.format,
+        fileName: req.file ? req.file.originalname : null,
+        contentType: req.file ? null : req.headers["content-type"],
+      });
+      const dryRun = req.query.dryRun === "true";
 
-    await Game.findByIdAndUpdate(review.gameId, {
-      averageRating: Math.round(averageRating * 10) / 10, // Round to 1 decimal
-      totalReviews,
-    });
+      const report = await GameTransferService.importGames(content, {
+        format,
+        mode: req.query.mode || "insert",
+        dryRun,
+        author: req.user._id,
+      });
 
-    res.json({
-      success: true,
-      message: "Review deleted successfully",
+      res.json({
+        success: true,
+        message: dryRun
+          ? SUCCESS_MESSAGES.GAMES_IMPORT_CHECKED
+          : SUCCESS_MESSAGES.GAMES_IMPORTED,
+        data: report,
+      });
+    } catch (error) {
+      if (
+        [
+          ERROR_MESSAGES.IMPORT_INVALID_FORMAT,
+          ERROR_MESSAGES.IMPORT_INVALID_MODE,
+          ERROR_MESSAGES.IMPORT_INVALID_FILE,
+          ERROR_MESSAGES.IMPORT_TOO_MANY_ROWS,
+        ].some((message) => error.message.startsWith(message))
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Admin import games error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to import games",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/games/export
+// @desc    Download the catalogue as CSV or JSON lines, filtered like the
+//          admin game list (?format=csv|jsonl&search=&status=)
+// @access  Admin/SuperAdmin
+router.get("/games/export", gamesRead, auth, requireAdmin, async (req, res) => {
+  const format = req.query.format || "csv";
+  if (!GAME_TRANSFER.FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: ERROR_MESSAGES.EXPORT_INVALID_FORMAT,
     });
+  }
+  if (!isValidStatusFilter(req.query.status)) {
+    return res.status(400).json({
+      success: false,
+      message: ERROR_MESSAGES.GAME_INVALID_STATUS,
+    });
+  }
+
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", GameTransferService.getContentType(format));
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="games-${date}.${format}"`
+    );
+
+    await GameTransferService.exportGames(
+      buildGameSearchFilter(req.query.search, req.query.status),
+      format,
+      res
+    );
   } catch (error) {
-    console.error("Admin delete review error:", error);
+    console.error("Admin export games error:", error);
+
+    // Once rows are sent the status can't change, cut the download short
+    // so it isn't mistaken for a complete file
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.removeHeader("Content-Disposition");
+    res.removeHeader("Content-Type");
     res.status(500).json({
       success: false,
-      message: "Failed to delete review",
+      message: "Failed to export games",
       error: error.message,
     });
   }
 });
 
-// =============================================================================
+// @route   GET /api/admin/games/duplicates
+// @desc    Find groups of games that look like duplicates (?minScore=0.85)
+// @access  Admin/SuperAdmin
+router.get(
+  "/games/duplicates",
+  gamesRead,
+  auth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const minScore =
+        req.query.minScore === undefined
+          ? GAME_DUPLICATES.MIN_SCORE
+          : Number(req.query.minScore);
+      if (!(minScore > 0 && minScore <= 1)) {
+        return res.status(400).json({
+          success: false,
+          message: "minScore must be a number above 0 and at most 1",
+        });
+      }
+
+      const groups = await GameMergeService.findDuplicates(minScore);
+
+      res.json({
+        success: true,
+        data: groups,
+        count: groups.length,
+      });
+    } catch (error) {
+      console.error("Admin find duplicate games error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to find duplicate games",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/games/:id/merge
+// @desc    Merge a duplicate game into a canonical one ({ canonicalId })
+// @access  Admin/SuperAdmin
+router.post(
+  "/games/:id/merge",
+  gamesWrite,
+  auth,
+  requireAdmin,
+  validateObjectId("id"),
+  [
+    body("canonicalId")
+      .isMongoId()
+      .withMessage("Valid canonicalId is required"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const result = await GameMergeService.mergeGames(
+        req.params.id,
+        req.body.canonicalId,
+        req.user._id
+      );
+
+      res.json({
+        success: true,
+        message: SUCCESS_MESSAGES.GAMES_MERGED,
+        data: result,
+      });
+    } catch (error) {
+      if (
+        [
+          ERROR_MESSAGES.GAME_NOT_FOUND,
+          ERROR_MESSAGES.MERGE_TARGET_NOT_FOUND,
+        ].includes(error.message)
+      ) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      if (error.message === ERROR_MESSAGES.MERGE_SAME_GAME) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Admin merge games error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to merge games",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/games/:id/revisions
+// @desc    List a game's revisions with their field changes, newest first,
+//          also for deleted games (?cursor=&limit=)
+// @access  Admin/SuperAdmin
+router.get(
+  "/games/:id/revisions",
+  gamesRead,
+  auth,
+  requireAdmin,
+  validateObjectId("id"),
+  async (req, res) => {
+    try {
+      const result = await GameRevisionService.listRevisions(
+        req.params.id,
+        req.query.cursor,
+        req.query.limit
+      );
+
+      res.json({
+        success: true,
+        data: result.items,
+        pagination: result.pagination,
+      });
+    } catch (error) {
+      if (error.message === ERROR_MESSAGES.VALIDATION_INVALID_CURSOR) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Admin get game revisions error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch game revisions",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/games/:id/revisions/:rev/restore
+// @desc    Roll a game back to a revision, recreating it if it was deleted
+// @access  Admin/SuperAdmin
+router.post(
+  "/games/:id/revisions/:rev/restore",
+  gamesWrite,
+  auth,
+  requireAdmin,
+  validateObjectId("id"),
+  async (req, res) => {
+    try {
+      const rev = Number(req.params.rev);
+      if (!Number.isInteger(rev) || rev < 1) {
+        return res.status(400).json({
+          success: false,
+          message: "Revision must be a positive integer",
+        });
+      }
+
+      const result = await GameRevisionService.restoreRevision(
+        req.params.id,
+        rev,
+        req.user._id
+      );
+
+      res.json({
+        success: true,
+        message: SUCCESS_MESSAGES.GAME_REVISION_RESTORED,
+        data: result,
+      });
+    } catch (error) {
+      if (error.message === ERROR_MESSAGES.GAME_REVISION_NOT_FOUND) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+      if (error.message === ERROR_MESSAGES.GAME_REVISION_CURRENT) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Admin restore game revision error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to restore game revision",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// =============================================================================
+// GAME MEDIA ROUTES (Admin & SuperAdmin)
+// =============================================================================
+
+// @route   POST /api/admin/games/:id/media
+// @desc    Add a screenshot (multipart "image" file) or a video (url) to the
+//          end of a game's gallery, with an optional caption and focal point
+// @access  Admin/SuperAdmin
+router.post(
+  "/games/:id/media",
+  gamesWrite,
+  auth,
+  requireAdmin,
+  validateObjectId("id"),
+  gameMediaUpload,
+  handleMulterError,
+  [
+    body("url")
+      .if((value, { req }) => !req.file)
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Upload an image or give a valid video URL"),
+    ...mediaDetailsRules,
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { url, caption, focalPoint } = req.body;
+      const item = req.file
+        ? await GameMediaService.addImage(req.params.id, req.file, {
+            caption,
+            focalPoint,
+          })
+        : await GameMediaService.addVideo(req.params.id, {
+            url,
+            caption,
+            focalPoint,
+          });
+
+      res.status(201).json({
+        success: true,
+        message: SUCCESS_MESSAGES.GAME_MEDIA_ADDED,
+        data: item,
+      });
+    } catch (error) {
+      const status = MEDIA_ERROR_STATUS[error.message];
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Admin add game media error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to add media item",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/games/:id/media/order
+// @desc    Reorder a game's gallery (order: every media item ID, in the new
+//          order)
+// @access  Admin/SuperAdmin
+router.put(
+  "/games/:id/media/order",
+  gamesWrite,
+  auth,
+  requireAdmin,
+  validateObjectId("id"),
+  [
+    body("order").isArray().withMessage("Order must be a list of media IDs"),
+    body("order.*").isMongoId().withMessage("Invalid media ID in order"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const media = await GameMediaService.reorder(
+        req.params.id,
+        req.body.order
+      );
+
+      res.json({
+        success: true,
+        message: SUCCESS_MESSAGES.GAME_MEDIA_REORDERED,
+        data: media,
+      });
+    } catch (error) {
+      const status = MEDIA_ERROR_STATUS[error.message];
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Admin reorder game media error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reorder media",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   PUT /api/admin/games/:id/media/:mediaId
+// @desc    Change a gallery item's caption or focal point
+// @access  Admin/SuperAdmin
+router.put(
+  "/games/:id/media/:mediaId",
+  gamesWrite,
+  auth,
+  requireAdmin,
+  validateObjectId("id"),
+  validateObjectId("mediaId"),
+  [
+    ...mediaDetailsRules,
+    body()
+      .custom(
+        (value) =>
+          !!value &&
+          (value.caption !== undefined || value.focalPoint !== undefined)
+      )
+      .withMessage("Give a caption or a focal point to change"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const item = await GameMediaService.updateItem(
+        req.params.id,
+        req.params.mediaId,
+        { caption: req.body.caption, focalPoint: req.body.focalPoint }
+      );
+
+      res.json({
+        success: true,
+        message: SUCCESS_MESSAGES.GAME_MEDIA_UPDATED,
+        data: item,
+      });
+    } catch (error) {
+      const status = MEDIA_ERROR_STATUS[error.message];
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Admin update game media error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update media item",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/games/:id/media/:mediaId
+// @desc    Remove a gallery item and delete its uploaded file from storage
+// @access  Admin/SuperAdmin
+router.delete(
+  "/games/:id/media/:mediaId",
+  gamesWrite,
+  auth,
+  requireAdmin,
+  validateObjectId("id"),
+  validateObjectId("mediaId"),
+  async (req, res) => {
+    try {
+      const item = await GameMediaService.removeItem(
+        req.params.id,
+        req.params.mediaId
+      );
+
+      res.json({
+        success: true,
+        message: SUCCESS_MESSAGES.GAME_MEDIA_DELETED,
+        data: { _id: item._id },
+      });
+    } catch (error) {
+      const status = MEDIA_ERROR_STATUS[error.message];
+      if (status) {
+        return res.status(status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Admin delete game media error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete media item",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// =============================================================================
+// GAME SYNC ROUTES (Admin & SuperAdmin)
+// =============================================================================
+
+// @route   GET /api/admin/sync/runs
+// @desc    List catalogue sync runs, newest first (?status=&trigger=&cursor=&limit=)
+// @access  Admin/SuperAdmin
+router.get("/sync/runs", gamesRead, auth, requireAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (["running", "completed", "failed"].includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+    if (["schedule", "manual", "script"].includes(req.query.trigger)) {
+      filter.trigger = req.query.trigger;
+    }
+
+    const result = await SyncRunService.listRuns(
+      filter,
+      req.query.cursor,
+      req.query.limit
+    );
+
+    res.json({
+      success: true,
+      data: result.items,
+      pagination: result.pagination,
+    });
+  } catch (error) {
+    if (error.message === ERROR_MESSAGES.VALIDATION_INVALID_CURSOR) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Admin get sync runs error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch sync runs",
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/admin/sync/runs/:id
+// @desc    Get a sync run with the games that failed to import
+// @access  Admin/SuperAdmin
+router.get(
+  "/sync/runs/:id",
+  gamesRead,
+  auth,
+  requireAdmin,
+  validateObjectId("id"),
+  async (req, res) => {
+    try {
+      const run = await SyncRunService.getRun(req.params.id);
+
+      res.json({
+        success: true,
+        data: run,
+      });
+    } catch (error) {
+      if (error.message === ERROR_MESSAGES.SYNC_RUN_NOT_FOUND) {
+        return res.status(404).json({
+          success: false,
+          message: "Sync run not found",
+        });
+      }
+
+      console.error("Admin get sync run error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch sync run",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/sync/trigger
+// @desc    Start a catalogue sync in the background ({ dryRun: true } reports
+//          what would change without saving)
+// @access  Admin/SuperAdmin
+router.post(
+  "/sync/trigger",
+  gamesWrite,
+  auth,
+  requireAdmin,
+  [
+    body("dryRun")
+      .optional()
+      .isBoolean()
+      .withMessage("dryRun must be a boolean")
+      .toBoolean(),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const { run, done } = await SyncRunService.startSync({
+        trigger: "manual",
+        dryRun: Boolean(req.body && req.body.dryRun),
+        triggeredBy: req.user._id,
+      });
+      done.catch((error) =>
+        console.error("Manual game sync failed:", error.message)
+      );
+
+      res.status(202).json({
+        success: true,
+        message: SUCCESS_MESSAGES.GAME_SYNC_STARTED,
+        data: run,
+      });
+    } catch (error) {
+      if (error.message === ERROR_MESSAGES.GAME_SYNC_RUNNING) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Admin trigger sync error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to start game sync",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// =============================================================================
+// REVIEW MANAGEMENT ROUTES (Admin & SuperAdmin)
+// =============================================================================
+
+// @route   GET /api/admin/reviews
+// @desc    Get all reviews with pagination (for admin management)
+// @access  Admin/SuperAdmin
+router.get(
+  "/reviews",
+  reviewsModerate,
+  auth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const skip = (page - 1) * limit;
+      const gameId = req.query.gameId;
+
+      // Build filter
+      const filter = gameId ? { gameId: gameId } : {};
+
+      // Cursor mode: an empty cursor asks for the first page
+      let cursorPage = null;
+      let reviews;
+      let totalReviews;
+      if (req.query.cursor !== undefined) {
+        cursorPage = await paginateByCursor(
+          Review.find(filter).populate("gameId", "title").lean(),
+          { createdAt: -1 },
+          req.query.cursor,
+          req.query.limit
+        );
+        reviews = cursorPage.items;
+      } else {
+        [reviews, totalReviews] = await Promise.all([
+          Review.find(filter)
+            .populate("gameId", "title")
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+          Review.countDocuments(filter),
+        ]);
+      }
+
+      // Manually populate user data for each review
+      const populatedReviews = await Promise.all(
+        reviews.map(async (review) => {
+          const user = await User.findById(review.userId).lean();
+          return {
+            ...review,
+            userId: {
+              _id: user._id,
+              name: user.name,
+              username: user.username,
+              avatar: user.avatar,
+              avatarUrl: user.avatar,
+            },
+          };
+        })
+      );
+
+      if (cursorPage) {
+        return res.json({
+          success: true,
+          data: populatedReviews,
+          pagination: cursorPage.pagination,
+        });
+      }
+
+      const totalPages = Math.ceil(totalReviews / limit);
+
+      res.json({
+        success: true,
+        data: populatedReviews,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalReviews,
+          reviewsPerPage: limit,
+          hasNextPage: page < totalPages,
+          hasPreviousPage: page > 1,
+        },
+      });
+    } catch (error) {
+      if (error.message === ERROR_MESSAGES.VALIDATION_INVALID_CURSOR) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error("Admin get reviews error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch reviews",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/reviews/:id
+// @desc    Delete a review
+// @access  Admin/SuperAdmin
+router.delete(
+  "/reviews/:id",
+  reviewsModerate,
+  auth,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const reviewId = req.params.id;
+
+      const review = await Review.findById(reviewId);
+      if (!review) {
+        return res.status(404).json({
+          success: false,
+          message: "Review not found",
+        });
+      }
+
+      // Delete the review
+      await Review.findByIdAndDelete(reviewId);
+
+      // Update game's rating and review count
+      const reviews = await Review.find({ gameId: review.gameId });
+      const totalReviews = reviews.length;
+      const averageRating =
+        totalReviews > 0
+          ? reviews.reduce((sum, r) => sum + r.rating, 0) / totalReviews
+          : 0;
+
+      await Game.findByIdAndUpdate(review.gameId, {
+        averageRating: Math.round(averageRating * 10) / 10, // Round to 1 decimal
+        totalReviews,
+      });
+
+      res.json({
+        success: true,
+        message: "Review deleted successfully",
+      });
+    } catch (error) {
+      console.error("Admin delete review error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete review",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// =============================================================================
 // USER MANAGEMENT ROUTES (SuperAdmin Only)
 // =============================================================================
 
@@ -469,6 +1530,28 @@ router.get("/users", auth, requireSuperAdmin, async (req, res) => {
     if (role && ["user", "admin", "superadmin"].includes(role)) {
       filter.role = role;
     }
+    // Moderation status as recorded (expired restrictions still match)
+    if (["active", "suspended", "banned"].includes(req.query.status)) {
+      filter["moderation.status"] =
+        req.query.status === "active"
+          ? { $nin: ["suspended", "banned"] }
+          : req.query.status;
+    }
+
+    // Cursor mode: an empty cursor asks for the first page
+    if (req.query.cursor !== undefined) {
+      const result = await paginateByCursor(
+        User.find(filter).select("-googleId").lean(),
+        { createdAt: -1 },
+        req.query.cursor,
+        req.query.limit
+      );
+      return res.json({
+        success: true,
+        data: result.items,
+        pagination: result.pagination,
+      });
+    }
 
     const [users, totalUsers] = await Promise.all([
       User.find(filter)
@@ -480,41 +1563,268 @@ router.get("/users", auth, requireSuperAdmin, async (req, res) => {
       User.countDocuments(filter),
     ]);
 
-    const totalPages = Math.ceil(totalUsers / limit);
+    const totalPages = Math.ceil(totalUsers / limit);
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalUsers,
+        usersPerPage: limit,
+        hasNextPage: page < totalPages,
+        hasPreviousPage: page > 1,
+      },
+    });
+  } catch (error) {
+    if (error.message === ERROR_MESSAGES.VALIDATION_INVALID_CURSOR) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error("Admin get users error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch users",
+      error: error.message,
+    });
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Promote or demote a user's role
+// @access  SuperAdmin
+router.put(
+  "/users/:id/role",
+  auth,
+  requireSuperAdmin,
+  [
+    body("role")
+      .isIn(["user", "admin", "superadmin"])
+      .withMessage("Role must be user, admin, or superadmin"),
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const userId = req.params.id;
+      const { role } = req.body;
+
+      // Prevent superadmin from demoting themselves
+      if (
+        userId === req.user.id &&
+        req.user.role === "superadmin" &&
+        role !== "superadmin"
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: "SuperAdmin cannot demote themselves",
+        });
+      }
+
+      // Bumping the token version makes the new role apply on the next request
+      const user = await User.findByIdAndUpdate(
+        userId,
+        { role, $inc: { tokenVersion: 1 } },
+        { new: true, runValidators: true }
+      ).select("-googleId");
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `User role updated to ${role}`,
+        data: user,
+      });
+    } catch (error) {
+      console.error("Admin update user role error:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update user role",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Validation for suspend and ban actions
+const validateRestriction = [
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Reason must be between 1 and 500 characters"),
+  body("until")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("until must be a valid date")
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("until must be in the future"),
+  body("appealNote")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Appeal note cannot exceed 500 characters"),
+];
+
+// Build the handler for a suspend or ban action
+const restrictUser = (action) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await ModerationService[action](
+      req.params.id,
+      req.body,
+      req.user
+    );
 
     res.json({
       success: true,
-      data: users,
-      pagination: {
-        currentPage: page,
-        totalPages,
-        totalUsers,
-        usersPerPage: limit,
-        hasNextPage: page < totalPages,
-        hasPreviousPage: page > 1,
+      message: action === "ban" ? "User banned" : "User suspended",
+      data: {
+        id: user._id,
+        moderation: user.moderation,
       },
     });
   } catch (error) {
-    console.error("Admin get users error:", error);
+    console.error(`Admin ${action} user error:`, error);
+
+    if (error.message === ERROR_MESSAGES.USER_NOT_FOUND) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    if (
+      [
+        ERROR_MESSAGES.MODERATION_SELF,
+        ERROR_MESSAGES.MODERATION_SUPERADMIN,
+      ].includes(error.message)
+    ) {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
     res.status(500).json({
       success: false,
-      message: "Failed to fetch users",
+      message: `Failed to ${action} user`,
       error: error.message,
     });
   }
-});
+};
 
-// @route   PUT /api/admin/users/:id/role
-// @desc    Promote or demote a user's role
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Suspend a user (read-only access) with a reason and optional end date
 // @access  SuperAdmin
-router.put(
-  "/users/:id/role",
+router.post(
+  "/users/:id/suspend",
+  auth,
+  requireSuperAdmin,
+  validateObjectId("id"),
+  validateRestriction,
+  restrictUser("suspend")
+);
+
+// @route   POST /api/admin/users/:id/ban
+// @desc    Ban a user (signed out, no access) with a reason and optional end date
+// @access  SuperAdmin
+router.post(
+  "/users/:id/ban",
+  auth,
+  requireSuperAdmin,
+  validateObjectId("id"),
+  validateRestriction,
+  restrictUser("ban")
+);
+
+// @route   POST /api/admin/users/:id/reinstate
+// @desc    Lift a suspension or ban
+// @access  SuperAdmin
+router.post(
+  "/users/:id/reinstate",
+  auth,
+  requireSuperAdmin,
+  validateObjectId("id"),
+  async (req, res) => {
+    try {
+      const user = await ModerationService.reinstate(req.params.id, req.user);
+
+      res.json({
+        success: true,
+        message: "User reinstated",
+        data: {
+          id: user._id,
+          moderation: user.moderation,
+        },
+      });
+    } catch (error) {
+      console.error("Admin reinstate user error:", error);
+
+      if (error.message === ERROR_MESSAGES.USER_NOT_FOUND) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to reinstate user",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// =============================================================================
+// IMPERSONATION ROUTES (SuperAdmin Only)
+// =============================================================================
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Start a short-lived "view as user" session (read-only by default)
+// @access  SuperAdmin
+router.post(
+  "/users/:id/impersonate",
   auth,
   requireSuperAdmin,
+  validateObjectId("id"),
   [
-    body("role")
-      .isIn(["user", "admin", "superadmin"])
-      .withMessage("Role must be user, admin, or superadmin"),
+    body("reason")
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage("Reason must be between 1 and 500 characters"),
+    body("readOnly")
+      .optional()
+      .isBoolean()
+      .withMessage("readOnly must be a boolean")
+      .toBoolean(),
   ],
   async (req, res) => {
     try {
@@ -527,27 +1837,219 @@ router.put(
         });
       }
 
-      const userId = req.params.id;
-      const { role } = req.body;
+      const { session, token, expiresIn } = await ImpersonationService.start(
+        req.user,
+        req.params.id,
+        req.body,
+        req
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Impersonation started",
+        data: {
+          impersonation: session,
+          token,
+          expiresIn,
+        },
+      });
+    } catch (error) {
+      console.error("Admin start impersonation error:", error);
+
+      if (error.message === ERROR_MESSAGES.USER_NOT_FOUND) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
 
-      // Prevent superadmin from demoting themselves
       if (
-        userId === req.user.id &&
-        req.user.role === "superadmin" &&
-        role !== "superadmin"
+        [
+          ERROR_MESSAGES.IMPERSONATION_SELF,
+          ERROR_MESSAGES.IMPERSONATION_SUPERADMIN,
+        ].includes(error.message)
       ) {
         return res.status(400).json({
           success: false,
-          message: "SuperAdmin cannot demote themselves",
+          message: error.message,
         });
       }
 
-      const user = await User.findByIdAndUpdate(
-        userId,
-        { role },
-        { new: true, runValidators: true }
-      ).select("-googleId");
+      res.status(500).json({
+        success: false,
+        message: "Failed to start impersonation",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   GET /api/admin/impersonations
+// @desc    List impersonation sessions (filter with ?actorId= or ?targetUserId=)
+// @access  SuperAdmin
+router.get("/impersonations", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    for (const field of ["actorId", "targetUserId"]) {
+      if (req.query[field]) {
+        if (!/^[0-9a-fA-F]{24}$/.test(req.query[field])) {
+          return res.status(400).json({
+            success: false,
+            message: `Invalid ${field} format`,
+          });
+        }
+        filter[field] = req.query[field];
+      }
+    }
+
+    const sessions = await ImpersonationService.listSessions(filter);
+
+    res.json({
+      success: true,
+      data: sessions,
+    });
+  } catch (error) {
+    console.error("Admin get impersonations error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch impersonation sessions",
+      error: error.message,
+    });
+  }
+});
+
+// @route   GET /api/admin/impersonations/:id/events
+// @desc    Get the audit trail of an impersonation session
+// @access  SuperAdmin
+router.get(
+  "/impersonations/:id/events",
+  auth,
+  requireSuperAdmin,
+  validateObjectId("id"),
+  async (req, res) => {
+    try {
+      const events = await ImpersonationService.listEvents(req.params.id);
+
+      res.json({
+        success: true,
+        data: events,
+      });
+    } catch (error) {
+      console.error("Admin get impersonation events error:", error);
+
+      if (error.message === ERROR_MESSAGES.IMPERSONATION_NOT_FOUND) {
+        return res.status(404).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch impersonation events",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   POST /api/admin/impersonations/:id/stop
+// @desc    End an impersonation session and invalidate its token
+// @access  SuperAdmin
+router.post(
+  "/impersonations/:id/stop",
+  auth,
+  requireSuperAdmin,
+  validateObjectId("id"),
+  async (req, res) => {
+    try {
+      const session = await ImpersonationService.stop(
+        req.params.id,
+        req.user,
+        req
+      );
+
+      res.json({
+        success: true,
+        message: "Impersonation stopped",
+        data: session,
+      });
+    } catch (error) {
+      console.error("Admin stop impersonation error:", error);
+
+      if (error.message === ERROR_MESSAGES.IMPERSONATION_NOT_FOUND) {
+        return res.status(404).json({
+          success: false,
+          message: "Impersonation session not found or already ended",
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to stop impersonation",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// =============================================================================
+// API KEY MANAGEMENT ROUTES (SuperAdmin Only)
+// =============================================================================
+
+// @route   GET /api/admin/api-keys
+// @desc    List API keys of all users (filter with ?userId=)
+// @access  SuperAdmin
+router.get("/api-keys", auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.userId) {
+      if (!/^[0-9a-fA-F]{24}$/.test(req.query.userId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid userId format",
+        });
+      }
+      filter.userId = req.query.userId;
+    }
 
+    const keys = await ApiKeyService.listKeys(filter);
+
+    res.json({
+      success: true,
+      data: keys,
+    });
+  } catch (error) {
+    console.error("Admin get API keys error:", error);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch API keys",
+      error: error.message,
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/api-keys
+// @desc    Create an API key for a user (e.g. a service account)
+// @access  SuperAdmin
+router.post(
+  "/users/:id/api-keys",
+  auth,
+  requireSuperAdmin,
+  validateObjectId("id"),
+  validateApiKey,
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors: errors.array(),
+        });
+      }
+
+      const user = await User.findById(req.params.id);
       if (!user) {
         return res.status(404).json({
           success: false,
@@ -555,16 +2057,70 @@ router.put(
         });
       }
 
+      const { apiKey, key } = await ApiKeyService.createKey(
+        user,
+        req.body,
+        req.user._id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "API key created, copy it now as it won't be shown again",
+        data: { ...apiKey, key },
+      });
+    } catch (error) {
+      console.error("Admin create API key error:", error);
+
+      if (
+        [
+          ERROR_MESSAGES.API_KEY_SCOPE_NOT_ALLOWED,
+          ERROR_MESSAGES.API_KEY_LIMIT_REACHED,
+        ].includes(error.message)
+      ) {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to create API key",
+        error: error.message,
+      });
+    }
+  }
+);
+
+// @route   DELETE /api/admin/api-keys/:id
+// @desc    Revoke any user's API key
+// @access  SuperAdmin
+router.delete(
+  "/api-keys/:id",
+  auth,
+  requireSuperAdmin,
+  validateObjectId("id"),
+  async (req, res) => {
+    try {
+      await ApiKeyService.revokeKey(req.params.id);
+
       res.json({
         success: true,
-        message: `User role updated to ${role}`,
-        data: user,
+        message: "API key revoked",
       });
     } catch (error) {
-      console.error("Admin update user role error:", error);
+      console.error("Admin revoke API key error:", error);
+
+      if (error.message === ERROR_MESSAGES.API_KEY_NOT_FOUND) {
+        return res.status(404).json({
+          success: false,
+          message: "API key not found or already revoked",
+        });
+      }
+
       res.status(500).json({
         success: false,
-        message: "Failed to update user role",
+        message: "Failed to revoke API key",
         error: error.message,
       });
     }
@@ -578,7 +2134,7 @@ router.put(
 // @route   GET /api/admin/stats
 // @desc    Get admin dashboard statistics
 // @access  Admin/SuperAdmin
-router.get("/stats", auth, requireAdmin, async (req, res) => {
+router.get("/stats", statsRead, auth, requireAdmin, async (req, res) => {
   try {
     const [
       totalGames,
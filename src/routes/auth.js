@@ -1,34 +1,188 @@
 const express = require("express");
 const router = express.Router();
 const {
-  googleAuth,
-  googleCallback,
+  getProviders,
+  oauthAuth,
+  oauthCallback,
+  getIdentities,
+  linkIdentity,
+  completeLinkIdentity,
+  unlinkIdentity,
+  exchangeCode,
+  register,
+  login,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  updatePassword,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorChallenge,
+  stepUpTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
   refreshToken,
   logout,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
   getCurrentUser,
 } = require("../controllers/authController");
 const { authenticateToken } = require("../middleware/auth");
+const {
+  validateRegistration,
+  validateLogin,
+  validateEmail,
+  validateEmailToken,
+  validatePasswordReset,
+  validatePasswordChange,
+  validateTotpCode,
+  validateSecondFactor,
+  validateTwoFactorChallenge,
+  validateObjectId,
+} = require("../middleware/validation");
+
+// @route   GET /api/auth/providers
+// @desc    List configured OAuth sign-in providers
+// @access  Public
+router.get("/providers", getProviders);
+
+// @route   POST /api/auth/exchange
+// @desc    Exchange a one-time authorization code (and PKCE verifier) for tokens
+// @access  Public
+router.post("/exchange", exchangeCode);
+
+// @route   POST /api/auth/register
+// @desc    Register with email and password
+// @access  Public
+router.post("/register", validateRegistration, register);
+
+// @route   POST /api/auth/login
+// @desc    Login with email and password
+// @access  Public
+router.post("/login", validateLogin, login);
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify email address with the emailed token
+// @access  Public
+router.post("/verify-email", validateEmailToken, verifyEmail);
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Resend the verification email
+// @access  Public
+router.post("/verify-email/resend", validateEmail, resendVerification);
+
+// @route   POST /api/auth/password/forgot
+// @desc    Send a password reset email
+// @access  Public
+router.post("/password/forgot", validateEmail, forgotPassword);
 
-// @route   GET /api/auth/google
-// @desc    Initiate Google OAuth
+// @route   POST /api/auth/password/reset
+// @desc    Reset password with the emailed token
 // @access  Public
-router.get("/google", googleAuth);
+router.post("/password/reset", validatePasswordReset, resetPassword);
+
+// @route   PUT /api/auth/password
+// @desc    Add a password to the account or change it
+// @access  Private
+router.put(
+  "/password",
+  authenticateToken,
+  validatePasswordChange,
+  updatePassword
+);
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get("/2fa", authenticateToken, getTwoFactorStatus);
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrolment (returns the TOTP secret)
+// @access  Private
+router.post("/2fa/setup", authenticateToken, setupTwoFactor);
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrolment with a TOTP code and get recovery codes
+// @access  Private
+router.post(
+  "/2fa/enable",
+  authenticateToken,
+  validateTotpCode,
+  enableTwoFactor
+);
 
-// @route   GET /api/auth/google/callback
-// @desc    Google OAuth callback
+// @route   POST /api/auth/2fa/verify
+// @desc    Complete a sign-in challenge with a TOTP or recovery code
 // @access  Public
-router.get("/google/callback", googleCallback);
+router.post(
+  "/2fa/verify",
+  validateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+);
+
+// @route   POST /api/auth/2fa/step-up
+// @desc    Verify the second factor for the current session
+// @access  Private
+router.post(
+  "/2fa/step-up",
+  authenticateToken,
+  validateSecondFactor,
+  stepUpTwoFactor
+);
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes
+// @access  Private
+router.post(
+  "/2fa/recovery-codes",
+  authenticateToken,
+  validateSecondFactor,
+  regenerateRecoveryCodes
+);
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off
+// @access  Private
+router.post(
+  "/2fa/disable",
+  authenticateToken,
+  validateSecondFactor,
+  disableTwoFactor
+);
 
 // @route   POST /api/auth/refresh
-// @desc    Refresh access token
+// @desc    Rotate refresh token and issue a new access token
 // @access  Public
 router.post("/refresh", refreshToken);
 
 // @route   POST /api/auth/logout
-// @desc    Logout user
+// @desc    Logout user and revoke the presented refresh token
 // @access  Private
 router.post("/logout", authenticateToken, logout);
 
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (devices) of the current user
+// @access  Private
+router.get("/sessions", authenticateToken, getSessions);
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out of every session
+// @access  Private
+router.delete("/sessions", authenticateToken, revokeAllSessions);
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a single session
+// @access  Private
+router.delete(
+  "/sessions/:id",
+  authenticateToken,
+  validateObjectId("id"),
+  revokeSession
+);
+
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
@@ -48,4 +202,41 @@ router.delete(
   require("../controllers/userController").deleteAccount
 );
 
+// @route   GET /api/auth/identities
+// @desc    List OAuth providers linked to the current user
+// @access  Private
+router.get("/identities", authenticateToken, getIdentities);
+
+// @route   POST /api/auth/identities/:provider/link
+// @desc    Get the URL that links an OAuth provider to the current user
+// @access  Private
+router.post("/identities/:provider/link", authenticateToken, linkIdentity);
+
+// @route   POST /api/auth/identities/:provider/link/complete
+// @desc    Link the provider account held by a link_code to the current user
+// @access  Private
+router.post(
+  "/identities/:provider/link/complete",
+  authenticateToken,
+  completeLinkIdentity
+);
+
+// @route   DELETE /api/auth/identities/:provider
+// @desc    Unlink an OAuth provider from the current user
+// @access  Private
+router.delete("/identities/:provider", authenticateToken, unlinkIdentity);
+
+// Generic provider routes are registered last so they don't shadow the
+// fixed routes above
+
+// @route   GET /api/auth/:provider
+// @desc    Initiate OAuth sign-in (google, github, discord)
+// @access  Public
+router.get("/:provider", oauthAuth);
+
+// @route   GET /api/auth/:provider/callback
+// @desc    OAuth callback
+// @access  Public
+router.get("/:provider/callback", oauthCallback);
+
 module.exports = router;
@@ -1,6 +1,9 @@
 const express = require("express");
 const router = express.Router();
-const { authenticateToken } = require("../middleware/auth");
+const {
+  authenticateToken,
+  requireActiveAccount,
+} = require("../middleware/auth");
 const { validateObjectId } = require("../middleware/validation");
 const {
   getUserFavorites,
@@ -10,7 +13,8 @@ const {
   getFilteredFavorites,
 } = require("../controllers/favoriteController");
 
-// Get user's favorite games with advanced filtering
+// Get user's favorite games with advanced filtering (same filters as
+// GET /api/games, plus search and sortBy)
 router.get("/filtered", authenticateToken, getFilteredFavorites);
 
 // Get user's favorite games
@@ -28,6 +32,7 @@ router.get(
 router.post(
   "/:gameId",
   authenticateToken,
+  requireActiveAccount,
   validateObjectId("gameId"),
   addToFavorites
 );
@@ -36,6 +41,7 @@ router.post(
 router.delete(
   "/:gameId",
   authenticateToken,
+  requireActiveAccount,
   validateObjectId("gameId"),
   removeFromFavorites
 );
@@ -2,25 +2,50 @@ const express = require("express");
 const router = express.Router();
 const {
   getGames,
+  getAutocomplete,
   getGameById,
+  checkCompatibility,
   getFilterMetadata,
   getGameStats,
   advancedSearch,
 } = require("../controllers/gameController");
-const { optionalAuth } = require("../middleware/auth");
+const { optionalAuth, requireScope } = require("../middleware/auth");
+const { validateHardwareProfile } = require("../middleware/validation");
+const { API_KEY_SCOPES } = require("../utils/constants");
+
+// Identify API key callers too (public routes work without any credentials)
+const gamesRead = requireScope(API_KEY_SCOPES.GAMES_READ);
 
 // @route   GET /api/games
 // @desc    Get paginated games list with filters
 // @access  Public
 // Query Parameters:
-//   - category: Filter by genre/category
-//   - platform: Filter by platform
+//   - category (or genre), platform: Filter by genres/platforms, repeated
+//     or comma-separated; genreMatch/platformMatch=all to require every value
+//   - publisher, developer: Filter by exact publisher/developer names
+//   - -genre, -platform, -publisher, -developer: Exclude values
+//   - releaseFrom, releaseTo: Release date range (year, YYYY-MM or YYYY-MM-DD)
+//   - minRating, minReviews: Minimum average rating and review count
+//   - maxMemory, maxStorage: GB of RAM / disk the player has, leaves out
+//     games whose minimum requirements ask for more
 //   - sort-by: Sort by (release-date, alphabetical, relevance, rating)
 //   - tag: Filter by multiple tags (comma-separated)
 //   - page: Pagination page number
 //   - limit: Number of items per page
+//   - cursor: nextCursor of the previous page, empty for the first page;
+//     replaces page numbers and skips the total count
 //   - search: Search in title and description
-router.get("/", optionalAuth, getGames);
+//   - facets: "true" to include counts per genre, platform, publisher,
+//     developer, release year and rating bucket for the current filters
+router.get("/", gamesRead, optionalAuth, getGames);
+
+// @route   GET /api/games/autocomplete
+// @desc    Suggest game titles while typing (prefix and typo-tolerant)
+// @access  Public
+// Query Parameters:
+//   - q: Partial title, e.g. "valornt"
+//   - limit: Number of suggestions (default 8, max 20)
+router.get("/autocomplete", getAutocomplete);
 
 // @route   GET /api/games/filters/metadata
 // @desc    Get available filter options (categories, platforms, tags)
@@ -44,11 +69,24 @@ router.get("/stats", getGameStats);
 //   - sortBy: Sort by (rating-desc, rating-asc, release-date-desc, release-date-asc, title-asc, title-desc)
 //   - page: Pagination page number
 //   - limit: Number of items per page
-router.get("/search/advanced", optionalAuth, advancedSearch);
+router.get("/search/advanced", gamesRead, optionalAuth, advancedSearch);
+
+// @route   GET /api/games/:idOrSlug
+// @desc    Get single game details by ID or slug (former slugs redirect)
+// @access  Public
+router.get("/:idOrSlug", gamesRead, optionalAuth, getGameById);
 
-// @route   GET /api/games/:id
-// @desc    Get single game details
+// @route   POST /api/games/:idOrSlug/compatibility
+// @desc    "Can I run it": pass/fail per component for the player's hardware
 // @access  Public
-router.get("/:id", optionalAuth, getGameById);
+// Body: os (e.g. "Windows 10"), processorGHz, processorCores, memoryGB,
+//   graphicsMemoryGB, storageGB - any of them, at least one
+router.post(
+  "/:idOrSlug/compatibility",
+  gamesRead,
+  optionalAuth,
+  validateHardwareProfile,
+  checkCompatibility
+);
 
 module.exports = router;
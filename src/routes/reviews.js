@@ -1,6 +1,10 @@
 const express = require("express");
 const router = express.Router();
-const { authenticateToken, optionalAuth } = require("../middleware/auth");
+const {
+  authenticateToken,
+  optionalAuth,
+  requireActiveAccount,
+} = require("../middleware/auth");
 const {
   validateReview,
   validateObjectId,
@@ -13,7 +17,7 @@ const {
   getUserReviews,
 } = require("../controllers/reviewController");
 
-// Get user's reviews (for profile page)
+// Get user's reviews (for profile page), by page or ?cursor=
 router.get("/user/reviews", authenticateToken, getUserReviews);
 
 // Get reviews for a specific game (user's review first)
@@ -29,6 +33,7 @@ router.get(
 router.post(
   "/:gameId",
   authenticateToken,
+  requireActiveAccount,
   validateObjectId("gameId"),
   validateReview,
   createOrUpdateReview
@@ -38,6 +43,7 @@ router.post(
 router.put(
   "/:reviewId",
   authenticateToken,
+  requireActiveAccount,
   validateObjectId("reviewId"),
   validateReview,
   updateReview
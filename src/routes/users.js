@@ -2,6 +2,10 @@ const express = require("express");
 const router = express.Router();
 const { authenticateToken } = require("../middleware/auth");
 const { avatarUpload, handleMulterError } = require("../middleware/upload");
+const {
+  validateApiKey,
+  validateObjectId,
+} = require("../middleware/validation");
 const {
   getProfile,
   updateProfile,
@@ -11,6 +15,11 @@ const {
   deleteAvatar,
   deleteAccount,
 } = require("../controllers/userController");
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+} = require("../controllers/apiKeyController");
 
 // @route   GET /api/users/profile
 // @desc    Get user profile
@@ -57,4 +66,24 @@ router.delete("/avatar", authenticateToken, deleteAvatar);
 // @access  Private
 router.delete("/account", authenticateToken, deleteAccount);
 
+// @route   GET /api/users/api-keys
+// @desc    List the current user's API keys
+// @access  Private
+router.get("/api-keys", authenticateToken, getApiKeys);
+
+// @route   POST /api/users/api-keys
+// @desc    Create an API key (the key is only returned once)
+// @access  Private
+router.post("/api-keys", authenticateToken, validateApiKey, createApiKey);
+
+// @route   DELETE /api/users/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete(
+  "/api-keys/:id",
+  authenticateToken,
+  validateObjectId("id"),
+  revokeApiKey
+);
+
 module.exports = router;
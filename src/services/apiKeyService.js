@@ -0,0 +1,156 @@
+const crypto = require("crypto");
+const ApiKey = require("../models/ApiKey");
+const User = require("../models/User");
+const TokenService = require("./tokenService");
+const { ERROR_MESSAGES, API_KEYS } = require("../utils/constants");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Don't write last-used details more often than this
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+class ApiKeyService {
+  /**
+   * Create an API key for a user
+   * @param {Object} user - Key owner
+   * @param {Object} options - name, scopes, expiresInDays
+   * @param {string} createdBy - Admin creating the key for the user, if any
+   * @returns {Object} Key document and the raw key (shown only once)
+   */
+  static async createKey(user, { name, scopes, expiresInDays }, createdBy) {
+    const uniqueScopes = [...new Set(scopes)];
+    if (
+      uniqueScopes.some(
+        (scope) => !(API_KEYS.SCOPE_ROLES[scope] || []).includes(user.role)
+      )
+    ) {
+      throw new Error(ERROR_MESSAGES.API_KEY_SCOPE_NOT_ALLOWED);
+    }
+
+    const activeKeys = await ApiKey.countDocuments({
+      userId: user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    if (activeKeys >= API_KEYS.MAX_KEYS_PER_USER) {
+      throw new Error(ERROR_MESSAGES.API_KEY_LIMIT_REACHED);
+    }
+
+    const days = Math.min(
+      expiresInDays || API_KEYS.DEFAULT_EXPIRE_DAYS,
+      API_KEYS.MAX_EXPIRE_DAYS
+    );
+    const key = API_KEYS.PREFIX + crypto.randomBytes(32).toString("base64url");
+
+    const apiKey = await ApiKey.create({
+      userId: user._id,
+      name,
+      prefix: key.slice(0, API_KEYS.PREFIX.length + 6),
+      keyHash: TokenService.hashToken(key),
+      scopes: uniqueScopes,
+      expiresAt: new Date(Date.now() + days * DAY_MS),
+      createdBy: createdBy || null,
+    });
+
+    return { apiKey: this.serialize(apiKey), key };
+  }
+
+  /**
+   * Resolve the key and user behind an X-API-Key header
+   * @param {string} key - Raw API key
+   * @returns {Object} Key document and its owner
+   */
+  static async authenticate(key) {
+    if (typeof key !== "string" || !key.startsWith(API_KEYS.PREFIX)) {
+      throw new Error(ERROR_MESSAGES.API_KEY_INVALID);
+    }
+
+    const apiKey = await ApiKey.findOne({
+      keyHash: TokenService.hashToken(key),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    if (!apiKey) {
+      throw new Error(ERROR_MESSAGES.API_KEY_INVALID);
+    }
+
+    const user = await User.findById(apiKey.userId);
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.API_KEY_INVALID);
+    }
+
+    return { apiKey, user };
+  }
+
+  /**
+   * Record that a key was used (throttled)
+   * @param {Object} apiKey - Key document
+   * @param {string} ip - Client IP
+   */
+  static async touchKey(apiKey, ip) {
+    if (
+      apiKey.lastUsedAt &&
+      Date.now() - apiKey.lastUsedAt.getTime() < TOUCH_INTERVAL_MS &&
+      apiKey.lastUsedIp === ip
+    ) {
+      return;
+    }
+
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: ip || null }
+    );
+  }
+
+  /**
+   * List API keys, newest first
+   * @param {Object} filter - e.g. { userId }
+   * @returns {Array} Keys, without their hashes
+   */
+  static async listKeys(filter = {}) {
+    const keys = await ApiKey.find(filter)
+      .sort({ createdAt: -1 })
+      .populate("userId", "name username email role");
+
+    return keys.map((apiKey) => this.serialize(apiKey));
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} keyId - Key ID
+   * @param {string} userId - Owner, or omit to revoke any user's key (admin)
+   */
+  static async revokeKey(keyId, userId) {
+    const filter = { _id: keyId, revokedAt: null };
+    if (userId) {
+      filter.userId = userId;
+    }
+
+    const result = await ApiKey.updateOne(filter, { revokedAt: new Date() });
+    if (result.matchedCount === 0) {
+      throw new Error(ERROR_MESSAGES.API_KEY_NOT_FOUND);
+    }
+  }
+
+  // Shape a key for API responses
+  static serialize(apiKey) {
+    const expired = apiKey.expiresAt.getTime() <= Date.now();
+
+    return {
+      id: apiKey._id,
+      name: apiKey.name,
+      prefix: apiKey.prefix,
+      scopes: apiKey.scopes,
+      user: apiKey.userId,
+      createdBy: apiKey.createdBy,
+      expiresAt: apiKey.expiresAt,
+      lastUsedAt: apiKey.lastUsedAt,
+      lastUsedIp: apiKey.lastUsedIp,
+      revokedAt: apiKey.revokedAt,
+      status: apiKey.revokedAt ? "revoked" : expired ? "expired" : "active",
+      createdAt: apiKey.createdAt,
+    };
+  }
+}
+
+module.exports = ApiKeyService;
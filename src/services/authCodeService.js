@@ -0,0 +1,162 @@
+const crypto = require("crypto");
+const AuthCode = require("../models/AuthCode");
+const User = require("../models/User");
+const TokenService = require("./tokenService");
+
+// Codes only need to survive the redirect back to the client
+const CODE_TTL_MS = 60 * 1000;
+
+// RFC 7636: 43-128 characters from the unreserved set
+const PKCE_PATTERN = /^[A-Za-z0-9._~-]{43,128}$/;
+
+class AuthCodeService {
+  /**
+   * Validate PKCE parameters sent when starting a login
+   * @param {string} codeChallenge - PKCE code challenge
+   * @param {string} codeChallengeMethod - "S256" or "plain"
+   * @returns {Object|null} Normalised PKCE parameters or null if not used
+   */
+  static normalizePkce(codeChallenge, codeChallengeMethod) {
+    if (!codeChallenge) {
+      return null;
+    }
+
+    const method = codeChallengeMethod || "S256";
+    if (
+      !PKCE_PATTERN.test(codeChallenge) ||
+      !["S256", "plain"].includes(method)
+    ) {
+      throw new Error("Invalid PKCE parameters");
+    }
+
+    return { codeChallenge, codeChallengeMethod: method };
+  }
+
+  /**
+   * Create a single-use authorization code for a user
+   * @param {string} userId - User ID
+   * @param {Object} pkce - Normalised PKCE parameters
+   * @returns {string} Raw authorization code
+   */
+  static async createCode(userId, pkce = null) {
+    const code = crypto.randomBytes(32).toString("base64url");
+
+    await AuthCode.create({
+      codeHash: TokenService.hashToken(code),
+      userId,
+      codeChallenge: pkce?.codeChallenge || null,
+      codeChallengeMethod: pkce?.codeChallengeMethod || null,
+      expiresAt: new Date(Date.now() + CODE_TTL_MS),
+    });
+
+    return code;
+  }
+
+  /**
+   * Redeem an authorization code. The code is consumed even if the PKCE
+   * check fails, so it can never be tried twice.
+   * @param {string} code - Raw authorization code
+   * @param {string} codeVerifier - PKCE code verifier
+   * @returns {Object} User the code was issued to
+   */
+  static async redeemCode(code, codeVerifier) {
+    const authCode = await AuthCode.findOneAndUpdate(
+      {
+        codeHash: TokenService.hashToken(code),
+        purpose: { $ne: "link" },
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!authCode) {
+      throw new Error("Invalid authorization code");
+    }
+
+    if (authCode.codeChallenge && !this.verifyPkce(authCode, codeVerifier)) {
+      throw new Error("Invalid code verifier");
+    }
+
+    const user = await User.findById(authCode.userId);
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    return user;
+  }
+
+  /**
+   * Create a single-use code holding a provider account to link. Only the
+   * user who started linking can redeem it.
+   * @param {string} userId - User who started linking
+   * @param {Object} profile - Normalised provider profile
+   * @returns {string} Raw link code
+   */
+  static async createLinkCode(userId, profile) {
+    const code = crypto.randomBytes(32).toString("base64url");
+
+    await AuthCode.create({
+      codeHash: TokenService.hashToken(code),
+      userId,
+      purpose: "link",
+      profile: {
+        provider: profile.provider,
+        id: profile.id,
+        email: profile.email || null,
+        emailVerified: !!profile.emailVerified,
+      },
+      expiresAt: new Date(Date.now() + CODE_TTL_MS),
+    });
+
+    return code;
+  }
+
+  /**
+   * Redeem a link code. The code is consumed even if it belongs to another
+   * user, so it can never be tried twice.
+   * @param {string} code - Raw link code
+   * @param {string} userId - User redeeming the code
+   * @returns {Object} Provider profile to link
+   */
+  static async redeemLinkCode(code, userId) {
+    const authCode = await AuthCode.findOneAndUpdate(
+      {
+        codeHash: TokenService.hashToken(code),
+        purpose: "link",
+        usedAt: null,
+        expiresAt: { $gt: new Date() },
+      },
+      { usedAt: new Date() },
+      { new: true }
+    );
+    if (!authCode || !authCode.userId.equals(userId)) {
+      throw new Error("Invalid link code");
+    }
+
+    return authCode.toObject().profile;
+  }
+
+  /**
+   * Check a PKCE code verifier against the stored challenge
+   * @param {Object} authCode - Authorization code document
+   * @param {string} codeVerifier - PKCE code verifier
+   * @returns {boolean} Whether the verifier matches
+   */
+  static verifyPkce(authCode, codeVerifier) {
+    if (!codeVerifier || !PKCE_PATTERN.test(codeVerifier)) {
+      return false;
+    }
+
+    const expected =
+      authCode.codeChallengeMethod === "plain"
+        ? codeVerifier
+        : crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+
+    const a = Buffer.from(expected);
+    const b = Buffer.from(authCode.codeChallenge);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+module.exports = AuthCodeService;
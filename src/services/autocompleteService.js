@@ -0,0 +1,244 @@
+const Game = require("../models/Game");
+const { GAMES } = require("../utils/constants");
+
+// Lowercase, strip accents and punctuation: "Pokémon: Go!" -> "pokemon go"
+const normalize = (text) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+
+// Trigrams of each word, padded so word starts weigh more: "go" -> "  g", " go", "go "
+const trigrams = (text) => {
+  const grams = new Set();
+  for (const word of text.split(" ")) {
+    if (!word) continue;
+    const padded = `  ${word} `;
+    for (let i = 0; i < padded.length - 2; i++) {
+      grams.add(padded.slice(i, i + 3));
+    }
+  }
+  return grams;
+};
+
+// Edit distance counting adjacent transpositions as one edit. Gives up
+// (returns max + 1) as soon as the distance is known to exceed max.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prevPrev &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+
+    if (rowMin > max) {
+      return max + 1;
+    }
+    prevPrev = prev;
+    prev = current;
+  }
+
+  return prev[b.length];
+};
+
+// Typos allowed for a query of this length
+const allowedEdits = (length) => (length <= 4 ? 1 : length <= 8 ? 2 : 3);
+
+class AutocompleteService {
+  constructor() {
+    // In-memory title index, built on first use
+    this.entries = [];
+    this.gramIndex = new Map(); // trigram -> Set of entry positions
+    this.builtAt = null;
+    this.building = null;
+    this.stale = false; // Games changed while a build was reading them
+  }
+
+  // Rebuild the index from the database. Concurrent calls share one build,
+  // followed by another one if games changed in the meantime.
+  async rebuild() {
+    if (this.building) {
+      this.stale = true;
+      return this.building;
+    }
+
+    this.building = (async () => {
+      try {
+        const games = await Game.find(
+          Game.publishedFilter(),
+          "title slug thumbnail"
+        ).lean();
+        const entries = [];
+        const gramIndex = new Map();
+
+        games.forEach((game) => {
+          const normalized = normalize(game.title);
+          if (!normalized) return;
+
+          const position = entries.length;
+          entries.push({
+            id: game._id,
+            title: game.title,
+            slug: game.slug,
+            thumbnail: game.thumbnail,
+            normalized,
+            words: normalized.split(" "),
+          });
+
+          for (const gram of trigrams(normalized)) {
+            if (!gramIndex.has(gram)) {
+              gramIndex.set(gram, new Set());
+            }
+            gramIndex.get(gram).add(position);
+          }
+        });
+
+        this.entries = entries;
+        this.gramIndex = gramIndex;
+        this.builtAt = Date.now();
+      } finally {
+        this.building = null;
+        if (this.stale) {
+          this.stale = false;
+          this.refresh();
+        }
+      }
+    })();
+
+    return this.building;
+  }
+
+  // Rebuild in the background after games change
+  refresh() {
+    this.rebuild().catch((error) =>
+      console.error("Autocomplete index rebuild failed:", error.message)
+    );
+  }
+
+  // Build on first use, and periodically so games added outside the admin
+  // routes (e.g. the sync script) show up
+  async ensureIndex() {
+    if (!this.builtAt) {
+      await this.rebuild();
+    } else if (Date.now() - this.builtAt > GAMES.CACHE_DURATION) {
+      this.refresh();
+    }
+  }
+
+  /**
+   * Score a title against the query: prefix matches first, then typos
+   * @param {Object} entry - Index entry
+   * @param {string} query - Normalized query
+   * @returns {Object|null} Score and match type, or null if no match
+   */
+  scoreEntry(entry, query) {
+    if (entry.normalized.startsWith(query)) {
+      return { score: 1, matchType: "prefix" };
+    }
+
+    // Multi-word queries are matched against the title, single words also
+    // against each word of the title ("legends" -> "Apex Legends")
+    const targets = query.includes(" ")
+      ? [entry.normalized]
+      : [entry.normalized, ...entry.words.slice(1)];
+
+    if (targets.some((target) => target.startsWith(query))) {
+      return { score: 0.9, matchType: "prefix" };
+    }
+
+    if (query.length < 3) {
+      return null;
+    }
+
+    // Compare with prefixes one character shorter or longer than the query
+    // so a missing or extra letter costs a single edit
+    const max = allowedEdits(query.length);
+    let best = max + 1;
+    for (const target of targets) {
+      for (let delta = -1; delta <= 1; delta++) {
+        const prefix = target.slice(0, query.length + delta);
+        best = Math.min(best, editDistance(query, prefix, max));
+      }
+    }
+
+    if (best > max) {
+      return null;
+    }
+
+    return { score: 0.8 - (0.5 * best) / (max + 1), matchType: "fuzzy" };
+  }
+
+  /**
+   * Suggest game titles for a partial, possibly misspelled query
+   * @param {string} input - Raw query
+   * @param {number} limit - Maximum number of suggestions
+   * @returns {Array} Suggestions, best first
+   */
+  async suggest(input, limit = GAMES.AUTOCOMPLETE_LIMIT) {
+    await this.ensureIndex();
+
+    const query = normalize(input).slice(0, GAMES.SEARCH_MAX_LENGTH);
+    if (!query) {
+      return [];
+    }
+
+    // Only score titles sharing at least one trigram with the query
+    const candidates = new Set();
+    for (const gram of trigrams(query)) {
+      const positions = this.gramIndex.get(gram);
+      if (positions) {
+        positions.forEach((position) => candidates.add(position));
+      }
+    }
+
+    const results = [];
+    for (const position of candidates) {
+      const entry = this.entries[position];
+      const match = this.scoreEntry(entry, query);
+      if (match) {
+        results.push({ entry, ...match });
+      }
+    }
+
+    return results
+      .sort(
+        (a, b) =>
+          b.score - a.score ||
+          a.entry.title.length - b.entry.title.length ||
+          a.entry.title.localeCompare(b.entry.title)
+      )
+      .slice(0, limit)
+      .map(({ entry, score, matchType }) => ({
+        id: entry.id,
+        title: entry.title,
+        slug: entry.slug,
+        thumbnail: entry.thumbnail,
+        score: Number(score.toFixed(3)),
+        matchType,
+      }));
+  }
+}
+
+module.exports = new AutocompleteService();
@@ -0,0 +1,96 @@
+const { createSmtpTransport } = require("../config/email");
+
+// Development transport: log the message, with the tokens in its links
+// left out since logs are kept and shared
+const consoleTransport = async ({ to, subject, text }) => {
+  const redacted = text.replace(/([?&]token=)[^\s&]+/g, "$1[redacted]");
+  console.log(`📧 Email to ${to}: ${subject}\n${redacted}`);
+};
+
+// SMTP when configured. Outside production the console will do; in
+// production there is no transport and sending fails.
+const defaultTransport = () =>
+  createSmtpTransport() ||
+  (process.env.NODE_ENV === "production" ? null : consoleTransport);
+
+class EmailService {
+  static transport = defaultTransport();
+
+  /**
+   * Replace the delivery transport (e.g. a mock in tests)
+   * @param {Function} transport - async ({ to, subject, text }) => void
+   */
+  static setTransport(transport) {
+    this.transport = transport || defaultTransport();
+  }
+
+  // Whether emails can be sent, checked at startup in production
+  static isConfigured() {
+    return !!this.transport;
+  }
+
+  /**
+   * Send an email through the configured transport
+   * @param {Object} message - Message with to, subject and text
+   */
+  static async send(message) {
+    if (!this.transport) {
+      throw new Error("Email transport is not configured");
+    }
+    await this.transport(message);
+  }
+
+  /**
+   * Send the email address verification link
+   * @param {Object} user - User document
+   * @param {string} token - Raw verification token
+   */
+  static async sendVerificationEmail(user, token) {
+    const link = `${this.clientURL()}/verify-email?token=${encodeURIComponent(
+      token
+    )}`;
+
+    await this.send({
+      to: user.email,
+      subject: "Verify your GameHub email address",
+      text: `Hi ${user.name},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    });
+  }
+
+  /**
+   * Send the password reset link
+   * @param {Object} user - User document
+   * @param {string} token - Raw reset token
+   */
+  static async sendPasswordResetEmail(user, token) {
+    const link = `${this.clientURL()}/reset-password?token=${encodeURIComponent(
+      token
+    )}`;
+
+    await this.send({
+      to: user.email,
+      subject: "Reset your GameHub password",
+      text: `Hi ${user.name},\n\nReset your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you didn't request this, you can ignore this email.`,
+    });
+  }
+
+  /**
+   * Tell the owner of an address that someone tried to register it again
+   * @param {Object} user - User document
+   */
+  static async sendAccountExistsEmail(user) {
+    const link = `${this.clientURL()}/forgot-password`;
+
+    await this.send({
+      to: user.email,
+      subject: "You already have a GameHub account",
+      text: `Hi ${user.name},\n\nSomeone, hopefully you, tried to sign up to GameHub with this email address, which already has an account. Sign in instead, or reset your password here:\n${link}\n\nIf this wasn't you, you can ignore this email.`,
+    });
+  }
+
+  static clientURL() {
+    return process.env.CLIENT_URL || "http://localhost:3000";
+  }
+}
+
+module.exports = EmailService;
@@ -1,6 +1,19 @@
 const Favorite = require("../models/Favorite");
 const Game = require("../models/Game");
 const mongoose = require("mongoose");
+const { parseGameFilters } = require("../utils/gameFilters");
+const { escapeRegex } = require("../utils/textSearch");
+const {
+  withTiebreaker,
+  decodeCursor,
+  buildCursorFilter,
+  parseLimit,
+  buildCursorPage,
+  paginateByCursor,
+} = require("../utils/cursor");
+
+// Most recently added first
+const FAVORITES_SORT = withTiebreaker({ addedAt: -1 });
 
 class FavoriteService {
   /**
@@ -8,22 +21,46 @@ class FavoriteService {
    * @param {string} userId - User ID
    * @param {number} page - Page number
    * @param {number} limit - Items per page
+   * @param {string} cursor - Cursor from the previous page ("" for the
+   *   first), replaces page numbers when given
    * @returns {Object} Paginated favorite games
-   */ static async getUserFavorites(userId, page = 1, limit = 20) {
+   */ static async getUserFavorites(userId, page = 1, limit = 20, cursor) {
     try {
+      // Games in the trash are left out before paginating and counting, so
+      // pages stay full and totals only count games the user can see
+      const filter = {
+        userId,
+        gameId: {
+          $nin: await Game.distinct("_id", { deletedAt: { $ne: null } }),
+        },
+      };
+
+      if (cursor !== undefined) {
+        const result = await paginateByCursor(
+          Favorite.find(filter).populate("gameId"),
+          FAVORITES_SORT,
+          cursor,
+          limit
+        );
+        return {
+          favorites: result.items,
+          pagination: result.pagination,
+        };
+      }
+
       const skip = (page - 1) * limit;
       const maxLimit = 100; // Prevent excessive requests
       const safeLimit = Math.min(limit, maxLimit);
 
       // Get user's favorites with pagination and populate game data
-      const favorites = await Favorite.find({ userId })
+      const favorites = await Favorite.find(filter)
         .populate("gameId")
         .sort({ addedAt: -1 }) // Most recently added first
         .skip(skip)
         .limit(safeLimit);
 
       // Get total count for pagination
-      const totalFavorites = await Favorite.countDocuments({ userId });
+      const totalFavorites = await Favorite.countDocuments(filter);
       const totalPages = Math.ceil(totalFavorites / safeLimit);
 
       return {
@@ -52,7 +89,7 @@ class FavoriteService {
     try {
       // Validate if game exists
       const game = await Game.findById(gameId);
-      if (!game) {
+      if (!game || !game.isPublished()) {
         throw new Error("Game not found");
       }
 
@@ -150,18 +187,23 @@ class FavoriteService {
   /**
    * Get favorite games with advanced filtering
    * @param {string} userId - User ID
-   * @param {Object} filters - Filter options (genre, platform, search, etc.)
+   * @param {Object} filters - Game filters (see parseGameFilters), search
+   *   and sortBy
    * @param {number} page - Page number
    * @param {number} limit - Items per page
+   * @param {string} cursor - Cursor from the previous page ("" for the
+   *   first), replaces page numbers when given
    * @returns {Object} Filtered favorite games
    */ static async getFilteredFavorites(
     userId,
     filters = {},
     page = 1,
-    limit = 20
+    limit = 20,
+    cursor
   ) {
     try {
-      const { genre, platform, search, sortBy = "addedAt" } = filters;
+      const { search, sortBy = "addedAt" } = filters;
+      const { conditions, applied } = parseGameFilters(filters, "gameId.");
       const skip = (page - 1) * limit;
 
       // Convert userId to ObjectId if it's a string
@@ -182,25 +224,25 @@ class FavoriteService {
           },
         },
         { $unwind: "$gameId" },
+        // Games in the trash, left out before paginating and counting
+        { $match: { "gameId.deletedAt": null } },
       ];
 
-      // Add filters
-      const matchConditions = {};
-      if (genre) {
-        matchConditions["gameId.genre"] = new RegExp(genre, "i");
-      }
-      if (platform) {
-        matchConditions["gameId.platform"] = new RegExp(platform, "i");
-      }
+      // Add filters (same ones as the games listing)
+      const matchConditions = Object.values(conditions);
       if (search) {
-        matchConditions.$or = [
-          { "gameId.title": new RegExp(search, "i") },
-          { "gameId.shortDescription": new RegExp(search, "i") },
-        ];
+        // Matched literally, search is user input
+        const pattern = new RegExp(escapeRegex(search), "i");
+        matchConditions.push({
+          $or: [
+            { "gameId.title": pattern },
+            { "gameId.shortDescription": pattern },
+          ],
+        });
       }
 
-      if (Object.keys(matchConditions).length > 0) {
-        pipeline.push({ $match: matchConditions });
+      if (matchConditions.length > 0) {
+        pipeline.push({ $match: { $and: matchConditions } });
       }
 
       // Add sorting
@@ -220,6 +262,32 @@ class FavoriteService {
           sortOptions.addedAt = -1;
           break;
       }
+
+      if (cursor !== undefined) {
+        const keysetSort = withTiebreaker(sortOptions);
+        const safeLimit = parseLimit(limit);
+        if (cursor) {
+          pipeline.push({
+            $match: buildCursorFilter(
+              keysetSort,
+              decodeCursor(cursor, keysetSort)
+            ),
+          });
+        }
+        pipeline.push({ $sort: keysetSort }, { $limit: safeLimit + 1 });
+
+        const result = buildCursorPage(
+          await Favorite.aggregate(pipeline),
+          keysetSort,
+          safeLimit
+        );
+        return {
+          favorites: result.items,
+          pagination: result.pagination,
+          filters: { ...applied, search, sortBy },
+        };
+      }
+
       pipeline.push({ $sort: sortOptions });
 
       // Add pagination
@@ -246,7 +314,7 @@ class FavoriteService {
           hasNextPage: page < totalPages,
           hasPreviousPage: page > 1,
         },
-        filters,
+        filters: { ...applied, search, sortBy },
       };
     } catch (error) {
       throw new Error(`Failed to fetch filtered favorites: ${error.message}`);
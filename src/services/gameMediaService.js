@@ -0,0 +1,264 @@
+const Game = require("../models/Game");
+const { cloudinary } = require("../config/cloudinary");
+const { ERROR_MESSAGES, GAME_MEDIA } = require("../utils/constants");
+
+// Default storage: Cloudinary. Files are uploaded from memory so another
+// storage (or a mock in tests) can stand in through setStorage.
+const cloudinaryStorage = {
+  upload: (file, { folder }) =>
+    new Promise((resolve, reject) => {
+      cloudinary.uploader
+        .upload_stream(
+          {
+            folder,
+            resource_type: "image",
+            transformation: [{ quality: "auto", fetch_format: "auto" }],
+          },
+          (error, result) =>
+            error
+              ? reject(error)
+              : resolve({
+                  url: result.secure_url,
+                  publicId: result.public_id,
+                  width: result.width,
+                  height: result.height,
+                })
+        )
+        .end(file.buffer);
+    }),
+
+  // Deleting a file that's already gone is fine, so failed deletes can be retried
+  destroy: async (publicId) => {
+    const { result } = await cloudinary.uploader.destroy(publicId);
+    if (result !== "ok" && result !== "not found") {
+      throw new Error(`Cloudinary destroy returned "${result}"`);
+    }
+  },
+};
+
+class GameMediaService {
+  static storage = cloudinaryStorage;
+
+  /**
+   * Replace the file storage (e.g. a mock in tests)
+   * @param {Object} storage - upload(file, { folder }) resolving to
+   *   { url, publicId, width, height }, and destroy(publicId)
+   */
+  static setStorage(storage) {
+    this.storage = storage || cloudinaryStorage;
+  }
+
+  /**
+   * Append an item to a game's gallery, unless the gallery is full
+   * @param {string} gameId - Game ID
+   * @param {Object} item - Media item fields
+   * @returns {Object} The added item
+   */
+  static async pushItem(gameId, item) {
+    const game = await Game.findById(gameId).select("media");
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME_NOT_FOUND);
+    }
+
+    const added = game.media.create(item);
+    // Checked in the update too, two uploads may race for the last slot
+    const result = await Game.updateOne(
+      {
+        _id: gameId,
+        [`media.${GAME_MEDIA.MAX_ITEMS - 1}`]: { $exists: false },
+      },
+      { $push: { media: added } },
+      { runValidators: true }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error(ERROR_MESSAGES.GAME_MEDIA_LIMIT);
+    }
+    return added;
+  }
+
+  // Refuse early rather than uploading a file that can't be kept
+  static async checkRoom(gameId) {
+    const game = await Game.findById(gameId).select("media");
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME_NOT_FOUND);
+    }
+    if (game.media.length >= GAME_MEDIA.MAX_ITEMS) {
+      throw new Error(ERROR_MESSAGES.GAME_MEDIA_LIMIT);
+    }
+  }
+
+  /**
+   * Upload a screenshot and add it to the end of a game's gallery
+   * @param {string} gameId - Game ID
+   * @param {Object} file - Uploaded file with buffer and mimetype
+   * @param {Object} details - caption and focalPoint ({ x, y })
+   * @returns {Object} The added item
+   */
+  static async addImage(gameId, file, { caption, focalPoint } = {}) {
+    await this.checkRoom(gameId);
+
+    const stored = await this.storage.upload(file, {
+      folder: GAME_MEDIA.FOLDER,
+    });
+    try {
+      return await this.pushItem(gameId, {
+        type: "image",
+        url: stored.url,
+        publicId: stored.publicId,
+        width: stored.width,
+        height: stored.height,
+        caption,
+        focalPoint,
+      });
+    } catch (error) {
+      // Don't leave the file behind when it can't be added
+      await this.storage.destroy(stored.publicId).catch(console.error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a video by URL to the end of a game's gallery
+   * @param {string} gameId - Game ID
+   * @param {Object} details - url, caption and focalPoint ({ x, y })
+   * @returns {Object} The added item
+   */
+  static async addVideo(gameId, { url, caption, focalPoint }) {
+    return this.pushItem(gameId, { type: "video", url, caption, focalPoint });
+  }
+
+  /**
+   * Change the caption or focal point of a gallery item
+   * @param {string} gameId - Game ID
+   * @param {string} mediaId - Media item ID
+   * @param {Object} changes - caption and focalPoint ({ x, y }), both optional
+   * @returns {Object} The updated item
+   */
+  static async updateItem(gameId, mediaId, { caption, focalPoint }) {
+    const game = await Game.findById(gameId).select("media");
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME_NOT_FOUND);
+    }
+    const item = game.media.id(mediaId);
+    if (!item) {
+      throw new Error(ERROR_MESSAGES.GAME_MEDIA_NOT_FOUND);
+    }
+
+    const update = {};
+    if (caption !== undefined) {
+      update["media.$.caption"] = caption;
+    }
+    if (focalPoint) {
+      ["x", "y"].forEach((axis) => {
+        if (focalPoint[axis] !== undefined) {
+          update[`media.$.focalPoint.${axis}`] = focalPoint[axis];
+        }
+      });
+    }
+
+    // Updated in place, so a reorder at the same time isn't undone
+    const updated = await Game.findOneAndUpdate(
+      { _id: gameId, "media._id": mediaId },
+      { $set: update },
+      { new: true, runValidators: true, projection: { media: 1 } }
+    );
+    if (!updated) {
+      throw new Error(ERROR_MESSAGES.GAME_MEDIA_NOT_FOUND);
+    }
+    return updated.media.id(mediaId);
+  }
+
+  /**
+   * Put a game's gallery in a new order
+   * @param {string} gameId - Game ID
+   * @param {Array} order - Every media item ID of the game, in the new order
+   * @returns {Array} The reordered gallery
+   */
+  static async reorder(gameId, order) {
+    const game = await Game.findById(gameId).select("media");
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME_NOT_FOUND);
+    }
+
+    const ids = order.map(String);
+    const byId = new Map(game.media.map((item) => [item._id.toString(), item]));
+    if (
+      ids.length !== byId.size ||
+      new Set(ids).size !== ids.length ||
+      !ids.every((id) => byId.has(id))
+    ) {
+      throw new Error(ERROR_MESSAGES.GAME_MEDIA_ORDER_INVALID);
+    }
+
+    // Only if the gallery is still the one the order was checked against
+    const current = game.media.map((item) => item._id);
+    const result = await Game.updateOne(
+      {
+        _id: gameId,
+        "media._id": { $all: current },
+        media: { $size: current.length },
+      },
+      { $set: { media: ids.map((id) => byId.get(id)) } }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error(ERROR_MESSAGES.GAME_MEDIA_ORDER_INVALID);
+    }
+    return ids.map((id) => byId.get(id));
+  }
+
+  /**
+   * Remove an item from a game's gallery and delete its file from storage.
+   * The file goes first: if that fails the item stays, and deleting it
+   * again retries.
+   * @param {string} gameId - Game ID
+   * @param {string} mediaId - Media item ID
+   * @returns {Object} The removed item
+   */
+  static async removeItem(gameId, mediaId) {
+    const game = await Game.findById(gameId).select("media");
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME_NOT_FOUND);
+    }
+    const item = game.media.id(mediaId);
+    if (!item) {
+      throw new Error(ERROR_MESSAGES.GAME_MEDIA_NOT_FOUND);
+    }
+
+    if (item.publicId) {
+      try {
+        await this.storage.destroy(item.publicId);
+      } catch (error) {
+        console.error("Media storage delete error:", error);
+        throw new Error(ERROR_MESSAGES.GAME_MEDIA_STORAGE_FAILED);
+      }
+    }
+
+    await Game.updateOne(
+      { _id: gameId },
+      { $pull: { media: { _id: mediaId } } }
+    );
+    return item;
+  }
+
+  /**
+   * Delete the stored files of a gallery, for games deleted for good.
+   * Failures are logged, the game is gone either way.
+   * @param {Array} media - Media items
+   * @returns {number} Files deleted
+   */
+  static async removeFiles(media = []) {
+    let removed = 0;
+    for (const item of media) {
+      if (!item.publicId) continue;
+      try {
+        await this.storage.destroy(item.publicId);
+        removed++;
+      } catch (error) {
+        console.error(`Media storage delete error (${item.publicId}):`, error);
+      }
+    }
+    return removed;
+  }
+}
+
+module.exports = GameMediaService;
@@ -0,0 +1,348 @@
+const Game = require("../models/Game");
+const Review = require("../models/Review");
+const Favorite = require("../models/Favorite");
+const ReviewService = require("./reviewService");
+const GameRevisionService = require("./gameRevisionService");
+const GameMediaService = require("./gameMediaService");
+const autocompleteService = require("./autocompleteService");
+const { normalizeName, similarity } = require("../utils/similarity");
+const {
+  ERROR_MESSAGES,
+  GAME_DUPLICATES,
+  GAME_MEDIA,
+} = require("../utils/constants");
+
+// Sequels and editions differ only in their numbers ("Game 2", "Game 3")
+const digitsOf = (name) => (name.match(/\d+/g) || []).join(",");
+
+// What a merge changes on the canonical game besides its tracked fields,
+// listed in its merge revision
+const mergeState = (game) => ({
+  mergedIds: game.mergedIds.map(String),
+  slugAliases: [...game.slugAliases],
+  externalId: game.externalId || null,
+  externalIdAliases: [...game.externalIdAliases],
+  inPlayersFavorites: game.inPlayersFavorites,
+  averageRating: game.averageRating,
+  totalReviews: game.totalReviews,
+  media: game.media.map((item) => item._id.toString()),
+});
+
+// Root of a union-find set, flattening the path on the way
+const findRoot = (parents, id) => {
+  while (parents.get(id) !== id) {
+    parents.set(id, parents.get(parents.get(id)));
+    id = parents.get(id);
+  }
+  return id;
+};
+
+class GameMergeService {
+  /**
+   * Score how likely two games are the same entry
+   * @param {Object} a - Game with normalised title, developer and publisher
+   * @param {Object} b - Game with normalised title, developer and publisher
+   * @returns {number} Score from 0 to 1, 0 when the titles are too different
+   */
+  static scorePair(a, b) {
+    if (digitsOf(a.title) !== digitsOf(b.title)) {
+      return 0;
+    }
+    const titleSimilarity = similarity(a.title, b.title);
+    if (titleSimilarity < GAME_DUPLICATES.MIN_TITLE_SIMILARITY) {
+      return 0;
+    }
+
+    const otherWeight = (1 - GAME_DUPLICATES.TITLE_WEIGHT) / 2;
+    return (
+      GAME_DUPLICATES.TITLE_WEIGHT * titleSimilarity +
+      otherWeight * similarity(a.developer, b.developer) +
+      otherWeight * similarity(a.publisher, b.publisher)
+    );
+  }
+
+  /**
+   * Find groups of games that look like duplicates, by normalised title,
+   * developer and publisher similarity. Only titles sharing their first or
+   * last few characters are compared, which keeps this fast on a large
+   * catalogue.
+   * @param {number} minScore - Lowest pair score to report
+   * @returns {Array} Groups, most likely duplicates first:
+   *   [{ score, suggestedCanonicalId, games }]
+   */
+  static async findDuplicates(minScore = GAME_DUPLICATES.MIN_SCORE) {
+    const games = await Game.find()
+      .select(
+        "title slug developer publisher totalReviews inPlayersFavorites createdAt"
+      )
+      .lean();
+
+    const entries = games.map((game) => ({
+      game,
+      id: game._id.toString(),
+      title: normalizeName(game.title),
+      developer: normalizeName(game.developer),
+      publisher: normalizeName(game.publisher),
+    }));
+
+    // Blocks of titles sharing a prefix or suffix
+    const blocks = new Map();
+    const length = GAME_DUPLICATES.BLOCK_LENGTH;
+    entries.forEach((entry) => {
+      if (!entry.title) return;
+      [
+        `^${entry.title.slice(0, length)}`,
+        `$${entry.title.slice(-length)}`,
+      ].forEach((key) => {
+        if (!blocks.has(key)) blocks.set(key, []);
+        blocks.get(key).push(entry);
+      });
+    });
+
+    const parents = new Map(entries.map((entry) => [entry.id, entry.id]));
+    const pairScores = new Map(); // "idA:idB" -> score
+    blocks.forEach((block) => {
+      for (let i = 0; i < block.length; i++) {
+        for (let j = i + 1; j < block.length; j++) {
+          const [a, b] = [block[i], block[j]];
+          const pairKey = a.id < b.id ? `${a.id}:${b.id}` : `${b.id}:${a.id}`;
+          if (pairScores.has(pairKey)) continue;
+
+          const score = this.scorePair(a, b);
+          pairScores.set(pairKey, score);
+          if (score >= minScore) {
+            parents.set(findRoot(parents, a.id), findRoot(parents, b.id));
+          }
+        }
+      }
+    });
+
+    // Collect each set of linked games with its best pair score
+    const groups = new Map();
+    pairScores.forEach((score, pairKey) => {
+      if (score < minScore) return;
+      const root = findRoot(parents, pairKey.split(":")[0]);
+      if (!groups.has(root)) groups.set(root, { score: 0, ids: new Set() });
+      const group = groups.get(root);
+      group.score = Math.max(group.score, score);
+      pairKey.split(":").forEach((id) => group.ids.add(id));
+    });
+
+    const byId = new Map(entries.map((entry) => [entry.id, entry.game]));
+    return [...groups.values()]
+      .map(({ score, ids }) => {
+        // The game with the most activity, then the oldest, is the likely keeper
+        const members = [...ids]
+          .map((id) => byId.get(id))
+          .sort(
+            (a, b) =>
+              b.totalReviews +
+                b.inPlayersFavorites -
+                (a.totalReviews + a.inPlayersFavorites) ||
+              a.createdAt - b.createdAt
+          );
+        return {
+          score: Math.round(score * 100) / 100,
+          suggestedCanonicalId: members[0]._id,
+          games: members,
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, GAME_DUPLICATES.MAX_GROUPS);
+  }
+
+  /**
+   * Move the documents of a duplicate game to the canonical one. When a
+   * user has one on both games, the keeper is chosen by `keepDuplicate`.
+   * @param {Object} Model - Review or Favorite
+   * @param {string} duplicateId - Game being merged away
+   * @param {string} canonicalId - Game that remains
+   * @param {Function} keepDuplicate - (duplicateDoc, canonicalDoc) => boolean
+   * @returns {Object} { moved, dropped }
+   */
+  static async moveUserDocuments(
+    Model,
+    duplicateId,
+    canonicalId,
+    keepDuplicate
+  ) {
+    // Aggregation skips the models' populate hooks
+    const docs = await Model.aggregate([
+      { $match: { gameId: { $in: [duplicateId, canonicalId] } } },
+    ]);
+
+    const byUser = new Map();
+    docs.forEach((doc) => {
+      const userId = doc.userId.toString();
+      if (!byUser.has(userId)) byUser.set(userId, {});
+      const side = doc.gameId.equals(canonicalId) ? "canonical" : "duplicate";
+      byUser.get(userId)[side] = doc;
+    });
+
+    const dropIds = [];
+    let moved = 0;
+    byUser.forEach(({ duplicate, canonical }) => {
+      if (!duplicate) return;
+      if (canonical && !keepDuplicate(duplicate, canonical)) {
+        dropIds.push(duplicate._id);
+        return;
+      }
+      if (canonical) dropIds.push(canonical._id);
+      moved++;
+    });
+
+    // Drop first, the unique user and game index would refuse the move
+    if (dropIds.length > 0) {
+      await Model.deleteMany({ _id: { $in: dropIds } });
+    }
+    await Model.updateMany(
+      { gameId: duplicateId },
+      { $set: { gameId: canonicalId } }
+    );
+
+    return { moved, dropped: dropIds.length };
+  }
+
+  /**
+   * Fold a duplicate game into a canonical one. Reviews and favorites move
+   * over (a user keeps their newest review and a single favorite), ratings
+   * and favorite counts are recomputed, and the duplicate's id and slugs
+   * redirect to the canonical game, as do its catalogue ids for the sync.
+   * The duplicate's gallery is added after the canonical one; files of
+   * items that don't fit are deleted. The duplicate gets a delete revision
+   * and the canonical game a merge revision listing what changed.
+   * @param {string} duplicateId - Game to merge away
+   * @param {string} canonicalId - Game to keep
+   * @param {string} author - User ID of the admin merging, for the
+   *   revisions
+   * @returns {Object} { game, reviews: { moved, dropped }, favorites: { moved, dropped },
+   *   media: { moved, dropped } }
+   */
+  static async mergeGames(duplicateId, canonicalId, author = null) {
+    if (duplicateId.toString() === canonicalId.toString()) {
+      throw new Error(ERROR_MESSAGES.MERGE_SAME_GAME);
+    }
+
+    const [duplicate, canonical] = await Promise.all([
+      Game.findById(duplicateId),
+      Game.findById(canonicalId),
+    ]);
+    if (!duplicate) {
+      throw new Error(ERROR_MESSAGES.GAME_NOT_FOUND);
+    }
+    if (!canonical) {
+      throw new Error(ERROR_MESSAGES.MERGE_TARGET_NOT_FOUND);
+    }
+
+    // Redirects first: until the duplicate is deleted its own id and slug
+    // still win the lookup, so a failure part way leaves nothing broken
+    const redirects = {
+      mergedIds: [duplicate._id, ...duplicate.mergedIds],
+      slugAliases: [duplicate.slug, ...duplicate.slugAliases].filter(
+        (slug) => slug && slug !== canonical.slug
+      ),
+    };
+    await Game.updateOne(
+      { _id: canonical._id },
+      {
+        $addToSet: {
+          mergedIds: { $each: redirects.mergedIds },
+          slugAliases: { $each: redirects.slugAliases },
+        },
+      }
+    );
+
+    const reviews = await this.moveUserDocuments(
+      Review,
+      duplicate._id,
+      canonical._id,
+      (fromDuplicate, fromCanonical) =>
+        fromDuplicate.updatedAt > fromCanonical.updatedAt
+    );
+    const favorites = await this.moveUserDocuments(
+      Favorite,
+      duplicate._id,
+      canonical._id,
+      () => false
+    );
+
+    await Game.findByIdAndDelete(duplicate._id);
+    await GameRevisionService.record({
+      gameId: duplicate._id,
+      action: "delete",
+      before: GameRevisionService.snapshot(duplicate),
+      author,
+      source: "merge",
+    });
+
+    // Keep the catalogue links so the next sync doesn't bring the
+    // duplicate back: its id becomes this game's if it has none, an alias
+    // the sync skips otherwise
+    const update = {
+      inPlayersFavorites: await Favorite.countDocuments({
+        gameId: canonical._id,
+      }),
+    };
+    const externalIds = [
+      duplicate.externalId,
+      ...duplicate.externalIdAliases,
+    ].filter(Boolean);
+    if (!canonical.externalId && externalIds.length > 0) {
+      update.externalId = externalIds.shift();
+    }
+    // Capped in the update, the canonical gallery may have changed since
+    // it was read
+    await Game.updateOne(
+      { _id: canonical._id },
+      {
+        $set: update,
+        $addToSet: { externalIdAliases: { $each: externalIds } },
+        $push: {
+          media: {
+            $each: duplicate.media.map((item) => item.toObject()),
+            $slice: GAME_MEDIA.MAX_ITEMS,
+          },
+        },
+      }
+    );
+    await ReviewService.updateGameRating(canonical._id);
+    autocompleteService.refresh();
+
+    const game = await Game.findById(canonical._id);
+    const dropped = duplicate.media.filter(
+      (item) => !(game && game.media.id(item._id))
+    );
+    await GameMediaService.removeFiles(dropped);
+
+    if (game) {
+      const before = mergeState(canonical);
+      const after = mergeState(game);
+      await GameRevisionService.record({
+        gameId: canonical._id,
+        action: "merge",
+        before: GameRevisionService.snapshot(canonical),
+        after: GameRevisionService.snapshot(game),
+        author,
+        source: "merge",
+        mergedFrom: duplicate._id,
+        otherChanges: Object.keys(after)
+          .map((field) => ({ field, from: before[field], to: after[field] }))
+          .filter(
+            ({ from, to }) => JSON.stringify(from) !== JSON.stringify(to)
+          ),
+      });
+    }
+
+    return {
+      game,
+      reviews,
+      favorites,
+      media: {
+        moved: duplicate.media.length - dropped.length,
+        dropped: dropped.length,
+      },
+    };
+  }
+}
+
+module.exports = GameMergeService;
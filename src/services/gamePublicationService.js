@@ -0,0 +1,149 @@
+const Game = require("../models/Game");
+const autocompleteService = require("./autocompleteService");
+const GameRevisionService = require("./gameRevisionService");
+const { ERROR_MESSAGES, GAME_PUBLICATION } = require("../utils/constants");
+
+let publishTimer = null;
+
+class GamePublicationService {
+  /**
+   * Set a game's publication status, without saving it
+   * @param {Object} game - Game document
+   * @param {Object} change - status (draft, in-review, scheduled or
+   *   published) and publishAt, required for scheduled games
+   * @returns {Object} The game
+   */
+  static applyStatus(game, { status, publishAt }) {
+    if (!GAME_PUBLICATION.STATUSES.includes(status)) {
+      throw new Error(ERROR_MESSAGES.GAME_INVALID_STATUS);
+    }
+
+    if (status === "scheduled") {
+      const date = publishAt ? new Date(publishAt) : null;
+      if (!date || isNaN(date) || date <= new Date()) {
+        throw new Error(ERROR_MESSAGES.GAME_PUBLISH_AT_INVALID);
+      }
+      game.publishAt = date;
+    } else {
+      game.publishAt = null;
+    }
+
+    // Keep the first publication date when a game is taken down and back
+    if (status === "published" && !game.publishedAt) {
+      game.publishedAt = new Date();
+    }
+    game.status = status;
+    return game;
+  }
+
+  /**
+   * Move a game through the publication workflow and record the change in
+   * its revisions
+   * @param {string} gameId - Game ID
+   * @param {Object} change - status and publishAt, see applyStatus
+   * @param {string} author - User ID of the admin making the change
+   * @returns {Object} Updated game
+   */
+  static async setStatus(gameId, change, author = null) {
+    const game = await Game.findById(gameId);
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME_NOT_FOUND);
+    }
+
+    const before = GameRevisionService.snapshot(game);
+    const wasPublished = game.isPublished();
+    this.applyStatus(game, change);
+    await game.save();
+    if (wasPublished !== game.isPublished()) {
+      autocompleteService.refresh();
+    }
+
+    await GameRevisionService.record({
+      gameId: game._id,
+      action: "update",
+      before,
+      after: GameRevisionService.snapshot(game),
+      author,
+    });
+
+    return game;
+  }
+
+  /**
+   * Publish every scheduled game whose publishAt has passed, one at a time
+   * so each is recorded in its revisions. Safe to run on several instances
+   * at once: a game is only published, and recorded, by one of them.
+   * @returns {number} Games published
+   */
+  static async publishDue() {
+    const due = { status: "scheduled", publishAt: { $lte: new Date() } };
+    // Trashed games too, they stay in the trash
+    const games = await Game.find(due)
+      .select("_id")
+      .setOptions({ withDeleted: true })
+      .lean();
+
+    let published = 0;
+    for (const { _id } of games) {
+      const before = await Game.findOneAndUpdate(
+        { _id, ...due },
+        [
+          {
+            $set: {
+              status: "published",
+              publishedAt: { $ifNull: ["$publishedAt", "$publishAt"] },
+              publishAt: null,
+            },
+          },
+        ],
+        { new: false }
+      );
+      if (!before) {
+        continue; // Published by another instance, or rescheduled
+      }
+
+      published++;
+      await GameRevisionService.record({
+        gameId: _id,
+        action: "update",
+        before: GameRevisionService.snapshot(before),
+        after: GameRevisionService.snapshot({
+          ...before.toObject(),
+          status: "published",
+          publishAt: null,
+        }),
+        source: "schedule",
+      });
+    }
+
+    if (published > 0) {
+      autocompleteService.refresh();
+    }
+    return published;
+  }
+
+  // Publish due games now and then every GAME_PUBLICATION.PUBLISH_CHECK_INTERVAL
+  static startScheduler() {
+    if (publishTimer) {
+      return;
+    }
+
+    const check = () =>
+      this.publishDue()
+        .then((published) => {
+          if (published > 0) console.log(`Published ${published} game(s)`);
+        })
+        .catch((error) =>
+          console.error("Game publication error:", error.message)
+        );
+    publishTimer = setInterval(check, GAME_PUBLICATION.PUBLISH_CHECK_INTERVAL);
+    check();
+  }
+
+  static stopScheduler() {
+    clearInterval(publishTimer);
+    publishTimer = null;
+  }
+}
+
+module.exports = GamePublicationService;
@@ -0,0 +1,225 @@
+const Game = require("../models/Game");
+const GameRevision = require("../models/GameRevision");
+const Favorite = require("../models/Favorite");
+const ReviewService = require("./reviewService");
+const autocompleteService = require("./autocompleteService");
+const { paginateByCursor } = require("../utils/cursor");
+const { ERROR_MESSAGES } = require("../utils/constants");
+
+// Content and publication fields kept in revisions. Slugs follow the
+// title, publishedAt the status, and ratings and favorite counts follow
+// reviews and favorites.
+const TRACKED_FIELDS = [
+  "title",
+  "thumbnail",
+  "backgroundImage",
+  "shortDescription",
+  "gameUrl",
+  "genre",
+  "platform",
+  "publisher",
+  "developer",
+  "releaseDate",
+  "minOS",
+  "minProcessor",
+  "minMemory",
+  "minGraphics",
+  "minStorage",
+  "recOS",
+  "recProcessor",
+  "recMemory",
+  "recGraphics",
+  "recStorage",
+  "status",
+  "publishAt",
+];
+
+// Attempts at taking the next revision number when edits race
+const MAX_RECORD_ATTEMPTS = 3;
+
+// Plain JSON values, so snapshots compare and store the same way
+const toPlain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  return value;
+};
+
+// A game restored to published keeps its first publication date, or gets one
+const setPublishedAt = (game) => {
+  if (game.status === "published" && !game.publishedAt) {
+    game.publishedAt = new Date();
+  }
+};
+
+class GameRevisionService {
+  /**
+   * Copy the tracked fields of a game
+   * @param {Object} game - Game document or plain object
+   * @returns {Object} Snapshot
+   */
+  static snapshot(game) {
+    const snapshot = {};
+    TRACKED_FIELDS.forEach((field) => {
+      snapshot[field] = toPlain(game[field]);
+    });
+    return snapshot;
+  }
+
+  /**
+   * Field-level difference between two snapshots
+   * @param {Object|null} before - Snapshot before the change, null for a create
+   * @param {Object|null} after - Snapshot after the change, null for a delete
+   * @returns {Array} [{ field, from, to }]
+   */
+  static diff(before, after) {
+    return TRACKED_FIELDS.map((field) => ({
+      field,
+      from: before ? before[field] : null,
+      to: after ? after[field] : null,
+    })).filter(({ from, to }) => JSON.stringify(from) !== JSON.stringify(to));
+  }
+
+  /**
+   * Record a change to a game. Updates that don't touch a tracked field
+   * are skipped. The first change to a game created before revisions were
+   * kept also records its previous state as a baseline, so it can be
+   * restored.
+   * @param {Object} change - gameId, action (create, update, delete,
+   *   restore or merge), before and after snapshots, author (user ID),
+   *   source (admin, import, sync, merge or schedule), restoredFrom,
+   *   mergedFrom and otherChanges, changes to untracked fields to list
+   *   with the tracked ones
+   * @returns {Object|null} GameRevision, or null if nothing changed
+   */
+  static async record({
+    gameId,
+    action,
+    before = null,
+    after = null,
+    author = null,
+    source = "admin",
+    restoredFrom = null,
+    mergedFrom = null,
+    otherChanges = [],
+  }) {
+    const changes = [...this.diff(before, after), ...otherChanges];
+    if (action === "update" && changes.length === 0) {
+      return null;
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      const latest = await GameRevision.findOne({ gameId })
+        .sort({ rev: -1 })
+        .select("rev");
+      let rev = latest ? latest.rev : 0;
+
+      try {
+        if (!latest && before && action !== "create") {
+          await GameRevision.create({
+            gameId,
+            rev: ++rev,
+            action: "baseline",
+            source,
+            snapshot: before,
+          });
+        }
+
+        return await GameRevision.create({
+          gameId,
+          rev: rev + 1,
+          action,
+          source,
+          author,
+          restoredFrom,
+          mergedFrom,
+          changes,
+          snapshot: action === "delete" ? before : after,
+        });
+      } catch (error) {
+        // Another change took the number first
+        if (error.code === 11000 && attempt < MAX_RECORD_ATTEMPTS) {
+          continue;
+        }
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * List a game's revisions, newest first, without their snapshots. Works
+   * for deleted games too.
+   * @param {string} gameId - Game ID
+   * @param {string} cursor - Cursor from the previous page
+   * @param {number} limit - Page size
+   * @returns {Object} { items, pagination }
+   */
+  static async listRevisions(gameId, cursor, limit) {
+    return paginateByCursor(
+      GameRevision.find({ gameId })
+        .select("-snapshot")
+        .populate("author", "name username email"),
+      { rev: -1 },
+      cursor,
+      limit
+    );
+  }
+
+  /**
+   * Put a game back the way it was at a revision, recreating it if it was
+   * deleted. The restore is recorded as a new revision.
+   * @param {string} gameId - Game ID
+   * @param {number} rev - Revision to go back to
+   * @param {string} author - User ID of the admin restoring
+   * @returns {Object} { game, revision }
+   */
+  static async restoreRevision(gameId, rev, author) {
+    const revision = await GameRevision.findOne({ gameId, rev });
+    if (!revision) {
+      throw new Error(ERROR_MESSAGES.GAME_REVISION_NOT_FOUND);
+    }
+
+    // A trashed game is restored in place and stays in the trash
+    let game = await Game.findById(gameId).setOptions({ withDeleted: true });
+    const before = game ? this.snapshot(game) : null;
+
+    if (game) {
+      game.set(revision.snapshot);
+      if (!game.isModified()) {
+        throw new Error(ERROR_MESSAGES.GAME_REVISION_CURRENT);
+      }
+      setPublishedAt(game);
+      await game.save();
+    } else {
+      // Reviews and favorites may have outlived the game. Revisions from
+      // before publication was tracked have no status: those come back as
+      // drafts rather than going public.
+      game = new Game({
+        _id: gameId,
+        ...revision.snapshot,
+        status: revision.snapshot.status || "draft",
+        inPlayersFavorites: await Favorite.countDocuments({ gameId }),
+      });
+      setPublishedAt(game);
+      await game.save();
+      await ReviewService.updateGameRating(gameId);
+    }
+    autocompleteService.refresh();
+
+    const restored = await this.record({
+      gameId,
+      action: "restore",
+      before,
+      after: this.snapshot(game),
+      author,
+      restoredFrom: rev,
+    });
+
+    return {
+      game: await Game.findById(gameId).setOptions({ withDeleted: true }),
+      revision: restored,
+    };
+  }
+}
+
+module.exports = GameRevisionService;
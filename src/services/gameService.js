@@ -1,4 +1,71 @@
+const mongoose = require("mongoose");
 const Game = require("../models/Game");
+const { ERROR_MESSAGES } = require("../utils/constants");
+const { escapeRegex, buildTextSearch } = require("../utils/textSearch");
+const { parseGameFilters } = require("../utils/gameFilters");
+const {
+  parseOS,
+  parseRequirements,
+  combine,
+  checkRequirements,
+} = require("../utils/systemRequirements");
+const {
+  withTiebreaker,
+  decodeCursor,
+  buildCursorFilter,
+  parseLimit,
+  buildCursorPage,
+} = require("../utils/cursor");
+
+// Free-text requirement field suffix of each compatibility component
+const REQUIREMENT_COMPONENTS = {
+  os: "OS",
+  processor: "Processor",
+  memory: "Memory",
+  graphics: "Graphics",
+  storage: "Storage",
+};
+
+// Rating buckets for the rating facet: [min, max)
+const RATING_BUCKETS = [0, 1, 2, 3, 4, 5.01];
+
+// Aggregation stages counting games per value of each facet
+const FACETS = {
+  genre: [
+    { $unwind: "$genre" },
+    { $group: { _id: "$genre", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ],
+  platform: [
+    { $unwind: "$platform" },
+    { $group: { _id: "$platform", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ],
+  publisher: [
+    { $group: { _id: "$publisher", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: 25 },
+  ],
+  developer: [
+    { $group: { _id: "$developer", count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: 25 },
+  ],
+  releaseYear: [
+    { $group: { _id: { $year: "$releaseDate" }, count: { $sum: 1 } } },
+    { $sort: { _id: -1 } },
+  ],
+  rating: [
+    {
+      $bucket: {
+        groupBy: "$averageRating",
+        boundaries: RATING_BUCKETS,
+        default: "other", // Missing ratings
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ],
+};
 
 class GameService {
   constructor() {
@@ -8,7 +75,7 @@ class GameService {
   // Get available categories/genres
   async getAvailableCategories() {
     try {
-      const categories = await Game.distinct("genre");
+      const categories = await Game.distinct("genre", Game.publishedFilter());
       return categories.filter((cat) => cat && cat.trim() !== "").sort();
     } catch (error) {
       throw new Error(`Failed to get categories: ${error.message}`);
@@ -20,6 +87,7 @@ class GameService {
     try {
       // For array-type platform field, we need to use aggregation to flatten arrays
       const platforms = await Game.aggregate([
+        { $match: Game.publishedFilter() },
         { $unwind: "$platform" },
         { $group: { _id: "$platform" } },
         { $sort: { _id: 1 } },
@@ -37,7 +105,10 @@ class GameService {
   // Get popular tags based on game data
   async getPopularTags() {
     try {
-      const games = await Game.find({}, "genre title shortDescription").lean();
+      const games = await Game.find(
+        Game.publishedFilter(),
+        "genre title shortDescription"
+      ).lean();
       const tagCount = {};
 
       games.forEach((game) => {
@@ -127,52 +198,67 @@ class GameService {
   async searchGames(options = {}) {
     try {
       const {
-        category,
-        platform,
         sortBy = "relevance",
         tag,
         page = 1,
         limit = 20,
         search,
+        facets,
+        cursor,
       } = options;
 
-      // Build filter object
-      const filter = {};
-
-      // Category filter (genre)
-      if (category) {
-        filter.genre = new RegExp(category, "i"); // Case-insensitive
-      }
-
-      // Platform filter - updated for array-type platform field
-      if (platform) {
-        filter.platform = { $in: [new RegExp(platform, "i")] };
-      }
+      // Genre, platform, publisher, developer, release date and rating
+      // filters. Filters on a facet are kept apart so each facet's counts
+      // can ignore its own selection.
+      const { conditions, applied } = parseGameFilters(options);
+      const facetFilters = {};
+      const baseConditions = [Game.publishedFilter()]; // Drafts stay hidden
+      Object.entries(conditions).forEach(([name, condition]) => {
+        if (FACETS[name]) {
+          facetFilters[name] = condition;
+        } else {
+          baseConditions.push(condition);
+        }
+      });
 
-      // Search filter (title and description)
-      if (search) {
-        filter.$or = [
-          { title: new RegExp(search, "i") },
-          { shortDescription: new RegExp(search, "i") },
-        ];
+      // Full-text search (title, description, developer, publisher) with
+      // "phrase" and -negation support
+      const textFilter = {};
+      const textSearch = buildTextSearch(search);
+      if (textSearch) {
+        textFilter.$text = { $search: textSearch };
       }
 
       // Tag filter (multiple tags separated by dots)
       if (tag) {
         const tags = tag.split(".");
         // For tags, we'll search in genre, title, and description
-        const tagRegex = tags.map((t) => new RegExp(t, "i"));
-        filter.$and = tagRegex.map((regex) => ({
-          $or: [
-            { genre: regex },
-            { title: regex },
-            { shortDescription: regex },
-            { developer: regex },
-            { publisher: regex },
-          ],
-        }));
+        const tagRegex = tags.map((t) => new RegExp(escapeRegex(t), "i"));
+        tagRegex.forEach((regex) =>
+          baseConditions.push({
+            $or: [
+              { genre: regex },
+              { title: regex },
+              { shortDescription: regex },
+              { developer: regex },
+              { publisher: regex },
+            ],
+          })
+        );
       }
 
+      // $text stays at the top level, other conditions are combined with
+      // $and. Games must match the facet filters too.
+      const withConditions = (list) => ({ ...textFilter, $and: list });
+      const baseFilter = withConditions(baseConditions);
+      const filter = withConditions([
+        ...baseConditions,
+        ...Object.values(facetFilters),
+      ]);
+
+      // Include the text score in each result when searching
+      const projection = textSearch ? { score: { $meta: "textScore" } } : {};
+
       // Build sort object
       let sort = {};
       switch (sortBy) {
@@ -187,19 +273,46 @@ class GameService {
           break;
         case "relevance":
         default:
-          sort = { lastUpdated: -1 }; // Most recently updated first
+          // Best text match first, or most recently updated without a search
+          sort = textSearch
+            ? { score: { $meta: "textScore" }, averageRating: -1 }
+            : { updatedAt: -1 };
           break;
       }
 
+      const includeFacets = facets === true || facets === "true";
+      const filters = { ...applied, sortBy, tag, search };
+
+      // Cursor mode: an empty cursor asks for the first page
+      if (cursor !== undefined) {
+        const [result, facetCounts] = await Promise.all([
+          this.findGamesAfterCursor(filter, sort, cursor, limit, !!textSearch),
+          includeFacets ? this.getFacetCounts(baseFilter, facetFilters) : null,
+        ]);
+
+        return {
+          success: true,
+          data: result.items,
+          pagination: result.pagination,
+          filters,
+          ...(includeFacets && { facets: facetCounts }),
+        };
+      }
+
       // Calculate pagination
       const skip = (parseInt(page) - 1) * parseInt(limit);
       const maxLimit = 100; // Prevent excessive requests
       const safeLimit = Math.min(parseInt(limit), maxLimit);
 
       // Execute query
-      const [games, totalGames] = await Promise.all([
-        Game.find(filter).sort(sort).skip(skip).limit(safeLimit).lean(), // Use lean() for better performance
+      const [games, totalGames, facetCounts] = await Promise.all([
+        Game.find(filter, projection)
+          .sort(sort)
+          .skip(skip)
+          .limit(safeLimit)
+          .lean(), // Use lean() for better performance
         Game.countDocuments(filter),
+        includeFacets ? this.getFacetCounts(baseFilter, facetFilters) : null,
       ]);
 
       const totalPages = Math.ceil(totalGames / safeLimit);
@@ -216,36 +329,190 @@ class GameService {
           hasNextPage: parseInt(page) < totalPages,
           hasPreviousPage: parseInt(page) > 1,
         },
-        filters: {
-          category,
-          platform,
-          sortBy,
-          tag,
-          search,
-        },
+        filters,
+        ...(includeFacets && { facets: facetCounts }),
       };
     } catch (error) {
       throw new Error(`Failed to search games: ${error.message}`);
     }
   }
 
-  // Get single game by ID
-  async getGameById(gameId) {
+  /**
+   * Fetch the page of games after a cursor, without counting every match.
+   * Runs as an aggregation so the text score can be compared like any
+   * other sort value.
+   * @param {Object} filter - Search filter
+   * @param {Object} sort - Sort object used in page mode
+   * @param {string} cursor - Cursor from the previous page, or "" for the first
+   * @param {number} limit - Page size
+   * @param {boolean} hasTextSearch - Whether the filter uses $text
+   * @returns {Object} { items, pagination: { limit, hasNextPage, nextCursor } }
+   */
+  async findGamesAfterCursor(filter, sort, cursor, limit, hasTextSearch) {
+    const cursorSort = {};
+    Object.entries(sort).forEach(([key, direction]) => {
+      cursorSort[key] = typeof direction === "object" ? -1 : direction; // textScore
+    });
+    const keysetSort = withTiebreaker(cursorSort);
+    const safeLimit = parseLimit(limit);
+
+    const pipeline = [{ $match: filter }];
+    if (hasTextSearch) {
+      pipeline.push({ $addFields: { score: { $meta: "textScore" } } });
+    }
+    if (cursor) {
+      pipeline.push({
+        $match: buildCursorFilter(keysetSort, decodeCursor(cursor, keysetSort)),
+      });
+    }
+    pipeline.push({ $sort: keysetSort }, { $limit: safeLimit + 1 });
+
+    const games = await Game.aggregate(pipeline);
+    return buildCursorPage(games, keysetSort, safeLimit);
+  }
+
+  /**
+   * Count games per facet value with a single $facet aggregation. Each
+   * facet applies every active filter except its own, so selecting a
+   * genre still shows how many games the other genres would return.
+   * @param {Object} baseFilter - Filters that apply to every facet
+   * @param {Object} facetFilters - Filter condition per facet name
+   * @returns {Object} { genre: [{ value, count }], ..., rating: [{ min, max, count }] }
+   */
+  async getFacetCounts(baseFilter = {}, facetFilters = {}) {
+    const facetStages = {};
+    Object.entries(FACETS).forEach(([name, stages]) => {
+      const otherFilters = Object.entries(facetFilters)
+        .filter(([facet]) => facet !== name)
+        .map(([, condition]) => condition);
+
+      facetStages[name] =
+        otherFilters.length > 0
+          ? [{ $match: { $and: otherFilters } }, ...stages]
+          : stages;
+    });
+
+    // $text may only be used in the first $match of a pipeline
+    const [result] = await Game.aggregate([
+      { $match: baseFilter },
+      { $facet: facetStages },
+    ]);
+
+    const counts = {};
+    Object.keys(FACETS).forEach((name) => {
+      counts[name] = result[name]
+        .filter((bucket) => ![null, "", "other"].includes(bucket._id))
+        .map((bucket) => {
+          if (name !== "rating") {
+            return { value: bucket._id, count: bucket.count };
+          }
+          const index = RATING_BUCKETS.indexOf(bucket._id);
+          return {
+            min: bucket._id,
+            max: Math.min(RATING_BUCKETS[index + 1], 5),
+            count: bucket.count,
+          };
+        });
+    });
+
+    return counts;
+  }
+
+  /**
+   * Get single game by ID, slug, former slug or merged duplicate ID
+   * @param {string} idOrSlug - Game ID or slug
+   * @param {Object} options - preview: also find games that aren't
+   *   published yet, for admins
+   * @returns {Object} Game
+   */
+  async getGameById(idOrSlug, { preview = false } = {}) {
     try {
-      const game = await Game.findById(gameId);
-      if (!game) {
-        throw new Error("Game not found");
+      let game = null;
+      if (mongoose.isObjectIdOrHexString(idOrSlug)) {
+        // Ids of merged duplicates lead to the game they were merged into
+        game =
+          (await Game.findById(idOrSlug)) ||
+          (await Game.findOne({ mergedIds: idOrSlug }));
+      } else {
+        const slug = String(idOrSlug).toLowerCase();
+        game =
+          (await Game.findOne({ slug })) ||
+          (await Game.findOne({ slugAliases: slug }));
+      }
+
+      if (!game || (!preview && !game.isPublished())) {
+        throw new Error(ERROR_MESSAGES.GAME_NOT_FOUND);
       }
       return game;
     } catch (error) {
       throw new Error(`Failed to get game: ${error.message}`);
     }
   }
+  /**
+   * Check whether a player's hardware meets a game's minimum and
+   * recommended requirements
+   * @param {string} idOrSlug - Game ID or slug
+   * @param {Object} hardware - os (e.g. "Windows 10"), processorGHz,
+   *   processorCores, memoryGB, graphicsMemoryGB and storageGB, all optional
+   * @returns {Object} { game, minimum, recommended, components } - overall
+   *   and per component "pass", "fail" or "unknown", recommended is null
+   *   when the game lists no recommended specs
+   */
+  async checkCompatibility(idOrSlug, hardware) {
+    const game = await this.getGameById(idOrSlug);
+
+    const profile = {
+      ...hardware,
+      os: hardware.os ? parseOS(hardware.os)[0] || null : null,
+    };
+
+    // Games not saved since requirements were parsed
+    const levelOf = (prefix, stored) => {
+      if (stored) return stored;
+      const text = {};
+      Object.entries(REQUIREMENT_COMPONENTS).forEach(([part, name]) => {
+        text[part] = game[`${prefix}${name}`];
+      });
+      return Object.values(text).some(Boolean) ? parseRequirements(text) : null;
+    };
+    const requirements = game.requirements || {};
+    const minimumLevel = levelOf("min", requirements.minimum);
+    const recommendedLevel = levelOf("rec", requirements.recommended);
+
+    const minimum = checkRequirements(minimumLevel, profile);
+    const recommended = recommendedLevel
+      ? checkRequirements(recommendedLevel, profile)
+      : null;
+
+    const components = {};
+    Object.entries(REQUIREMENT_COMPONENTS).forEach(([part, name]) => {
+      components[part] = {
+        minimum: {
+          requirement: game[`min${name}`] || null,
+          result: minimum[part],
+        },
+        recommended: recommended && {
+          requirement: game[`rec${name}`] || null,
+          result: recommended[part],
+        },
+      };
+    });
+
+    return {
+      game: { _id: game._id, title: game.title, slug: game.slug },
+      profile,
+      minimum: combine(Object.values(minimum)),
+      recommended: recommended && combine(Object.values(recommended)),
+      components,
+    };
+  }
+
   // Get game statistics
   async getGameStats() {
     try {
       const User = require("../models/User");
       const Review = require("../models/Review");
+      const published = Game.publishedFilter();
 
       const [
         totalGames,
@@ -255,15 +522,16 @@ class GameService {
         recentGames,
         genreStats,
       ] = await Promise.all([
-        Game.countDocuments(),
+        Game.countDocuments(published),
         User.countDocuments(),
         Review.countDocuments(),
-        Game.find({ totalReviews: { $gte: 5 } })
+        Game.find({ ...published, totalReviews: { $gte: 5 } })
           .sort({ averageRating: -1 })
           .limit(10)
           .lean(),
-        Game.find().sort({ releaseDate: -1 }).limit(10).lean(),
+        Game.find(published).sort({ releaseDate: -1 }).limit(10).lean(),
         Game.aggregate([
+          { $match: published },
           {
             $group: {
               _id: "$genre",
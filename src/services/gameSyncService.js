@@ -0,0 +1,312 @@
+const axios = require("axios");
+const Game = require("../models/Game");
+const GameRevisionService = require("./gameRevisionService");
+const { escapeRegex } = require("../utils/textSearch");
+const { ERROR_MESSAGES, GAME_SYNC } = require("../utils/constants");
+
+// Responses worth retrying: timeouts, rate limiting and server errors
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Option, then environment variable, then default. 0 is a valid value.
+const readSetting = (value, envName, fallback) => {
+  if (value !== undefined && value !== null) {
+    return Number(value);
+  }
+  const fromEnv = process.env[envName];
+  return fromEnv !== undefined && fromEnv !== "" && !isNaN(fromEnv)
+    ? Number(fromEnv)
+    : fallback;
+};
+
+// "PC (Windows), Web Browser" or ["PC (Windows)", "Web Browser"]
+const toList = (value) =>
+  (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((item) => String(item).trim())
+    .filter(Boolean);
+
+class GameSyncService {
+  /**
+   * Resolve sync settings. The base URL points at a FreeToGame style API
+   * by default; set GAME_API_BASE_URL to use another catalogue or a local
+   * fixture server.
+   * @param {Object} options - baseUrl, pageSize, timeout, maxRetries, retryDelay
+   * @returns {Object} Settings
+   */
+  static getConfig(options = {}) {
+    return {
+      baseUrl: (
+        options.baseUrl ||
+        process.env.GAME_API_BASE_URL ||
+        GAME_SYNC.BASE_URL
+      ).replace(/\/+$/, ""),
+      pageSize: readSetting(
+        options.pageSize,
+        "GAME_API_PAGE_SIZE",
+        GAME_SYNC.PAGE_SIZE
+      ),
+      timeout: readSetting(
+        options.timeout,
+        "GAME_API_TIMEOUT",
+        GAME_SYNC.TIMEOUT
+      ),
+      maxRetries: readSetting(
+        options.maxRetries,
+        "GAME_API_MAX_RETRIES",
+        GAME_SYNC.MAX_RETRIES
+      ),
+      retryDelay: readSetting(
+        options.retryDelay,
+        "GAME_API_RETRY_DELAY",
+        GAME_SYNC.RETRY_DELAY
+      ),
+    };
+  }
+
+  /**
+   * Fetch one page of the catalogue, retrying network errors, rate limits
+   * and server errors with exponential backoff
+   * @param {number} page - Page number, starting at 1
+   * @param {Object} config - Settings from getConfig
+   * @returns {*} Response body
+   */
+  static async fetchPage(page, config) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.get(`${config.baseUrl}/games`, {
+          params: { page, pageSize: config.pageSize },
+          timeout: config.timeout,
+          headers: { Accept: "application/json", "User-Agent": "GameHub" },
+        });
+        return response.data;
+      } catch (error) {
+        const status = error.response ? error.response.status : null;
+        const retryable = !status || RETRYABLE_STATUS.includes(status);
+        if (!retryable || attempt >= config.maxRetries) {
+          throw new Error(
+            `${ERROR_MESSAGES.GAME_API_ERROR}: ${
+              status ? `HTTP ${status}` : error.message
+            } (page ${page})`
+          );
+        }
+        await wait(this.getRetryDelay(attempt, error.response, config));
+      }
+    }
+  }
+
+  /**
+   * Delay before the next attempt, honouring a Retry-After header
+   * @param {number} attempt - Failed attempts so far, minus one
+   * @param {Object} response - Failed response, if any
+   * @param {Object} config - Settings from getConfig
+   * @returns {number} Delay in milliseconds
+   */
+  static getRetryDelay(attempt, response, config) {
+    const retryAfter = Number(response?.headers?.["retry-after"]);
+    const delay =
+      retryAfter > 0 ? retryAfter * 1000 : config.retryDelay * 2 ** attempt;
+    return Math.min(delay, GAME_SYNC.MAX_RETRY_DELAY);
+  }
+
+  /**
+   * Read the games of a page. Paginated catalogues answer
+   * { results: [...], next }, others return every game as one array.
+   * @param {*} data - Response body
+   * @returns {Object} { items, hasMore }
+   */
+  static parsePage(data) {
+    if (Array.isArray(data)) {
+      return { items: data, hasMore: false };
+    }
+    if (data && Array.isArray(data.results)) {
+      return { items: data.results, hasMore: Boolean(data.next) };
+    }
+    throw new Error(
+      `${ERROR_MESSAGES.GAME_API_ERROR}: unexpected response format`
+    );
+  }
+
+  /**
+   * Map a catalogue entry to Game fields. Ratings, reviews and favorite
+   * counts belong to GameHub and are never taken from the catalogue.
+   * @param {Object} item - Catalogue entry
+   * @returns {Object} Game fields
+   */
+  static mapGame(item) {
+    if (!item || item.id === undefined || item.id === null) {
+      throw new Error("Missing external id");
+    }
+
+    const fields = {
+      externalId: String(item.id),
+      title: typeof item.title === "string" ? item.title.trim() : item.title,
+      thumbnail: item.thumbnail,
+      shortDescription: item.short_description,
+      gameUrl: item.game_url,
+      genre: toList(item.genre),
+      platform: toList(item.platform),
+      publisher: item.publisher,
+      developer: item.developer,
+      releaseDate: item.release_date ? new Date(item.release_date) : null,
+    };
+
+    // Only detail responses carry requirements, keep existing ones otherwise
+    const requirements = item.minimum_system_requirements;
+    if (requirements) {
+      fields.minOS = requirements.os || null;
+      fields.minProcessor = requirements.processor || null;
+      fields.minMemory = requirements.memory || null;
+      fields.minGraphics = requirements.graphics || null;
+      fields.minStorage = requirements.storage || null;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Create or update a game by external id and record it in the game's
+   * revisions. Games added before external ids were stored are matched by
+   * title instead, and ids of duplicates merged into another game are
+   * left alone.
+   * @param {Object} fields - Game fields from mapGame
+   * @param {boolean} dryRun - Validate and report without saving
+   * @param {string} author - User ID that started the sync, if any
+   * @returns {string} created, updated or unchanged
+   */
+  static async upsertGame(fields, dryRun = false, author = null) {
+    // Trashed games are updated too but stay in the trash
+    let game = await Game.findOne({ externalId: fields.externalId }).setOptions(
+      { withDeleted: true }
+    );
+    // A duplicate merged into another game: that game follows its own
+    // catalogue entry
+    if (
+      !game &&
+      (await Game.exists({ externalIdAliases: fields.externalId }).setOptions({
+        withDeleted: true,
+      }))
+    ) {
+      return "unchanged";
+    }
+    if (!game && typeof fields.title === "string") {
+      game = await Game.findOne({
+        externalId: null,
+        title: new RegExp(`^${escapeRegex(fields.title)}$`, "i"),
+      });
+    }
+
+    if (!game) {
+      const created = new Game({ ...fields, lastSyncedAt: new Date() });
+      if (dryRun) {
+        await created.validate();
+      } else {
+        await created.save();
+        await GameRevisionService.record({
+          gameId: created._id,
+          action: "create",
+          after: GameRevisionService.snapshot(created),
+          author,
+          source: "sync",
+        });
+      }
+      return "created";
+    }
+
+    const before = GameRevisionService.snapshot(game);
+    game.set(fields);
+    if (!game.isModified()) {
+      return "unchanged";
+    }
+
+    game.lastSyncedAt = new Date();
+    if (dryRun) {
+      await game.validate();
+    } else {
+      await game.save();
+      await GameRevisionService.record({
+        gameId: game._id,
+        action: "update",
+        before,
+        after: GameRevisionService.snapshot(game),
+        author,
+        source: "sync",
+      });
+    }
+    return "updated";
+  }
+
+  /**
+   * Pull the whole catalogue and upsert every game. A game that can't be
+   * saved is reported and skipped; a page that can't be fetched ends the
+   * run with status "failed".
+   * @param {Object} options - Overrides for getConfig, dryRun to report
+   *   what would change without saving anything and author (user ID) for
+   *   the revisions
+   * @returns {Object} Report with created, updated, unchanged and failed counts
+   */
+  static async syncGames(options = {}) {
+    const config = this.getConfig(options);
+    const dryRun = Boolean(options.dryRun);
+    const report = {
+      status: "running",
+      dryRun,
+      source: config.baseUrl,
+      startedAt: new Date(),
+      finishedAt: null,
+      durationMs: null,
+      pages: 0,
+      total: 0,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      failed: 0,
+      failures: [], // First GAME_SYNC.MAX_REPORTED_FAILURES only
+      error: null,
+    };
+
+    try {
+      for (let page = 1; page <= GAME_SYNC.MAX_PAGES; page++) {
+        const { items, hasMore } = this.parsePage(
+          await this.fetchPage(page, config)
+        );
+        report.pages++;
+
+        for (const item of items) {
+          report.total++;
+          try {
+            const result = await this.upsertGame(
+              this.mapGame(item),
+              dryRun,
+              options.author
+            );
+            report[result]++;
+          } catch (error) {
+            report.failed++;
+            if (report.failures.length < GAME_SYNC.MAX_REPORTED_FAILURES) {
+              report.failures.push({
+                externalId: item && item.id !== undefined ? item.id : null,
+                title: item ? item.title : null,
+                error: error.message,
+              });
+            }
+          }
+        }
+
+        if (!hasMore || items.length === 0) {
+          break;
+        }
+      }
+      report.status = "completed";
+    } catch (error) {
+      report.status = "failed";
+      report.error = `${ERROR_MESSAGES.GAME_SYNC_FAILED}: ${error.message}`;
+    }
+
+    report.finishedAt = new Date();
+    report.durationMs = report.finishedAt - report.startedAt;
+    return report;
+  }
+}
+
+module.exports = GameSyncService;
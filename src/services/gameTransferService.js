@@ -0,0 +1,502 @@
+const path = require("path");
+const { validationResult } = require("express-validator");
+const Game = require("../models/Game");
+const autocompleteService = require("./autocompleteService");
+const GameRevisionService = require("./gameRevisionService");
+const GamePublicationService = require("./gamePublicationService");
+const { validateGame } = require("../middleware/validation");
+const { parseCsv, toCsvRow } = require("../utils/csv");
+const { escapeRegex } = require("../utils/textSearch");
+const { ERROR_MESSAGES, GAME_TRANSFER } = require("../utils/constants");
+
+// Fields an import may set. Ratings, reviews, favorites and slugs are
+// managed by GameHub.
+const IMPORT_FIELDS = [
+  "title",
+  "thumbnail",
+  "backgroundImage",
+  "shortDescription",
+  "gameUrl",
+  "genre",
+  "platform",
+  "publisher",
+  "developer",
+  "releaseDate",
+  "minOS",
+  "minProcessor",
+  "minMemory",
+  "minGraphics",
+  "minStorage",
+  "recOS",
+  "recProcessor",
+  "recMemory",
+  "recGraphics",
+  "recStorage",
+];
+
+const LIST_FIELDS = ["genre", "platform"];
+
+// Optional fields, an empty cell clears them
+const NULLABLE_FIELDS = [
+  "backgroundImage",
+  "minOS",
+  "minProcessor",
+  "minMemory",
+  "minGraphics",
+  "minStorage",
+  "recOS",
+  "recProcessor",
+  "recMemory",
+  "recGraphics",
+  "recStorage",
+];
+
+// Export columns: the slug to match on when importing the file back, the
+// importable fields and read-only rating stats
+const EXPORT_FIELDS = [
+  "slug",
+  ...IMPORT_FIELDS,
+  "averageRating",
+  "totalReviews",
+];
+
+// Header names are matched case-insensitively
+const COLUMN_NAMES = new Map(
+  ["slug", ...IMPORT_FIELDS].map((field) => [field.toLowerCase(), field])
+);
+
+const FORMAT_BY_EXTENSION = {
+  ".csv": "csv",
+  ".jsonl": "jsonl",
+  ".ndjson": "jsonl",
+};
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  jsonl: "application/x-ndjson; charset=utf-8",
+};
+
+// Spreadsheets run cells starting with these as formulas. Such cells are
+// exported with a leading quote, which the import takes off again.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const guardFormula = (value) =>
+  typeof value === "string" && FORMULA_START.test(value) ? `'${value}` : value;
+
+const unguardFormula = (value) =>
+  value.startsWith("'") && FORMULA_START.test(value.slice(1))
+    ? value.slice(1)
+    : value;
+
+// Resolve on drain, or on close if the client went away
+const waitForDrain = (stream) =>
+  new Promise((resolve) => {
+    const done = () => {
+      stream.off("drain", done);
+      stream.off("close", done);
+      resolve();
+    };
+    stream.on("drain", done);
+    stream.on("close", done);
+  });
+
+class GameTransferService {
+  /**
+   * Work out an import's format from an explicit choice, the uploaded
+   * file's name or the request's content type
+   * @param {Object} source - format, fileName and contentType
+   * @returns {string|null} csv, jsonl or null if unknown
+   */
+  static detectFormat({ format, fileName, contentType }) {
+    if (format) {
+      return GAME_TRANSFER.FORMATS.includes(format) ? format : null;
+    }
+    if (fileName) {
+      const extension = path.extname(fileName).toLowerCase();
+      if (FORMAT_BY_EXTENSION[extension]) {
+        return FORMAT_BY_EXTENSION[extension];
+      }
+    }
+    if (/^text\/csv/i.test(contentType || "")) {
+      return "csv";
+    }
+    if (/^application\/(x-ndjson|jsonl|x-jsonlines)/i.test(contentType || "")) {
+      return "jsonl";
+    }
+    return null;
+  }
+
+  /**
+   * Split an import file into records. CSV rows are numbered like
+   * spreadsheet rows (the header is row 1), JSON lines by line number.
+   * @param {string} content - File content
+   * @param {string} format - csv or jsonl
+   * @returns {Array} [{ row, record, error }]
+   */
+  static parseRecords(content, format) {
+    let entries;
+
+    if (format === "csv") {
+      let rows;
+      try {
+        rows = parseCsv(content);
+      } catch (error) {
+        throw new Error(
+          `${ERROR_MESSAGES.IMPORT_INVALID_FILE}: ${error.message}`
+        );
+      }
+      const [header = [], ...dataRows] = rows;
+      const columns = header.map((name) =>
+        COLUMN_NAMES.get(name.trim().toLowerCase())
+      );
+      if (!columns.includes("title")) {
+        throw new Error(
+          `${ERROR_MESSAGES.IMPORT_INVALID_FILE}: the header row needs a title column`
+        );
+      }
+
+      entries = dataRows.map((values, index) => {
+        const record = {};
+        columns.forEach((column, position) => {
+          if (column && values[position] !== undefined) {
+            record[column] = unguardFormula(values[position]);
+          }
+        });
+        return { row: index + 2, record };
+      });
+    } else {
+      entries = [];
+      String(content)
+        .replace(/^\uFEFF/, "")
+        .split(/\r?\n/)
+        .forEach((line, index) => {
+          if (line.trim() === "") return;
+          try {
+            const record = JSON.parse(line);
+            if (
+              !record ||
+              typeof record !== "object" ||
+              Array.isArray(record)
+            ) {
+              throw new Error("Row must be a JSON object");
+            }
+            entries.push({ row: index + 1, record });
+          } catch (error) {
+            entries.push({
+              row: index + 1,
+              error:
+                error instanceof SyntaxError ? "Invalid JSON" : error.message,
+            });
+          }
+        });
+    }
+
+    if (entries.length > GAME_TRANSFER.MAX_ROWS) {
+      throw new Error(
+        `${ERROR_MESSAGES.IMPORT_TOO_MANY_ROWS}: at most ${GAME_TRANSFER.MAX_ROWS} rows per file`
+      );
+    }
+    return entries;
+  }
+
+  /**
+   * Turn a record into Game fields. Text is trimmed and genres and
+   * platforms may be a list or one string separated by semicolons.
+   * @param {Object} record - Parsed CSV row or JSON line
+   * @returns {Object} { fields, slug }
+   */
+  static normalizeRecord(record) {
+    const fields = {};
+
+    IMPORT_FIELDS.forEach((field) => {
+      let value = record[field];
+      if (value === undefined) return;
+
+      if (typeof value === "string") {
+        value = value.trim();
+      }
+      if (LIST_FIELDS.includes(field) && typeof value === "string") {
+        value = value
+          .split(GAME_TRANSFER.LIST_SEPARATOR)
+          .map((item) => item.trim())
+          .filter(Boolean);
+      }
+      if (NULLABLE_FIELDS.includes(field) && value === "") {
+        value = null;
+      }
+      fields[field] = value;
+    });
+
+    const slug =
+      typeof record.slug === "string" ? record.slug.trim().toLowerCase() : "";
+    return { fields, slug };
+  }
+
+  /**
+   * Check fields against the rules of the admin create route
+   * @param {Object} fields - Game fields
+   * @returns {Array} [{ field, message }], empty when valid
+   */
+  static async validateFields(fields) {
+    const req = { body: fields };
+    await Promise.all(validateGame.map((rule) => rule.run(req)));
+    return validationResult(req)
+      .array()
+      .map((error) => ({ field: error.path, message: error.msg }));
+  }
+
+  /**
+   * Find the game a row would update
+   * @param {Object} fields - Game fields
+   * @param {string} slug - Slug from the row
+   * @param {string} mode - insert, upsert-title or upsert-slug
+   * @returns {Object|null} Existing game
+   */
+  static async findExisting(fields, slug, mode) {
+    if (mode === "upsert-slug") {
+      return Game.findOne({ $or: [{ slug }, { slugAliases: slug }] });
+    }
+    return Game.findOne({
+      title: new RegExp(`^${escapeRegex(fields.title)}$`, "i"),
+    });
+  }
+
+  /**
+   * Save one row and record it in the game's revisions
+   * @param {Object} fields - Validated game fields
+   * @param {string} slug - Slug from the row
+   * @param {string} mode - insert, upsert-title or upsert-slug
+   * @param {Object} options - dryRun to validate without saving, author
+   * @returns {Object} { result, game } - result is created, updated or
+   *   unchanged
+   */
+  static async saveRow(fields, slug, mode, { dryRun, author }) {
+    const existing = await this.findExisting(fields, slug, mode);
+
+    if (existing && mode === "insert") {
+      throw new Error("A game with this title already exists");
+    }
+
+    const data = {
+      ...fields,
+      releaseDate: new Date(fields.releaseDate),
+    };
+
+    if (!existing) {
+      // Imported games wait for review like games created in the admin.
+      // Updated games keep their status.
+      const game = new Game(data);
+      GamePublicationService.applyStatus(game, { status: "draft" });
+      if (dryRun) {
+        await game.validate();
+      } else {
+        await game.save();
+        await GameRevisionService.record({
+          gameId: game._id,
+          action: "create",
+          after: GameRevisionService.snapshot(game),
+          author,
+          source: "import",
+        });
+      }
+      return { result: "created", game };
+    }
+
+    const before = GameRevisionService.snapshot(existing);
+    existing.set(data);
+    if (!existing.isModified()) {
+      return { result: "unchanged", game: existing };
+    }
+    if (dryRun) {
+      await existing.validate();
+    } else {
+      await existing.save();
+      await GameRevisionService.record({
+        gameId: existing._id,
+        action: "update",
+        before,
+        after: GameRevisionService.snapshot(existing),
+        author,
+        source: "import",
+      });
+    }
+    return { result: "updated", game: existing };
+  }
+
+  /**
+   * Import games from a CSV or JSON-lines file. Every row is checked with
+   * the admin create rules; rows that fail are reported and skipped. New
+   * games are created as drafts.
+   * @param {string} content - File content
+   * @param {Object} options - format (csv or jsonl), mode (insert,
+   *   upsert-title or upsert-slug), dryRun to report without saving and
+   *   author (user ID) for the revisions
+   * @returns {Object} Report with created, updated, unchanged and failed
+   *   counts and the errors of each failed row
+   */
+  static async importGames(
+    content,
+    { format, mode = "insert", dryRun = false, author = null }
+  ) {
+    if (!GAME_TRANSFER.FORMATS.includes(format)) {
+      throw new Error(ERROR_MESSAGES.IMPORT_INVALID_FORMAT);
+    }
+    if (!GAME_TRANSFER.IMPORT_MODES.includes(mode)) {
+      throw new Error(ERROR_MESSAGES.IMPORT_INVALID_MODE);
+    }
+
+    const entries = this.parseRecords(content, format);
+    const report = {
+      format,
+      mode,
+      dryRun,
+      total: entries.length,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      failed: 0,
+      errors: [], // { row, title, errors: [{ field, message }] }
+    };
+
+    const fail = (row, title, errors) => {
+      report.failed++;
+      report.errors.push({ row, title, errors });
+    };
+
+    for (const { row, record, error } of entries) {
+      if (error) {
+        fail(row, null, [{ field: null, message: error }]);
+        continue;
+      }
+
+      const { fields, slug } = this.normalizeRecord(record);
+      const title = typeof fields.title === "string" ? fields.title : null;
+
+      const errors = await this.validateFields(fields);
+      if (mode === "upsert-slug" && !slug) {
+        errors.push({
+          field: "slug",
+          message: "Slug is required in upsert-slug mode",
+        });
+      }
+      if (errors.length > 0) {
+        fail(row, title, errors);
+        continue;
+      }
+
+      try {
+        const { result } = await this.saveRow(fields, slug, mode, {
+          dryRun,
+          author,
+        });
+        report[result]++;
+      } catch (saveError) {
+        fail(
+          row,
+          title,
+          saveError.errors
+            ? Object.values(saveError.errors).map((item) => ({
+                field: item.path,
+                message: item.message,
+              }))
+            : [{ field: null, message: saveError.message }]
+        );
+      }
+    }
+
+    if (!dryRun && report.created + report.updated > 0) {
+      autocompleteService.refresh();
+    }
+
+    return report;
+  }
+
+  /**
+   * Content type for an export format
+   * @param {string} format - csv or jsonl
+   * @returns {string} Content-Type header value
+   */
+  static getContentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  /**
+   * Shape a game for export. CSV cells hold genres and platforms separated
+   * by semicolons and the release date as YYYY-MM-DD, so the file can be
+   * imported again. Text that a spreadsheet would run as a formula gets a
+   * leading quote.
+   * @param {Object} game - Lean game document
+   * @param {string} format - csv or jsonl
+   * @returns {Array|Object} CSV values or a JSON record
+   */
+  static toExportRecord(game, format) {
+    const releaseDate = game.releaseDate
+      ? game.releaseDate.toISOString().slice(0, 10)
+      : null;
+
+    if (format === "csv") {
+      return EXPORT_FIELDS.map((field) => {
+        if (field === "releaseDate") return releaseDate;
+        if (LIST_FIELDS.includes(field)) {
+          return guardFormula(
+            (game[field] || []).join(`${GAME_TRANSFER.LIST_SEPARATOR} `)
+          );
+        }
+        return guardFormula(game[field]);
+      });
+    }
+
+    const record = {};
+    EXPORT_FIELDS.forEach((field) => {
+      record[field] = game[field] === undefined ? null : game[field];
+    });
+    record.releaseDate = releaseDate;
+    return record;
+  }
+
+  /**
+   * Stream matching games to a writable stream, newest first, without
+   * holding the catalogue in memory. Stops early if the stream closes.
+   * @param {Object} filter - MongoDB filter
+   * @param {string} format - csv or jsonl
+   * @param {Object} output - Writable stream, e.g. the response
+   */
+  static async exportGames(filter, format, output) {
+    if (!GAME_TRANSFER.FORMATS.includes(format)) {
+      throw new Error(ERROR_MESSAGES.EXPORT_INVALID_FORMAT);
+    }
+
+    const write = async (chunk) => {
+      if (!output.write(chunk)) {
+        await waitForDrain(output);
+      }
+    };
+
+    const cursor = Game.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .select(EXPORT_FIELDS.join(" "))
+      .lean()
+      .cursor();
+
+    try {
+      if (format === "csv") {
+        await write(toCsvRow(EXPORT_FIELDS));
+      }
+      for await (const game of cursor) {
+        if (output.destroyed) break;
+        const record = this.toExportRecord(game, format);
+        await write(
+          format === "csv" ? toCsvRow(record) : `${JSON.stringify(record)}\n`
+        );
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    if (!output.destroyed) {
+      output.end();
+    }
+  }
+}
+
+module.exports = GameTransferService;
@@ -0,0 +1,208 @@
+const Game = require("../models/Game");
+const Review = require("../models/Review");
+const Favorite = require("../models/Favorite");
+const GameRevisionService = require("./gameRevisionService");
+const GameMediaService = require("./gameMediaService");
+const ReviewService = require("./reviewService");
+const autocompleteService = require("./autocompleteService");
+const { paginateByCursor } = require("../utils/cursor");
+const { ERROR_MESSAGES, GAME_TRASH } = require("../utils/constants");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let purgeTimer = null;
+
+class GameTrashService {
+  /**
+   * Days a game stays in the trash, from GAME_TRASH_RETENTION_DAYS
+   * @returns {number|null} Retention in days, or null if games are never
+   *   purged automatically
+   */
+  static getRetentionDays() {
+    const fromEnv = process.env.GAME_TRASH_RETENTION_DAYS;
+    const days =
+      fromEnv !== undefined && fromEnv !== "" && !isNaN(fromEnv)
+        ? Number(fromEnv)
+        : GAME_TRASH.RETENTION_DAYS;
+    return days > 0 ? days : null;
+  }
+
+  // When a trashed game is due to be purged
+  static getPurgeDate(game) {
+    const days = this.getRetentionDays();
+    return days ? new Date(game.deletedAt.getTime() + days * DAY) : null;
+  }
+
+  /**
+   * Move a game to the trash. It disappears from public listings but keeps
+   * its reviews, favorites and slug until it's purged.
+   * @param {string} gameId - Game ID
+   * @param {string} userId - Admin moving it
+   * @returns {Object} Trashed game
+   */
+  static async trashGame(gameId, userId) {
+    const game = await Game.findById(gameId);
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME_NOT_FOUND);
+    }
+
+    game.deletedAt = new Date();
+    game.deletedBy = userId;
+    await game.save();
+    autocompleteService.refresh();
+
+    await GameRevisionService.record({
+      gameId: game._id,
+      action: "delete",
+      before: GameRevisionService.snapshot(game),
+      author: userId,
+    });
+
+    return game;
+  }
+
+  /**
+   * Take a game out of the trash. Favorite and rating counts are
+   * recomputed, as they may have drifted while it was hidden.
+   * @param {string} gameId - Game ID
+   * @param {string} userId - Admin restoring it
+   * @returns {Object} Restored game
+   */
+  static async restoreGame(gameId, userId) {
+    const game = await Game.findOne({
+      _id: gameId,
+      deletedAt: { $ne: null },
+    });
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME_NOT_IN_TRASH);
+    }
+
+    game.deletedAt = null;
+    game.deletedBy = null;
+    game.inPlayersFavorites = await Favorite.countDocuments({ gameId });
+    await game.save();
+    await ReviewService.updateGameRating(game._id);
+    autocompleteService.refresh();
+
+    await GameRevisionService.record({
+      gameId: game._id,
+      action: "restore",
+      after: GameRevisionService.snapshot(game),
+      author: userId,
+    });
+
+    return Game.findById(game._id);
+  }
+
+  /**
+   * Delete a trashed game for good, with its reviews, favorites and
+   * gallery files. Its revisions are kept, so it can still be recreated
+   * from its history.
+   * @param {string} gameId - Game ID
+   * @returns {Object} { reviewsDeleted, favoritesDeleted, mediaDeleted }
+   */
+  static async purgeGame(gameId) {
+    const game = await Game.findOne({
+      _id: gameId,
+      deletedAt: { $ne: null },
+    });
+    if (!game) {
+      throw new Error(ERROR_MESSAGES.GAME_NOT_IN_TRASH);
+    }
+
+    // Dependents first, so a failure part way never leaves them orphaned
+    const [reviews, favorites] = await Promise.all([
+      Review.deleteMany({ gameId: game._id }),
+      Favorite.deleteMany({ gameId: game._id }),
+    ]);
+    await Game.deleteOne({ _id: game._id });
+    const mediaDeleted = await GameMediaService.removeFiles(game.media);
+
+    return {
+      reviewsDeleted: reviews.deletedCount,
+      favoritesDeleted: favorites.deletedCount,
+      mediaDeleted,
+    };
+  }
+
+  /**
+   * List trashed games, most recently trashed first
+   * @param {string} cursor - Cursor from the previous page
+   * @param {number} limit - Page size
+   * @returns {Object} { items, pagination } - items carry their purgeAt date
+   */
+  static async listTrash(cursor, limit) {
+    const result = await paginateByCursor(
+      Game.find({ deletedAt: { $ne: null } })
+        .select(
+          "title slug thumbnail developer publisher totalReviews inPlayersFavorites deletedAt deletedBy"
+        )
+        .populate("deletedBy", "name username email")
+        .lean(),
+      { deletedAt: -1 },
+      cursor,
+      limit
+    );
+
+    result.items = result.items.map((game) => ({
+      ...game,
+      purgeAt: this.getPurgeDate(game),
+    }));
+    return result;
+  }
+
+  /**
+   * Purge every game that has been in the trash longer than the retention
+   * period. Safe to run on several instances at once.
+   * @returns {number} Games purged
+   */
+  static async purgeExpired() {
+    const days = this.getRetentionDays();
+    if (!days) {
+      return 0;
+    }
+
+    const expired = await Game.find({
+      deletedAt: { $ne: null, $lte: new Date(Date.now() - days * DAY) },
+    }).select("_id");
+
+    let purged = 0;
+    for (const game of expired) {
+      try {
+        await this.purgeGame(game._id);
+        purged++;
+      } catch (error) {
+        // Restored or purged elsewhere in the meantime
+        if (error.message !== ERROR_MESSAGES.GAME_NOT_IN_TRASH) {
+          throw error;
+        }
+      }
+    }
+    return purged;
+  }
+
+  // Purge expired games now and then every GAME_TRASH.PURGE_CHECK_INTERVAL
+  static startPurgeScheduler() {
+    if (purgeTimer) {
+      return;
+    }
+
+    const check = () =>
+      this.purgeExpired()
+        .then((purged) => {
+          if (purged > 0) console.log(`Purged ${purged} trashed game(s)`);
+        })
+        .catch((error) =>
+          console.error("Game trash purge error:", error.message)
+        );
+    purgeTimer = setInterval(check, GAME_TRASH.PURGE_CHECK_INTERVAL);
+    check();
+  }
+
+  static stopPurgeScheduler() {
+    clearInterval(purgeTimer);
+    purgeTimer = null;
+  }
+}
+
+module.exports = GameTrashService;
@@ -0,0 +1,229 @@
+const User = require("../models/User");
+const { ERROR_MESSAGES } = require("../utils/constants");
+
+class IdentityService {
+  /**
+   * Find the user a provider account is linked to
+   * @param {Object} profile - Normalised provider profile
+   * @returns {Object|null} User or null
+   */
+  static async findByIdentity(profile) {
+    const user = await User.findOne({
+      identities: {
+        $elemMatch: { provider: profile.provider, providerId: profile.id },
+      },
+    });
+    if (user || profile.provider !== "google") {
+      return user;
+    }
+
+    // Google accounts created before identities existed
+    return User.findOne({ googleId: profile.id });
+  }
+
+  /**
+   * Resolve the user signing in with a provider: an already linked account,
+   * an existing account with the same verified email, or a new account
+   * @param {Object} profile - Normalised provider profile
+   * @returns {Object} User
+   */
+  static async findOrCreateUser(profile) {
+    let user = await this.findByIdentity(profile);
+    if (user) {
+      // Backfill the identity of legacy Google accounts
+      if (
+        !user.identities.some(
+          (identity) => identity.provider === profile.provider
+        )
+      ) {
+        this.addIdentity(user, profile);
+      }
+      // The provider vouches for the account's address, e.g. legacy Google
+      // accounts that were created unverified
+      if (!user.emailVerified && this.vouchesForEmail(user, profile)) {
+        user.emailVerified = true;
+      }
+      if (user.isModified()) {
+        await user.save();
+      }
+      return user;
+    }
+
+    if (!profile.email) {
+      throw new Error(ERROR_MESSAGES.AUTH_PROVIDER_EMAIL_REQUIRED);
+    }
+
+    const email = profile.email.toLowerCase();
+
+    // Link to an existing account with the same email
+    user = await User.findOne({ email });
+    if (user) {
+      if (!profile.emailVerified) {
+        throw new Error(ERROR_MESSAGES.AUTH_PROVIDER_EMAIL_UNVERIFIED);
+      }
+
+      this.addIdentity(user, profile);
+      if (!user.emailVerified) {
+        // The local password was never proven to belong to the owner of
+        // this address, so it must not survive the link
+        user.passwordHash = null;
+        user.emailVerified = true;
+      }
+      await user.save();
+
+      return user;
+    }
+
+    // User doesn't exist, create new user
+    const name = profile.name || email.split("@")[0];
+    user = new User({
+      name,
+      email,
+      emailVerified: profile.emailVerified,
+      // generate a unique username
+      username: name.toLowerCase().replace(/ /g, ".") + Date.now(),
+      avatar:
+        profile.avatar ||
+        `https://ui-avatars.com/api/?name=${encodeURIComponent(
+          name
+        )}&background=random`,
+    });
+    this.addIdentity(user, profile);
+    await user.save();
+
+    return user;
+  }
+
+  /**
+   * Link a provider account to an existing user
+   * @param {string} userId - User ID
+   * @param {Object} profile - Normalised provider profile
+   * @returns {Object} Updated user
+   */
+  static async linkIdentity(userId, profile) {
+    const owner = await this.findByIdentity(profile);
+    if (owner && !owner._id.equals(userId)) {
+      throw new Error(ERROR_MESSAGES.AUTH_IDENTITY_IN_USE);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+
+    // One account per provider: linking again replaces the previous one
+    user.identities = user.identities.filter(
+      (identity) => identity.provider !== profile.provider
+    );
+    if (profile.provider === "google") {
+      user.googleId = undefined; // Superseded by the identity
+    }
+    this.addIdentity(user, profile);
+    await user.save();
+
+    return user;
+  }
+
+  /**
+   * Unlink a provider from a user, keeping at least one way to sign in
+   * @param {string} userId - User ID
+   * @param {string} provider - Provider name
+   * @returns {Object} Updated user
+   */
+  static async unlinkIdentity(userId, provider) {
+    const user = await User.findById(userId).select("+passwordHash");
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+
+    if (!this.hasIdentity(user, provider)) {
+      throw new Error(ERROR_MESSAGES.AUTH_IDENTITY_NOT_LINKED);
+    }
+
+    const remaining = this.listIdentities(user).filter(
+      (identity) => identity.provider !== provider
+    );
+    if (remaining.length === 0 && !user.passwordHash) {
+      throw new Error(ERROR_MESSAGES.AUTH_LAST_SIGN_IN_METHOD);
+    }
+
+    user.identities = user.identities.filter(
+      (identity) => identity.provider !== provider
+    );
+    if (provider === "google") {
+      user.googleId = undefined;
+    }
+    await user.save();
+
+    return user;
+  }
+
+  /**
+   * List the providers linked to a user, including a legacy Google link
+   * @param {Object} user - User document
+   * @returns {Array} Linked identities
+   */
+  static listIdentities(user) {
+    const identities = user.identities.map((identity) => ({
+      provider: identity.provider,
+      email: identity.email,
+      linkedAt: identity.linkedAt,
+    }));
+
+    if (
+      user.googleId &&
+      !identities.some((identity) => identity.provider === "google")
+    ) {
+      identities.push({
+        provider: "google",
+        email: user.email,
+        linkedAt: user.createdAt,
+      });
+    }
+
+    return identities;
+  }
+
+  // Check whether a provider is linked to a user
+  static hasIdentity(user, provider) {
+    return this.listIdentities(user).some(
+      (identity) => identity.provider === provider
+    );
+  }
+
+  // Add a provider identity to a user document (not saved)
+  static addIdentity(user, profile) {
+    user.identities.push({
+      provider: profile.provider,
+      providerId: profile.id,
+      email: profile.email || null,
+      emailVerified: !!profile.emailVerified,
+    });
+  }
+
+  // Whether a provider profile verified the user's own email address
+  static vouchesForEmail(user, profile) {
+    return (
+      !!profile.emailVerified &&
+      !!profile.email &&
+      profile.email.toLowerCase() === user.email
+    );
+  }
+
+  /**
+   * Check whether a linked provider verified the user's email address.
+   * Legacy Google accounts count, Google verified them at sign up.
+   * @param {Object} user - User document
+   * @returns {boolean} True if a provider vouches for the address
+   */
+  static hasVerifiedEmailIdentity(user) {
+    return (
+      !!user.googleId ||
+      user.identities.some(
+        (identity) => identity.emailVerified && identity.email === user.email
+      )
+    );
+  }
+}
+
+module.exports = IdentityService;
@@ -0,0 +1,188 @@
+const ImpersonationSession = require("../models/ImpersonationSession");
+const ImpersonationEvent = require("../models/ImpersonationEvent");
+const User = require("../models/User");
+const { generateImpersonationToken } = require("../config/jwt");
+const { ERROR_MESSAGES, IMPERSONATION } = require("../utils/constants");
+
+// Methods that never change anything
+const READ_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+class ImpersonationService {
+  /**
+   * Start acting as another user
+   * @param {Object} actor - Superadmin starting the session
+   * @param {string} targetUserId - User to impersonate
+   * @param {Object} options - reason, readOnly (default true)
+   * @param {Object} req - Express request, for the audit trail
+   * @returns {Object} Impersonation session and its token
+   */
+  static async start(actor, targetUserId, { reason, readOnly = true }, req) {
+    if (actor._id.equals(targetUserId)) {
+      throw new Error(ERROR_MESSAGES.IMPERSONATION_SELF);
+    }
+
+    const target = await User.findById(targetUserId);
+    if (!target) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+    if (target.role === "superadmin") {
+      throw new Error(ERROR_MESSAGES.IMPERSONATION_SUPERADMIN);
+    }
+
+    const session = await ImpersonationSession.create({
+      actorId: actor._id,
+      targetUserId: target._id,
+      reason,
+      readOnly,
+      expiresAt: new Date(
+        Date.now() + IMPERSONATION.TOKEN_EXPIRE_SECONDS * 1000
+      ),
+    });
+    await this.record(session, "start", req);
+
+    const token = generateImpersonationToken(
+      { userId: target._id, tokenVersion: target.tokenVersion || 0 },
+      session._id,
+      actor._id
+    );
+
+    return {
+      session,
+      token,
+      expiresIn: IMPERSONATION.TOKEN_EXPIRE_SECONDS,
+    };
+  }
+
+  /**
+   * End an impersonation session, invalidating its token
+   * @param {string} impersonationId - Impersonation session ID
+   * @param {Object} actor - Superadmin ending the session
+   * @param {Object} req - Express request, for the audit trail
+   * @returns {Object} Ended session
+   */
+  static async stop(impersonationId, actor, req) {
+    const session = await ImpersonationSession.findOneAndUpdate(
+      { _id: impersonationId, endedAt: null },
+      { endedAt: new Date(), endedBy: actor._id },
+      { new: true }
+    );
+    if (!session) {
+      throw new Error(ERROR_MESSAGES.IMPERSONATION_NOT_FOUND);
+    }
+
+    await this.record(session, "stop", req);
+    return session;
+  }
+
+  /**
+   * Resolve the live impersonation session behind a token's imp claim.
+   * Sessions end when stopped, when they expire, or when the acting
+   * superadmin loses the role.
+   * @param {Object} decoded - Decoded access token payload
+   * @returns {Object|null} Session and acting user, or null
+   */
+  static async getActiveSession(decoded) {
+    const session = await ImpersonationSession.findOne({
+      _id: decoded.imp,
+      endedAt: null,
+      expiresAt: { $gt: new Date() },
+    });
+    if (!session || !session.targetUserId.equals(decoded.userId)) {
+      return null;
+    }
+
+    const actor = await User.findById(session.actorId);
+    if (!actor || actor.role !== "superadmin") {
+      return null;
+    }
+
+    return { session, actor };
+  }
+
+  /**
+   * Check whether an impersonated request may go ahead. Read-only sessions
+   * can only read; others can also write reviews and favorites.
+   * @param {Object} session - Impersonation session
+   * @param {Object} req - Express request
+   * @returns {boolean} True if allowed
+   */
+  static isRequestAllowed(session, req) {
+    if (READ_METHODS.includes(req.method)) {
+      return true;
+    }
+
+    // Whole path segments only, without the query string, so that
+    // "/api/reviewsx" or "/api/users?next=/api/reviews" don't match
+    const url = req.baseUrl + req.path;
+    return (
+      !session.readOnly &&
+      IMPERSONATION.WRITABLE_PATHS.some(
+        (path) => url === path || url.startsWith(`${path}/`)
+      )
+    );
+  }
+
+  /**
+   * Record the outcome of an impersonated request once it is sent
+   * @param {Object} session - Impersonation session
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  static trackRequest(session, req, res) {
+    res.on("finish", () => {
+      this.record(session, "request", req, res.statusCode).catch((err) =>
+        console.error("Failed to record impersonated request:", err.message)
+      );
+    });
+  }
+
+  /**
+   * Add an event to the audit trail
+   * @param {Object} session - Impersonation session
+   * @param {string} type - start, stop, request or denied
+   * @param {Object} req - Express request
+   * @param {number} statusCode - Response status, if known
+   */
+  static async record(session, type, req, statusCode = null) {
+    await ImpersonationEvent.create({
+      impersonationId: session._id,
+      actorId: session.actorId,
+      targetUserId: session.targetUserId,
+      type,
+      method: req ? req.method : null,
+      path: req ? req.originalUrl : null,
+      statusCode,
+      ip: req ? req.ip : null,
+    });
+  }
+
+  /**
+   * List impersonation sessions, newest first
+   * @param {Object} filter - e.g. { actorId } or { targetUserId }
+   * @param {number} limit - Maximum number of sessions
+   * @returns {Array} Sessions with actor and target
+   */
+  static async listSessions(filter = {}, limit = 50) {
+    return ImpersonationSession.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate("actorId", "name username email")
+      .populate("targetUserId", "name username email");
+  }
+
+  /**
+   * Get the audit trail of a session, oldest first
+   * @param {string} impersonationId - Impersonation session ID
+   * @returns {Array} Events
+   */
+  static async listEvents(impersonationId) {
+    const exists = await ImpersonationSession.exists({ _id: impersonationId });
+    if (!exists) {
+      throw new Error(ERROR_MESSAGES.IMPERSONATION_NOT_FOUND);
+    }
+
+    return ImpersonationEvent.find({ impersonationId }).sort({ createdAt: 1 });
+  }
+}
+
+module.exports = ImpersonationService;
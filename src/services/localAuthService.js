@@ -0,0 +1,233 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const TokenService = require("./tokenService");
+const SessionService = require("./sessionService");
+const EmailService = require("./emailService");
+const IdentityService = require("./identityService");
+const { hashPassword, verifyPassword } = require("../utils/password");
+const { AUTH_TOKENS, ERROR_MESSAGES } = require("../utils/constants");
+
+// Hash checked when there is no password to check, so a login takes as
+// long whether or not the account exists. Computed on first use.
+let dummyPasswordHash = null;
+const getDummyPasswordHash = () => {
+  if (!dummyPasswordHash) {
+    dummyPasswordHash = hashPassword(crypto.randomBytes(16).toString("hex"));
+  }
+  return dummyPasswordHash;
+};
+
+class LocalAuthService {
+  /**
+   * Create a random one-time token and its stored hash
+   * @returns {Object} Raw token and hash
+   */
+  static createOneTimeToken() {
+    const token = crypto.randomBytes(32).toString("base64url");
+    return { token, tokenHash: TokenService.hashToken(token) };
+  }
+
+  /**
+   * Register a local account and send the verification email. When the
+   * address is already registered its owner is emailed instead, so the
+   * response doesn't reveal which emails have accounts.
+   * @param {Object} data - name, email and password
+   */
+  static async register({ name, email, password }) {
+    const normalizedEmail = email.toLowerCase().trim();
+    // Hashed either way, so both cases take as long
+    const passwordHash = await hashPassword(password);
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      await EmailService.sendAccountExistsEmail(existingUser);
+      return;
+    }
+
+    const { token, tokenHash } = this.createOneTimeToken();
+    let user;
+    try {
+      user = await User.create({
+        name: name.trim(),
+        email: normalizedEmail,
+        // generate a unique username
+        username: name.trim().toLowerCase().replace(/ /g, ".") + Date.now(),
+        avatar: `https://ui-avatars.com/api/?name=${encodeURIComponent(
+          name.trim()
+        )}&background=random`,
+        passwordHash,
+        emailVerificationTokenHash: tokenHash,
+        emailVerificationExpires: new Date(
+          Date.now() + AUTH_TOKENS.EMAIL_VERIFICATION_EXPIRE
+        ),
+      });
+    } catch (error) {
+      // Registered at the same moment by another request
+      if (error.code === 11000) {
+        const raced = await User.findOne({ email: normalizedEmail });
+        if (raced) await EmailService.sendAccountExistsEmail(raced);
+        return;
+      }
+      throw error;
+    }
+
+    await EmailService.sendVerificationEmail(user, token);
+  }
+
+  /**
+   * Check email and password credentials
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @returns {Object} Authenticated user
+   */
+  static async login(email, password) {
+    const user = await User.findOne({
+      email: email.toLowerCase().trim(),
+    }).select("+passwordHash");
+
+    // Always run a hash check, missing accounts and provider-only accounts
+    // must not answer faster
+    if (!user || !user.passwordHash) {
+      await verifyPassword(password, await getDummyPasswordHash());
+      throw new Error(ERROR_MESSAGES.AUTH_INVALID_CREDENTIALS);
+    }
+    if (!(await verifyPassword(password, user.passwordHash))) {
+      throw new Error(ERROR_MESSAGES.AUTH_INVALID_CREDENTIALS);
+    }
+
+    if (!user.emailVerified) {
+      throw new Error(ERROR_MESSAGES.AUTH_EMAIL_NOT_VERIFIED);
+    }
+
+    return user;
+  }
+
+  /**
+   * Mark an email address as verified
+   * @param {string} token - Raw verification token
+   * @returns {Object} Verified user
+   */
+  static async verifyEmail(token) {
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationTokenHash: TokenService.hashToken(token),
+        emailVerificationExpires: { $gt: new Date() },
+      },
+      {
+        emailVerified: true,
+        emailVerificationTokenHash: null,
+        emailVerificationExpires: null,
+      },
+      { new: true }
+    );
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.AUTH_INVALID_VERIFICATION_TOKEN);
+    }
+
+    return user;
+  }
+
+  /**
+   * Send a fresh verification email. Silent when there is nothing to do so
+   * the response doesn't reveal which emails are registered.
+   * @param {string} email - Email address
+   */
+  static async resendVerification(email) {
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || user.emailVerified) {
+      return;
+    }
+
+    const { token, tokenHash } = this.createOneTimeToken();
+    user.emailVerificationTokenHash = tokenHash;
+    user.emailVerificationExpires = new Date(
+      Date.now() + AUTH_TOKENS.EMAIL_VERIFICATION_EXPIRE
+    );
+    await user.save();
+
+    await EmailService.sendVerificationEmail(user, token);
+  }
+
+  /**
+   * Send a password reset email. Silent when the account doesn't exist.
+   * @param {string} email - Email address
+   */
+  static async requestPasswordReset(email) {
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user) {
+      return;
+    }
+
+    const { token, tokenHash } = this.createOneTimeToken();
+    user.passwordResetTokenHash = tokenHash;
+    user.passwordResetExpires = new Date(
+      Date.now() + AUTH_TOKENS.PASSWORD_RESET_EXPIRE
+    );
+    await user.save();
+
+    await EmailService.sendPasswordResetEmail(user, token);
+  }
+
+  /**
+   * Set a new password from a reset link and sign out every session
+   * @param {string} token - Raw reset token
+   * @param {string} password - New password
+   * @returns {Object} Updated user
+   */
+  static async resetPassword(token, password) {
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetTokenHash: TokenService.hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+      },
+      {
+        passwordHash: await hashPassword(password),
+        passwordResetTokenHash: null,
+        passwordResetExpires: null,
+        // Receiving the reset email proves ownership of the address
+        emailVerified: true,
+      },
+      { new: true }
+    );
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.AUTH_INVALID_RESET_TOKEN);
+    }
+
+    await SessionService.revokeAllSessions(user._id);
+
+    return user;
+  }
+
+  /**
+   * Add or change the password of a signed-in user. Users who only sign in
+   * through a provider can add one without providing a current password.
+   * @param {string} userId - User ID
+   * @param {Object} data - currentPassword and newPassword
+   * @returns {Object} Updated user
+   */
+  static async setPassword(userId, { currentPassword, newPassword }) {
+    const user = await User.findById(userId).select("+passwordHash");
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+
+    if (
+      user.passwordHash &&
+      !(await verifyPassword(currentPassword, user.passwordHash))
+    ) {
+      throw new Error(ERROR_MESSAGES.AUTH_INVALID_CURRENT_PASSWORD);
+    }
+
+    user.passwordHash = await hashPassword(newPassword);
+    // Signed in through a provider that verified the address, so the new
+    // password can be used to log in straight away
+    if (!user.emailVerified && IdentityService.hasVerifiedEmailIdentity(user)) {
+      user.emailVerified = true;
+    }
+    await user.save();
+
+    return user;
+  }
+}
+
+module.exports = LocalAuthService;
@@ -0,0 +1,54 @@
+const Lock = require("../models/Lock");
+
+class LockService {
+  /**
+   * Take a named lock unless another owner holds it and it hasn't expired
+   * @param {string} name - Lock name
+   * @param {string} owner - Unique id of the caller
+   * @param {number} ttlMs - Time before the lock frees itself
+   * @returns {boolean} True if the lock was taken
+   */
+  static async acquire(name, owner, ttlMs) {
+    const now = new Date();
+    try {
+      await Lock.findOneAndUpdate(
+        { _id: name, $or: [{ expiresAt: { $lte: now } }, { owner }] },
+        { owner, expiresAt: new Date(now.getTime() + ttlMs) },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      // The upsert hits the existing lock when someone else holds it
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Extend a lock that is still held by the owner
+   * @param {string} name - Lock name
+   * @param {string} owner - Owner that took the lock
+   * @param {number} ttlMs - New time before the lock frees itself
+   * @returns {boolean} False if the lock was lost
+   */
+  static async renew(name, owner, ttlMs) {
+    const result = await Lock.updateOne(
+      { _id: name, owner },
+      { expiresAt: new Date(Date.now() + ttlMs) }
+    );
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Release a lock held by the owner
+   * @param {string} name - Lock name
+   * @param {string} owner - Owner that took the lock
+   */
+  static async release(name, owner) {
+    await Lock.deleteOne({ _id: name, owner });
+  }
+}
+
+module.exports = LockService;
@@ -0,0 +1,98 @@
+const User = require("../models/User");
+const SessionService = require("./sessionService");
+const { ERROR_MESSAGES } = require("../utils/constants");
+
+class ModerationService {
+  /**
+   * Suspend or ban a user
+   * @param {string} userId - User to moderate
+   * @param {string} status - "suspended" or "banned"
+   * @param {Object} details - reason, until (optional), appealNote (optional)
+   * @param {Object} actor - Superadmin applying the action
+   * @returns {Object} Updated user
+   */
+  static async restrict(userId, status, { reason, until, appealNote }, actor) {
+    if (actor._id.equals(userId)) {
+      throw new Error(ERROR_MESSAGES.MODERATION_SELF);
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+    if (user.role === "superadmin") {
+      throw new Error(ERROR_MESSAGES.MODERATION_SUPERADMIN);
+    }
+
+    user.moderation = {
+      status,
+      reason,
+      until: until ? new Date(until) : null,
+      appealNote: appealNote || null,
+      actionedBy: actor._id,
+      actionedAt: new Date(),
+    };
+    await user.save();
+
+    // Banned users are signed out everywhere; suspended users keep read access
+    if (status === "banned") {
+      await SessionService.revokeAllSessions(user._id);
+    }
+
+    return user;
+  }
+
+  static async suspend(userId, details, actor) {
+    return this.restrict(userId, "suspended", details, actor);
+  }
+
+  static async ban(userId, details, actor) {
+    return this.restrict(userId, "banned", details, actor);
+  }
+
+  /**
+   * Lift a suspension or ban
+   * @param {string} userId - User to reinstate
+   * @param {Object} actor - Superadmin lifting the restriction
+   * @returns {Object} Updated user
+   */
+  static async reinstate(userId, actor) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      {
+        moderation: {
+          status: "active",
+          actionedBy: actor._id,
+          actionedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+
+    return user;
+  }
+
+  /**
+   * Describe a user's current restriction for API responses
+   * @param {Object} user - User document
+   * @returns {Object} status, reason, until, appealNote
+   */
+  static describe(user) {
+    const status = user.getModerationStatus();
+    if (status === "active") {
+      return { status };
+    }
+
+    return {
+      status,
+      reason: user.moderation.reason,
+      until: user.moderation.until,
+      appealNote: user.moderation.appealNote,
+    };
+  }
+}
+
+module.exports = ModerationService;
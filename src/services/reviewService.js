@@ -1,5 +1,9 @@
 const Review = require("../models/Review");
 const Game = require("../models/Game");
+const { paginateByCursor } = require("../utils/cursor");
+
+// Newest first
+const USER_REVIEWS_SORT = { createdAt: -1 };
 
 class ReviewService {
   static async getGameReviews(gameId, userId = null) {
@@ -164,10 +168,24 @@ class ReviewService {
    * @param {string} userId - User ID
    * @param {number} page - Page number
    * @param {number} limit - Items per page
+   * @param {string} cursor - Cursor from the previous page ("" for the
+   *   first), replaces page numbers when given
    * @returns {Object} Paginated user reviews
    */
-  static async getUserReviews(userId, page = 1, limit = 20) {
+  static async getUserReviews(userId, page = 1, limit = 20, cursor) {
     try {
+      if (cursor !== undefined) {
+        const result = await paginateByCursor(
+          Review.find({ userId })
+            .populate("userId", "name username email avatar")
+            .populate("gameId", "title thumbnail genre platform"),
+          USER_REVIEWS_SORT,
+          cursor,
+          limit
+        );
+        return { reviews: result.items, pagination: result.pagination };
+      }
+
       const skip = (page - 1) * limit;
 
       const reviews = await Review.find({ userId })
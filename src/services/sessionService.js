@@ -0,0 +1,131 @@
+const Session = require("../models/Session");
+const TokenService = require("./tokenService");
+
+// Don't write lastUsedAt more often than this on authenticated requests
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+class SessionService {
+  /**
+   * Start a new session for a user and issue its token pair
+   * @param {Object} user - User document
+   * @param {Object} req - Express request (for user agent and IP)
+   * @param {Object} options - mfaVerified: second factor already checked
+   * @returns {Object} Session and token pair
+   */
+  static async startSession(user, req, { mfaVerified = false } = {}) {
+    const session = await Session.create({
+      userId: user._id,
+      userAgent: req.get("user-agent") || null,
+      ip: req.ip || null,
+      mfaVerifiedAt: mfaVerified ? new Date() : null,
+    });
+
+    const tokens = await TokenService.issueTokenPair(user, session);
+
+    return { session, ...tokens };
+  }
+
+  /**
+   * Get the active session referenced by an access token
+   * @param {Object} decoded - Decoded access token payload
+   * @returns {Object|null} Session or null if revoked or missing
+   */
+  static async getActiveSession(decoded) {
+    if (!decoded.sessionId) {
+      return null;
+    }
+
+    return Session.findOne({
+      _id: decoded.sessionId,
+      userId: decoded.userId,
+      revokedAt: null,
+    });
+  }
+
+  /**
+   * Record activity on a session
+   * @param {Object} session - Session document
+   * @param {string} ip - Client IP
+   */
+  static async touchSession(session, ip) {
+    if (Date.now() - session.lastUsedAt.getTime() < TOUCH_INTERVAL_MS) {
+      return;
+    }
+
+    await Session.updateOne(
+      { _id: session._id },
+      { lastUsedAt: new Date(), ...(ip && { ip }) }
+    );
+  }
+
+  /**
+   * Record that the second factor was verified for a session
+   * @param {string} sessionId - Session ID
+   */
+  static async markMfaVerified(sessionId) {
+    await Session.updateOne({ _id: sessionId }, { mfaVerifiedAt: new Date() });
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {string} userId - User ID
+   * @param {string} currentSessionId - Session of the current request
+   * @returns {Array} Sessions, most recently used first
+   */
+  static async listSessions(userId, currentSessionId = null) {
+    const sessions = await Session.find({ userId, revokedAt: null })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    return sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      mfaVerified: !!session.mfaVerifiedAt,
+      current: !!currentSessionId && session._id.equals(currentSessionId),
+    }));
+  }
+
+  /**
+   * Revoke one of a user's sessions and its refresh tokens
+   * @param {string} userId - User ID (for authorization)
+   * @param {string} sessionId - Session ID
+   * @returns {Object} Revoked session
+   */
+  static async revokeSession(userId, sessionId) {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, userId, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (!session) {
+      throw new Error("Session not found");
+    }
+
+    await TokenService.revokeSessionTokens(session._id, "user-revoked");
+
+    return session;
+  }
+
+  /**
+   * Revoke every session of a user ("sign out everywhere")
+   * @param {string} userId - User ID
+   * @returns {number} Number of sessions revoked
+   */
+  static async revokeAllSessions(userId) {
+    const result = await Session.updateMany(
+      { userId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    await TokenService.revokeAllForUser(userId);
+    // Also kills access tokens that were issued without a session
+    await TokenService.bumpTokenVersion(userId);
+
+    return result.modifiedCount;
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,238 @@
+const os = require("os");
+const crypto = require("crypto");
+const SyncRun = require("../models/SyncRun");
+const GameSyncService = require("./gameSyncService");
+const LockService = require("./lockService");
+const autocompleteService = require("./autocompleteService");
+const { paginateByCursor } = require("../utils/cursor");
+const { ERROR_MESSAGES, GAME_SYNC } = require("../utils/constants");
+
+const LOCK_NAME = "game-sync";
+
+// Recorded on each run to tell server instances and workers apart
+const INSTANCE = `${os.hostname()}:${process.pid}`;
+
+// Report fields copied onto the run
+const REPORT_FIELDS = [
+  "status",
+  "source",
+  "finishedAt",
+  "durationMs",
+  "pages",
+  "total",
+  "created",
+  "updated",
+  "unchanged",
+  "failed",
+  "failures",
+  "error",
+];
+
+let schedulerTimer = null;
+
+class SyncRunService {
+  /**
+   * Start a catalogue sync if no other instance is running one. The sync
+   * continues in the background; await `done` to wait for it.
+   * @param {Object} options - trigger (schedule, manual or script), dryRun,
+   *   triggeredBy (user ID) and GameSyncService overrides in syncOptions
+   * @returns {Object} { run, done } - the new SyncRun and a promise of the
+   *   finished one
+   */
+  static async startSync({
+    trigger,
+    dryRun = false,
+    triggeredBy = null,
+    syncOptions = {},
+  }) {
+    // Unique per run, so two runs in one process don't share the lock
+    const owner = `${INSTANCE}:${crypto.randomBytes(4).toString("hex")}`;
+    const acquired = await LockService.acquire(
+      LOCK_NAME,
+      owner,
+      GAME_SYNC.LOCK_TTL
+    );
+    if (!acquired) {
+      throw new Error(ERROR_MESSAGES.GAME_SYNC_RUNNING);
+    }
+
+    let run;
+    try {
+      // Holding the lock means runs still marked as running were cut short
+      await SyncRun.updateMany(
+        { status: "running" },
+        {
+          status: "failed",
+          error: `${ERROR_MESSAGES.GAME_SYNC_FAILED}: interrupted`,
+          finishedAt: new Date(),
+        }
+      );
+      run = await SyncRun.create({
+        trigger,
+        triggeredBy,
+        dryRun,
+        instance: INSTANCE,
+      });
+    } catch (error) {
+      await LockService.release(LOCK_NAME, owner);
+      throw error;
+    }
+
+    const done = this.execute(run, owner, {
+      ...syncOptions,
+      dryRun,
+      author: triggeredBy,
+    });
+    return { run, done };
+  }
+
+  /**
+   * Run the sync while holding the lock and record its report
+   * @param {Object} run - SyncRun document
+   * @param {string} owner - Lock owner
+   * @param {Object} syncOptions - Options for GameSyncService.syncGames
+   * @returns {Object} Finished SyncRun
+   */
+  static async execute(run, owner, syncOptions) {
+    const heartbeat = setInterval(() => {
+      LockService.renew(LOCK_NAME, owner, GAME_SYNC.LOCK_TTL)
+        .then((held) => {
+          if (!held) console.warn("Game sync lock was lost during a run");
+        })
+        .catch((error) =>
+          console.error("Failed to renew game sync lock:", error.message)
+        );
+    }, GAME_SYNC.LOCK_TTL / 3);
+
+    try {
+      const report = await GameSyncService.syncGames(syncOptions);
+      REPORT_FIELDS.forEach((field) => {
+        run[field] = report[field];
+      });
+    } catch (error) {
+      run.status = "failed";
+      run.error = `${ERROR_MESSAGES.GAME_SYNC_FAILED}: ${error.message}`;
+      run.finishedAt = new Date();
+      run.durationMs = run.finishedAt - run.startedAt;
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    try {
+      await run.save();
+    } finally {
+      await LockService.release(LOCK_NAME, owner);
+    }
+
+    // The script's process exits right after its run; the server keeps an
+    // index to refresh
+    if (
+      !run.dryRun &&
+      run.trigger !== "script" &&
+      run.created + run.updated > 0
+    ) {
+      autocompleteService.refresh();
+    }
+
+    return run;
+  }
+
+  /**
+   * List sync runs, newest first, without their failure details
+   * @param {Object} filter - e.g. { status } or { trigger }
+   * @param {string} cursor - Cursor from the previous page
+   * @param {number} limit - Page size
+   * @returns {Object} { items, pagination }
+   */
+  static async listRuns(filter = {}, cursor, limit) {
+    return paginateByCursor(
+      SyncRun.find(filter)
+        .select("-failures")
+        .populate("triggeredBy", "name username email"),
+      { startedAt: -1 },
+      cursor,
+      limit
+    );
+  }
+
+  /**
+   * Get a sync run with its failure details
+   * @param {string} runId - SyncRun ID
+   * @returns {Object} SyncRun
+   */
+  static async getRun(runId) {
+    const run = await SyncRun.findById(runId).populate(
+      "triggeredBy",
+      "name username email"
+    );
+    if (!run) {
+      throw new Error(ERROR_MESSAGES.SYNC_RUN_NOT_FOUND);
+    }
+    return run;
+  }
+
+  /**
+   * Interval between scheduled syncs, from GAME_SYNC_INTERVAL_HOURS
+   * @returns {number|null} Interval in milliseconds, or null if disabled
+   */
+  static getScheduleInterval() {
+    const hours = Number(process.env.GAME_SYNC_INTERVAL_HOURS);
+    return hours > 0 ? hours * 60 * 60 * 1000 : null;
+  }
+
+  /**
+   * Start a sync if the last real one started at least an interval ago.
+   * Every instance may call this; the lock lets only one of them run.
+   * @param {number} intervalMs - Interval between syncs
+   * @returns {Object|null} Started SyncRun, or null if none was due
+   */
+  static async runIfDue(intervalMs) {
+    const last = await SyncRun.findOne({ dryRun: false })
+      .sort({ startedAt: -1 })
+      .select("startedAt");
+    if (last && Date.now() - last.startedAt.getTime() < intervalMs) {
+      return null;
+    }
+
+    try {
+      const { run, done } = await this.startSync({ trigger: "schedule" });
+      done.catch((error) =>
+        console.error("Scheduled game sync failed:", error.message)
+      );
+      return run;
+    } catch (error) {
+      if (error.message === ERROR_MESSAGES.GAME_SYNC_RUNNING) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check for a due sync now and then every minute
+   * @param {number} intervalMs - Interval between syncs
+   */
+  static startScheduler(intervalMs) {
+    if (schedulerTimer) {
+      return;
+    }
+
+    const check = () =>
+      this.runIfDue(intervalMs).catch((error) =>
+        console.error("Game sync scheduler error:", error.message)
+      );
+    schedulerTimer = setInterval(
+      check,
+      Math.min(intervalMs, GAME_SYNC.SCHEDULER_CHECK_INTERVAL)
+    );
+    check();
+  }
+
+  // Stop checking for due syncs (a run in progress carries on)
+  static stopScheduler() {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+module.exports = SyncRunService;
@@ -0,0 +1,246 @@
+const crypto = require("crypto");
+const RefreshToken = require("../models/RefreshToken");
+const RevokedToken = require("../models/RevokedToken");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const {
+  generateToken,
+  generateRefreshToken,
+  verifyRefreshToken,
+} = require("../config/jwt");
+
+class TokenService {
+  /**
+   * Hash a token for storage and lookup
+   * @param {string} token - Raw token
+   * @returns {string} SHA-256 hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+  }
+
+  /**
+   * Issue an access token bound to the user's current token version
+   * @param {Object} user - User document
+   * @param {string} sessionId - Session the token belongs to
+   * @returns {string} Signed access token
+   */
+  static generateAccessToken(user, sessionId = null) {
+    return generateToken({
+      userId: user._id,
+      tokenVersion: user.tokenVersion || 0,
+      ...(sessionId && { sessionId: sessionId.toString() }),
+    });
+  }
+
+  /**
+   * Check whether a verified access token has been revoked
+   * @param {Object} decoded - Decoded access token payload
+   * @param {Object} user - User the token belongs to
+   * @returns {boolean} True if the token must be rejected
+   */
+  static async isAccessTokenRevoked(decoded, user) {
+    if ((decoded.tokenVersion || 0) !== (user.tokenVersion || 0)) {
+      return true;
+    }
+
+    if (!decoded.jti) {
+      return false;
+    }
+
+    return !!(await RevokedToken.exists({ jti: decoded.jti }));
+  }
+
+  /**
+   * Denylist a single access token until it expires
+   * @param {Object} decoded - Decoded access token payload
+   */
+  static async revokeAccessToken(decoded) {
+    if (!decoded || !decoded.jti) {
+      return;
+    }
+
+    await RevokedToken.updateOne(
+      { jti: decoded.jti },
+      {
+        $setOnInsert: {
+          userId: decoded.userId,
+          expiresAt: new Date(decoded.exp * 1000),
+        },
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Invalidate every access token issued to a user so far
+   * @param {string} userId - User ID
+   */
+  static async bumpTokenVersion(userId) {
+    await User.findByIdAndUpdate(userId, { $inc: { tokenVersion: 1 } });
+  }
+
+  /**
+   * Issue and persist a refresh token
+   * @param {string} userId - User ID
+   * @param {string} family - Token family (defaults to a new family)
+   * @param {string} sessionId - Session the token belongs to
+   * @returns {string} Raw refresh token
+   */
+  static async issueRefreshToken(
+    userId,
+    family = crypto.randomUUID(),
+    sessionId = null
+  ) {
+    const refreshToken = generateRefreshToken({ userId, family });
+    const { exp } = verifyRefreshToken(refreshToken);
+
+    await RefreshToken.create({
+      userId,
+      family,
+      sessionId,
+      tokenHash: this.hashToken(refreshToken),
+      expiresAt: new Date(exp * 1000),
+    });
+
+    return refreshToken;
+  }
+
+  /**
+   * Issue an access token and a refresh token starting a new family
+   * @param {Object} user - User document
+   * @param {Object} session - Session the tokens belong to
+   * @returns {Object} Token pair
+   */
+  static async issueTokenPair(user, session = null) {
+    const sessionId = session ? session._id : null;
+    const refreshToken = await this.issueRefreshToken(
+      user._id,
+      sessionId ? sessionId.toString() : undefined,
+      sessionId
+    );
+
+    return {
+      accessToken: this.generateAccessToken(user, sessionId),
+      refreshToken,
+      expiresIn: process.env.JWT_EXPIRE,
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. The presented token is
+   * revoked; presenting it again revokes every token in its family.
+   * @param {string} refreshToken - Raw refresh token
+   * @returns {Object} User and new token pair
+   */
+  static async rotateRefreshToken(refreshToken) {
+    verifyRefreshToken(refreshToken);
+
+    const stored = await RefreshToken.findOne({
+      tokenHash: this.hashToken(refreshToken),
+    });
+    if (!stored) {
+      throw new Error("Invalid token");
+    }
+
+    // Claim the token atomically so concurrent refreshes can't both succeed
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: stored._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: "rotated" },
+      { new: true }
+    );
+    if (!claimed) {
+      await this.revokeFamily(stored.family, "reuse-detected");
+      throw new Error("Refresh token reuse detected");
+    }
+
+    const user = await User.findById(stored.userId);
+    if (!user) {
+      await this.revokeFamily(stored.family, "user-revoked");
+      throw new Error("User not found");
+    }
+
+    if (stored.sessionId) {
+      const session = await Session.findOneAndUpdate(
+        { _id: stored.sessionId, revokedAt: null },
+        { lastUsedAt: new Date() }
+      );
+      if (!session) {
+        await this.revokeFamily(stored.family, "user-revoked");
+        throw new Error("Invalid token");
+      }
+    }
+
+    const newRefreshToken = await this.issueRefreshToken(
+      user._id,
+      stored.family,
+      stored.sessionId
+    );
+    claimed.replacedByHash = this.hashToken(newRefreshToken);
+    await claimed.save();
+
+    return {
+      user,
+      accessToken: this.generateAccessToken(user, stored.sessionId),
+      refreshToken: newRefreshToken,
+      expiresIn: process.env.JWT_EXPIRE,
+    };
+  }
+
+  /**
+   * Revoke the family of a refresh token presented by its owner
+   * @param {string} refreshToken - Raw refresh token
+   * @param {string} userId - User ID (for authorization)
+   * @returns {boolean} Whether a token was revoked
+   */
+  static async revokeRefreshToken(refreshToken, userId) {
+    const stored = await RefreshToken.findOne({
+      tokenHash: this.hashToken(refreshToken),
+      userId,
+    });
+    if (!stored) {
+      return false;
+    }
+
+    await this.revokeFamily(stored.family, "logout");
+    return true;
+  }
+
+  /**
+   * Revoke every active token in a family
+   * @param {string} family - Token family
+   * @param {string} reason - Revocation reason
+   */
+  static async revokeFamily(family, reason) {
+    await RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+
+  /**
+   * Revoke every active refresh token issued for a session
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Revocation reason
+   */
+  static async revokeSessionTokens(sessionId, reason) {
+    await RefreshToken.updateMany(
+      { sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+
+  /**
+   * Revoke every active refresh token belonging to a user
+   * @param {string} userId - User ID
+   * @param {string} reason - Revocation reason
+   */
+  static async revokeAllForUser(userId, reason = "user-revoked") {
+    await RefreshToken.updateMany(
+      { userId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    );
+  }
+}
+
+module.exports = TokenService;
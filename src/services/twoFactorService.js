@@ -0,0 +1,193 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const TokenService = require("./tokenService");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUrl,
+} = require("../utils/totp");
+const { ERROR_MESSAGES, TWO_FACTOR } = require("../utils/constants");
+
+const SECRET_FIELDS =
+  "+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep";
+
+class TwoFactorService {
+  /**
+   * Load a user with the two-factor secrets selected
+   * @param {string} userId - User ID
+   * @returns {Object} User document
+   */
+  static async loadUser(userId) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) {
+      throw new Error(ERROR_MESSAGES.USER_NOT_FOUND);
+    }
+    return user;
+  }
+
+  /**
+   * Generate a fresh set of recovery codes
+   * @returns {Object} Raw codes (shown once) and their hashes (stored)
+   */
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: TWO_FACTOR.RECOVERY_CODE_COUNT }, () =>
+      crypto.randomBytes(5).toString("hex").match(/.{5}/g).join("-")
+    );
+    return {
+      codes,
+      hashes: codes.map((code) => TokenService.hashToken(code)),
+    };
+  }
+
+  /**
+   * Start enrolment: generate a secret the user adds to an authenticator app
+   * @param {string} userId - User ID
+   * @returns {Object} Secret and otpauth URL (for a QR code)
+   */
+  static async startEnrollment(userId) {
+    const user = await this.loadUser(userId);
+    if (user.twoFactorEnabled) {
+      throw new Error(ERROR_MESSAGES.AUTH_2FA_ALREADY_ENABLED);
+    }
+
+    const secret = generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUrl: buildOtpauthUrl(secret, user.email, TWO_FACTOR.ISSUER),
+    };
+  }
+
+  /**
+   * Confirm enrolment with a code from the authenticator app
+   * @param {string} userId - User ID
+   * @param {string} code - TOTP code
+   * @returns {Array} Recovery codes, shown to the user only once
+   */
+  static async confirmEnrollment(userId, code) {
+    const user = await this.loadUser(userId);
+    if (user.twoFactorEnabled) {
+      throw new Error(ERROR_MESSAGES.AUTH_2FA_ALREADY_ENABLED);
+    }
+    if (!user.twoFactorPendingSecret) {
+      throw new Error(ERROR_MESSAGES.AUTH_2FA_NO_PENDING_SETUP);
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      throw new Error(ERROR_MESSAGES.AUTH_2FA_INVALID_CODE);
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastUsedStep = step;
+    await user.save();
+
+    return codes;
+  }
+
+  /**
+   * Check a TOTP code or a recovery code. Recovery codes are single-use and
+   * TOTP codes can't be replayed within their time step.
+   * @param {string} userId - User ID
+   * @param {Object} factor - code or recoveryCode
+   * @returns {Object} User document
+   */
+  static async verify(userId, { code, recoveryCode } = {}) {
+    const user = await this.loadUser(userId);
+    if (!user.twoFactorEnabled) {
+      throw new Error(ERROR_MESSAGES.AUTH_2FA_NOT_ENABLED);
+    }
+
+    if (recoveryCode) {
+      const hash = TokenService.hashToken(recoveryCode.trim().toLowerCase());
+      const result = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: hash },
+        { $pull: { twoFactorRecoveryCodes: hash } }
+      );
+      if (result.modifiedCount === 0) {
+        throw new Error(ERROR_MESSAGES.AUTH_2FA_INVALID_CODE);
+      }
+      return user;
+    }
+
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step === null) {
+      throw new Error(ERROR_MESSAGES.AUTH_2FA_INVALID_CODE);
+    }
+
+    // Claim the time step atomically so the same code can't be used twice
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { twoFactorLastUsedStep: null },
+          { twoFactorLastUsedStep: { $lt: step } },
+        ],
+      },
+      { twoFactorLastUsedStep: step }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error(ERROR_MESSAGES.AUTH_2FA_INVALID_CODE);
+    }
+
+    return user;
+  }
+
+  /**
+   * Replace the recovery codes after checking the second factor
+   * @param {string} userId - User ID
+   * @param {Object} factor - code or recoveryCode
+   * @returns {Array} New recovery codes
+   */
+  static async regenerateRecoveryCodes(userId, factor) {
+    await this.verify(userId, factor);
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    await User.updateOne({ _id: userId }, { twoFactorRecoveryCodes: hashes });
+
+    return codes;
+  }
+
+  /**
+   * Turn two-factor authentication off after checking the second factor
+   * @param {string} userId - User ID
+   * @param {Object} factor - code or recoveryCode
+   */
+  static async disable(userId, factor) {
+    await this.verify(userId, factor);
+
+    await User.updateOne(
+      { _id: userId },
+      {
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorRecoveryCodes: [],
+        twoFactorLastUsedStep: null,
+      }
+    );
+  }
+
+  /**
+   * Get the two-factor status of a user
+   * @param {string} userId - User ID
+   * @returns {Object} Status
+   */
+  static async getStatus(userId) {
+    const user = await this.loadUser(userId);
+
+    return {
+      enabled: user.twoFactorEnabled,
+      required: TWO_FACTOR.REQUIRED_ROLES.includes(user.role),
+      recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+    };
+  }
+}
+
+module.exports = TwoFactorService;
@@ -54,6 +54,8 @@ const VALIDATION_LIMITS = {
   BIO_MAX_LENGTH: 500,
   REVIEW_CONTENT_MIN_LENGTH: 10,
   REVIEW_CONTENT_MAX_LENGTH: 1000,
+  PASSWORD_MIN_LENGTH: 8,
+  PASSWORD_MAX_LENGTH: 128,
 };
 
 // Rate Limiting
@@ -71,6 +73,46 @@ const JWT = {
   ALGORITHM: "HS256",
 };
 
+// One-time token lifetimes for local accounts
+const AUTH_TOKENS = {
+  EMAIL_VERIFICATION_EXPIRE: 24 * 60 * 60 * 1000, // 24 hours
+  PASSWORD_RESET_EXPIRE: 60 * 60 * 1000, // 1 hour
+};
+
+// Two-factor authentication
+const TWO_FACTOR = {
+  ISSUER: "GameHub",
+  RECOVERY_CODE_COUNT: 10,
+  REQUIRED_ROLES: ["admin", "superadmin"], // Must enrol to use admin routes
+};
+
+// API key scopes, and the roles allowed to hold each one
+const API_KEY_SCOPES = {
+  GAMES_READ: "games:read",
+  GAMES_WRITE: "games:write",
+  REVIEWS_MODERATE: "reviews:moderate",
+  STATS_READ: "stats:read",
+};
+
+const API_KEYS = {
+  PREFIX: "ghk_",
+  DEFAULT_EXPIRE_DAYS: 90,
+  MAX_EXPIRE_DAYS: 365,
+  MAX_KEYS_PER_USER: 20,
+  SCOPE_ROLES: {
+    [API_KEY_SCOPES.GAMES_READ]: ["user", "admin", "superadmin"],
+    [API_KEY_SCOPES.GAMES_WRITE]: ["admin", "superadmin"],
+    [API_KEY_SCOPES.REVIEWS_MODERATE]: ["admin", "superadmin"],
+    [API_KEY_SCOPES.STATS_READ]: ["admin", "superadmin"],
+  },
+};
+
+// Superadmin "view as user" sessions
+const IMPERSONATION = {
+  TOKEN_EXPIRE_SECONDS: 15 * 60, // 15 minutes
+  WRITABLE_PATHS: ["/api/reviews", "/api/favorites"], // When not read-only
+};
+
 // Game System Constants
 const GAMES = {
   CACHE_DURATION: 60 * 60 * 1000, // 1 hour
@@ -78,6 +120,65 @@ const GAMES = {
   POPULAR_TAGS_LIMIT: 20,
   SEARCH_MIN_LENGTH: 2,
   SEARCH_MAX_LENGTH: 100,
+  AUTOCOMPLETE_LIMIT: 8,
+  AUTOCOMPLETE_MAX_LIMIT: 20,
+  MAX_FILTER_VALUES: 20, // Values per multi-value filter
+};
+
+// External game catalogue sync. Settings can be overridden with the
+// GAME_API_* environment variables.
+const GAME_SYNC = {
+  BASE_URL: "https://www.freetogame.com/api",
+  PAGE_SIZE: 100,
+  TIMEOUT: 15000, // 15 seconds per request
+  MAX_RETRIES: 3,
+  RETRY_DELAY: 1000, // First retry after 1s, then 2s, 4s, ...
+  MAX_RETRY_DELAY: 30000,
+  MAX_PAGES: 1000, // Stop runaway pagination
+  MAX_REPORTED_FAILURES: 100,
+  LOCK_TTL: 5 * 60 * 1000, // Renewed while a run is in progress
+  SCHEDULER_CHECK_INTERVAL: 60 * 1000, // How often the scheduler looks for a due run
+};
+
+// Bulk game import and export (admin)
+const GAME_TRANSFER = {
+  FORMATS: ["csv", "jsonl"],
+  IMPORT_MODES: ["insert", "upsert-title", "upsert-slug"],
+  MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB
+  MAX_ROWS: 5000,
+  LIST_SEPARATOR: ";", // Between genres and platforms in a CSV cell
+};
+
+// Duplicate game detection (admin). A pair's score weighs title
+// similarity against developer and publisher similarity.
+const GAME_DUPLICATES = {
+  MIN_SCORE: 0.85,
+  MIN_TITLE_SIMILARITY: 0.85,
+  TITLE_WEIGHT: 0.7, // Developer and publisher share the rest equally
+  BLOCK_LENGTH: 3, // Titles are compared when they share their first or last characters
+  MAX_GROUPS: 100,
+};
+
+// Game trash. The retention can be overridden with GAME_TRASH_RETENTION_DAYS
+// (0 keeps trashed games until they're purged by hand).
+const GAME_TRASH = {
+  RETENTION_DAYS: 30,
+  PURGE_CHECK_INTERVAL: 60 * 60 * 1000, // 1 hour
+};
+
+// Game publication workflow
+const GAME_PUBLICATION = {
+  STATUSES: ["draft", "in-review", "scheduled", "published"],
+  PUBLISH_CHECK_INTERVAL: 60 * 1000, // How often scheduled games are published
+};
+
+// Game media gallery (screenshots and videos)
+const GAME_MEDIA = {
+  MAX_ITEMS: 30,
+  MAX_FILE_SIZE: 5 * 1024 * 1024, // 5MB per screenshot
+  IMAGE_TYPES: ["image/jpeg", "image/png", "image/gif", "image/webp"],
+  FOLDER: "gamehub/screenshots", // Cloudinary folder
+  CAPTION_MAX_LENGTH: 300,
 };
 
 // Review System Constants
@@ -113,7 +214,46 @@ const ERROR_MESSAGES = {
   AUTH_TOKEN_INVALID: "Invalid or expired authentication token",
   AUTH_USER_NOT_FOUND: "User not found",
   AUTH_UNAUTHORIZED: "Unauthorized access",
-  AUTH_FORBIDDEN: "Forbidden access", // User
+  AUTH_FORBIDDEN: "Forbidden access",
+  AUTH_INVALID_CREDENTIALS: "Invalid email or password",
+  AUTH_EMAIL_NOT_VERIFIED: "Email address has not been verified",
+  AUTH_INVALID_VERIFICATION_TOKEN: "Invalid or expired verification link",
+  AUTH_INVALID_RESET_TOKEN: "Invalid or expired password reset link",
+  AUTH_INVALID_CURRENT_PASSWORD: "Current password is incorrect",
+  AUTH_PROVIDER_NOT_AVAILABLE: "Sign-in provider is not available",
+  AUTH_PROVIDER_EMAIL_REQUIRED:
+    "The provider account has no email address we can use",
+  AUTH_PROVIDER_EMAIL_UNVERIFIED:
+    "Verify your email with the provider before signing in, or link it from your account settings",
+  AUTH_IDENTITY_IN_USE: "This provider account is linked to another user",
+  AUTH_IDENTITY_NOT_LINKED: "This provider is not linked to your account",
+  AUTH_2FA_REQUIRED: "Two-factor authentication required",
+  AUTH_2FA_VERIFICATION_REQUIRED: "Two-factor verification required",
+  AUTH_2FA_INVALID_CODE: "Invalid two-factor code",
+  AUTH_2FA_NOT_ENABLED: "Two-factor authentication is not enabled",
+  AUTH_2FA_ALREADY_ENABLED: "Two-factor authentication is already enabled",
+  AUTH_2FA_NO_PENDING_SETUP: "Start two-factor setup before enabling it",
+  AUTH_2FA_INVALID_CHALLENGE: "Invalid or expired two-factor challenge",
+  AUTH_LAST_SIGN_IN_METHOD:
+    "Add a password or link another provider before unlinking your only sign-in method",
+  API_KEY_INVALID: "Invalid or expired API key",
+  API_KEY_NOT_ALLOWED: "API keys are not accepted for this endpoint",
+  API_KEY_INSUFFICIENT_SCOPE: "API key is missing a required scope",
+  API_KEY_SCOPE_NOT_ALLOWED: "Your role does not allow one of these scopes",
+  API_KEY_LIMIT_REACHED: "Maximum number of API keys reached",
+  API_KEY_NOT_FOUND: "API key not found",
+  ACCOUNT_SUSPENDED: "Your account is suspended",
+  ACCOUNT_BANNED: "Your account has been banned",
+  MODERATION_SELF: "You cannot suspend or ban your own account",
+  MODERATION_SUPERADMIN:
+    "Superadmins cannot be suspended or banned, change their role first",
+  IMPERSONATION_SELF: "You cannot impersonate yourself",
+  IMPERSONATION_SUPERADMIN: "Superadmins cannot be impersonated",
+  IMPERSONATION_NOT_FOUND: "Impersonation session not found",
+  IMPERSONATION_ENDED: "Impersonation session has ended",
+  IMPERSONATION_READ_ONLY: "This impersonation session is read-only",
+  IMPERSONATION_ADMIN_FORBIDDEN:
+    "Admin routes are not available while impersonating", // User
   USER_NOT_FOUND: "User not found",
   PROFILE_FETCH_FAILED: "Failed to fetch user profile",
   PROFILE_UPDATE_FAILED: "Failed to update user profile",
@@ -129,11 +269,36 @@ const ERROR_MESSAGES = {
   VALIDATION_INVALID_OBJECT_ID: "Invalid ID format",
   VALIDATION_FILE_TOO_LARGE: "File size exceeds maximum limit",
   VALIDATION_INVALID_FILE_TYPE: "Invalid file type",
+  VALIDATION_INVALID_CURSOR: "Invalid pagination cursor",
+  VALIDATION_INVALID_FILTER: "Invalid filter",
 
   // Games
   GAME_NOT_FOUND: "Game not found",
   GAME_SYNC_FAILED: "Game synchronization failed",
   GAME_API_ERROR: "External game API error",
+  GAME_SYNC_RUNNING: "A game sync is already running",
+  SYNC_RUN_NOT_FOUND: "Sync run not found",
+  IMPORT_NO_FILE: "No import file provided",
+  IMPORT_INVALID_FORMAT: "Import format must be csv or jsonl",
+  IMPORT_INVALID_MODE:
+    "Import mode must be insert, upsert-title or upsert-slug",
+  IMPORT_INVALID_FILE: "Import file could not be read",
+  IMPORT_TOO_MANY_ROWS: "Import file has too many rows",
+  EXPORT_INVALID_FORMAT: "Export format must be csv or jsonl",
+  MERGE_TARGET_NOT_FOUND: "Canonical game not found",
+  MERGE_SAME_GAME: "A game cannot be merged into itself",
+  GAME_REVISION_NOT_FOUND: "Game revision not found",
+  GAME_REVISION_CURRENT: "The game already matches this revision",
+  GAME_NOT_IN_TRASH: "Game not found in trash",
+  GAME_INVALID_STATUS:
+    "Status must be draft, in-review, scheduled or published",
+  GAME_PUBLISH_AT_INVALID:
+    "Scheduled games need a publishAt date in the future",
+  GAME_MEDIA_NOT_FOUND: "Media item not found",
+  GAME_MEDIA_LIMIT: "A game can have at most 30 media items",
+  GAME_MEDIA_ORDER_INVALID:
+    "Order must list every media item of the game exactly once",
+  GAME_MEDIA_STORAGE_FAILED: "Failed to remove the media file from storage",
 
   // Reviews
   REVIEW_NOT_FOUND: "Review not found",
@@ -156,7 +321,20 @@ const SUCCESS_MESSAGES = {
   // Authentication
   AUTH_LOGIN_SUCCESS: "Login successful",
   AUTH_LOGOUT_SUCCESS: "Logout successful",
-  AUTH_TOKEN_REFRESHED: "Token refreshed successfully", // User
+  AUTH_TOKEN_REFRESHED: "Token refreshed successfully",
+  AUTH_REGISTERED: "Check your email to finish creating your account",
+  AUTH_EMAIL_VERIFIED: "Email verified successfully",
+  AUTH_VERIFICATION_SENT:
+    "If the account exists and is unverified, a verification email has been sent",
+  AUTH_PASSWORD_RESET_SENT:
+    "If an account with this email exists, a password reset email has been sent",
+  AUTH_PASSWORD_RESET: "Password reset successfully, please sign in again",
+  AUTH_PASSWORD_UPDATED: "Password updated successfully",
+  AUTH_2FA_ENABLED: "Two-factor authentication enabled",
+  AUTH_2FA_DISABLED: "Two-factor authentication disabled",
+  AUTH_2FA_VERIFIED: "Two-factor verification successful",
+  API_KEY_CREATED: "API key created, copy it now as it won't be shown again",
+  API_KEY_REVOKED: "API key revoked", // User
   PROFILE_UPDATED: "Profile updated successfully",
   AVATAR_UPLOADED: "Avatar uploaded successfully",
   AVATAR_DELETED: "Avatar deleted successfully",
@@ -167,6 +345,19 @@ const SUCCESS_MESSAGES = {
 
   // Games
   GAME_SYNC_SUCCESS: "Games synchronized successfully",
+  GAME_SYNC_STARTED: "Game sync started",
+  GAMES_IMPORTED: "Game import finished",
+  GAMES_IMPORT_CHECKED: "Game import checked, nothing was saved",
+  GAMES_MERGED: "Games merged successfully",
+  GAME_REVISION_RESTORED: "Game revision restored",
+  GAME_TRASHED: "Game moved to trash",
+  GAME_RESTORED: "Game restored from trash",
+  GAME_PURGED: "Game and its reviews and favorites permanently deleted",
+  GAME_STATUS_UPDATED: "Game status updated",
+  GAME_MEDIA_ADDED: "Media item added",
+  GAME_MEDIA_UPDATED: "Media item updated",
+  GAME_MEDIA_REORDERED: "Media gallery reordered",
+  GAME_MEDIA_DELETED: "Media item deleted",
   GAMES_FETCHED: "Games retrieved successfully",
 
   // Reviews
@@ -277,7 +468,18 @@ module.exports = {
   VALIDATION_LIMITS,
   RATE_LIMIT,
   JWT,
+  AUTH_TOKENS,
+  TWO_FACTOR,
+  API_KEY_SCOPES,
+  API_KEYS,
+  IMPERSONATION,
   GAMES,
+  GAME_SYNC,
+  GAME_TRANSFER,
+  GAME_DUPLICATES,
+  GAME_TRASH,
+  GAME_PUBLICATION,
+  GAME_MEDIA,
   REVIEWS,
   USERS,
   DATABASE,
@@ -0,0 +1,79 @@
+/**
+ * CSV Utilities
+ * Minimal RFC 4180 reading and writing: comma separated, fields quoted
+ * with double quotes when they hold commas, quotes or line breaks.
+ */
+
+/**
+ * Parse CSV text into rows of fields. Blank lines are skipped.
+ * @param {string} text - CSV text, optionally starting with a BOM
+ * @returns {Array<Array<string>>} Rows
+ */
+const parseCsv = (text) => {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") {
+      rows.push(row);
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Quote a field when it would otherwise change the row's shape
+const escapeCsvField = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Format one CSV line
+ * @param {Array} values - Field values, null and undefined become empty
+ * @returns {string} Line ending with CRLF
+ */
+const toCsvRow = (values) => `${values.map(escapeCsvField).join(",")}\r\n`;
+
+module.exports = {
+  parseCsv,
+  toCsvRow,
+};
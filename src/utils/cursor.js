@@ -0,0 +1,205 @@
+/**
+ * Cursor Pagination Utilities
+ * Opaque cursors for keyset pagination. A cursor holds the sort values of
+ * the last item of a page, so the next page starts right after it even if
+ * items were added or removed in the meantime.
+ */
+
+const mongoose = require("mongoose");
+const { ERROR_MESSAGES, PAGINATION } = require("./constants");
+
+/**
+ * Add _id as a final sort key so items with equal sort values keep a
+ * fixed order
+ * @param {Object} sort - Sort object, e.g. { createdAt: -1 }
+ * @returns {Object} Sort object ending with _id
+ */
+const withTiebreaker = (sort = {}) => {
+  if ("_id" in sort) {
+    return sort;
+  }
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions[directions.length - 1] || -1 };
+};
+
+// Read a dotted path such as "gameId.title"
+const getPath = (doc, path) =>
+  path
+    .split(".")
+    .reduce((value, key) => (value == null ? value : value[key]), doc);
+
+// Tag dates and ids so they decode to the same type, aggregation
+// pipelines don't cast filter values
+const encodeValue = (value) => {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return { $date: value.toISOString() };
+  }
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { $oid: value.toString() };
+  }
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === "object") {
+    if (typeof value.$date === "string" && !isNaN(Date.parse(value.$date))) {
+      return new Date(value.$date);
+    }
+    if (mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new Error(ERROR_MESSAGES.VALIDATION_INVALID_CURSOR);
+  }
+  return value;
+};
+
+/**
+ * Encode the position after a document
+ * @param {Object} doc - Last document of the page
+ * @param {Object} sort - Sort object including the tiebreaker
+ * @returns {string} Opaque cursor
+ */
+const encodeCursor = (doc, sort) => {
+  const keys = Object.keys(sort);
+  const payload = {
+    k: keys.join(","),
+    v: keys.map((key) => encodeValue(getPath(doc, key))),
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+};
+
+/**
+ * Decode a cursor made by encodeCursor for the same sort
+ * @param {string} cursor - Opaque cursor
+ * @param {Object} sort - Sort object including the tiebreaker
+ * @returns {Array} Sort values of the last item seen
+ */
+const decodeCursor = (cursor, sort) => {
+  const keys = Object.keys(sort);
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch (error) {
+    throw new Error(ERROR_MESSAGES.VALIDATION_INVALID_CURSOR);
+  }
+
+  // Cursors from another sort order would skip or repeat items
+  if (
+    !payload ||
+    payload.k !== keys.join(",") ||
+    !Array.isArray(payload.v) ||
+    payload.v.length !== keys.length
+  ) {
+    throw new Error(ERROR_MESSAGES.VALIDATION_INVALID_CURSOR);
+  }
+
+  return payload.v.map(decodeValue);
+};
+
+// Condition for values after `value` in the given direction. Missing
+// values sort before everything else, as in MongoDB.
+const afterCondition = (key, value, direction) => {
+  if (value === null) {
+    return direction === 1 ? { [key]: { $ne: null } } : null;
+  }
+  return direction === 1
+    ? { [key]: { $gt: value } }
+    : { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+};
+
+/**
+ * Build the filter for items after the cursor position:
+ * (a > x) or (a = x and b > y) or ... for each sort key
+ * @param {Object} sort - Sort object including the tiebreaker
+ * @param {Array} values - Decoded cursor values
+ * @returns {Object} MongoDB filter
+ */
+const buildCursorFilter = (sort, values) => {
+  const entries = Object.entries(sort);
+  const branches = [];
+
+  entries.forEach(([key, direction], index) => {
+    const after = afterCondition(key, values[index], direction);
+    if (!after) {
+      return;
+    }
+    const equal = entries.slice(0, index).map(([prevKey], prevIndex) => ({
+      [prevKey]: values[prevIndex],
+    }));
+    branches.push(equal.length > 0 ? { $and: [...equal, after] } : after);
+  });
+
+  // Nothing can come after the very last position
+  return branches.length > 0 ? { $or: branches } : { _id: { $exists: false } };
+};
+
+/**
+ * Clamp a requested page size
+ * @param {*} limit - Requested limit
+ * @param {number} fallback - Limit when none is given
+ * @returns {number} Safe limit
+ */
+const parseLimit = (limit, fallback = PAGINATION.DEFAULT_LIMIT) =>
+  Math.min(
+    Math.max(parseInt(limit) || fallback, PAGINATION.MIN_LIMIT),
+    PAGINATION.MAX_LIMIT
+  );
+
+/**
+ * Turn limit + 1 fetched documents into a page and its pagination info
+ * @param {Array} docs - Documents fetched with limit + 1
+ * @param {Object} sort - Sort object including the tiebreaker
+ * @param {number} limit - Page size
+ * @returns {Object} { items, pagination: { limit, hasNextPage, nextCursor } }
+ */
+const buildCursorPage = (docs, sort, limit) => {
+  const hasNextPage = docs.length > limit;
+  const items = hasNextPage ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasNextPage,
+      nextCursor: hasNextPage
+        ? encodeCursor(items[items.length - 1], sort)
+        : null,
+    },
+  };
+};
+
+/**
+ * Fetch one page of a find query in cursor mode
+ * @param {Object} query - Mongoose query with its filter and populates
+ * @param {Object} sort - Sort object
+ * @param {string} cursor - Cursor from the previous page, or "" for the first
+ * @param {*} limit - Requested page size
+ * @returns {Object} { items, pagination: { limit, hasNextPage, nextCursor } }
+ */
+const paginateByCursor = async (query, sort, cursor, limit) => {
+  const keysetSort = withTiebreaker(sort);
+  const safeLimit = parseLimit(limit);
+
+  if (cursor) {
+    // $and keeps any $or already in the query's filter
+    query.and([
+      buildCursorFilter(keysetSort, decodeCursor(cursor, keysetSort)),
+    ]);
+  }
+
+  const docs = await query.sort(keysetSort).limit(safeLimit + 1);
+  return buildCursorPage(docs, keysetSort, safeLimit);
+};
+
+module.exports = {
+  withTiebreaker,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  parseLimit,
+  buildCursorPage,
+  paginateByCursor,
+};
@@ -0,0 +1,256 @@
+/**
+ * Game Filter Utilities
+ * Validates the filters shared by the games listing and the favorites
+ * listing and turns them into MongoDB conditions.
+ */
+
+const { ERROR_MESSAGES, GAMES } = require("./constants");
+const { escapeRegex } = require("./textSearch");
+
+// Multi-value filters. Genres and platforms match partially ("PC" matches
+// "PC (Windows)"), publishers and developers match the whole name.
+const LIST_FILTERS = {
+  genre: { params: ["genre", "category"], exact: false, matchAll: true },
+  platform: { params: ["platform"], exact: false, matchAll: true },
+  publisher: { params: ["publisher"], exact: true, matchAll: false },
+  developer: { params: ["developer"], exact: true, matchAll: false },
+};
+
+const RANGE_PARAMS = [
+  "releaseFrom",
+  "releaseTo",
+  "minRating",
+  "minReviews",
+  "maxMemory",
+  "maxStorage",
+];
+
+// Hardware filters: the most a player has, matched against the parsed
+// minimum requirements
+const HARDWARE_FILTERS = {
+  maxMemory: { condition: "memory", path: "requirements.minimum.memoryGB" },
+  maxStorage: { condition: "storage", path: "requirements.minimum.storageGB" },
+};
+
+// 2020, 2020-06 or 2020-06-15
+const DATE_PATTERN = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+const invalid = (detail) =>
+  new Error(`${ERROR_MESSAGES.VALIDATION_INVALID_FILTER}: ${detail}`);
+
+// Values from repeated (?genre=a&genre=b) or comma-separated parameters
+const readValues = (query, names) => {
+  const values = new Map(); // lowercase -> value, drops duplicates
+
+  names.forEach((name) => {
+    const raw = query[name];
+    if (raw === undefined) return;
+
+    (Array.isArray(raw) ? raw : [raw]).forEach((item) => {
+      if (typeof item !== "string") {
+        throw invalid(`${name} must be text`);
+      }
+      item
+        .split(",")
+        .map((value) => value.trim())
+        .filter(Boolean)
+        .forEach((value) => {
+          if (value.length > GAMES.SEARCH_MAX_LENGTH) {
+            throw invalid(
+              `${name} values cannot exceed ${GAMES.SEARCH_MAX_LENGTH} characters`
+            );
+          }
+          values.set(value.toLowerCase(), value);
+        });
+    });
+  });
+
+  if (values.size > GAMES.MAX_FILTER_VALUES) {
+    throw invalid(
+      `${names[0]} accepts at most ${GAMES.MAX_FILTER_VALUES} values`
+    );
+  }
+  return [...values.values()];
+};
+
+// Start of the given year, month or day, and start of the next one
+const readDate = (query, name) => {
+  const raw = query[name];
+  if (raw === undefined || raw === "") return null;
+
+  const match = typeof raw === "string" && raw.match(DATE_PATTERN);
+  if (!match) {
+    throw invalid(`${name} must be a year, YYYY-MM or YYYY-MM-DD`);
+  }
+
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : 0;
+  const day = match[3] ? Number(match[3]) : 1;
+  const start = new Date(Date.UTC(year, month, day));
+  if (start.getUTCMonth() !== month || start.getUTCDate() !== day) {
+    throw invalid(`${name} is not a valid date`);
+  }
+
+  const next = match[3]
+    ? new Date(Date.UTC(year, month, day + 1))
+    : match[2]
+    ? new Date(Date.UTC(year, month + 1, 1))
+    : new Date(Date.UTC(year + 1, 0, 1));
+
+  return { value: raw, start, next };
+};
+
+const readNumber = (query, name, { min, max, integer }) => {
+  const raw = query[name];
+  if (raw === undefined || raw === "") return null;
+
+  const value = Number(raw);
+  if (
+    typeof raw !== "string" ||
+    !Number.isFinite(value) ||
+    (integer && !Number.isInteger(value)) ||
+    value < min ||
+    value > max
+  ) {
+    throw invalid(
+      `${name} must be ${integer ? "an integer" : "a number"} from ${min}${
+        max === Infinity ? "" : ` to ${max}`
+      }`
+    );
+  }
+  return value;
+};
+
+/**
+ * Check whether a query uses any game filter
+ * @param {Object} query - Request query
+ * @returns {boolean} True if at least one filter parameter is present
+ */
+const hasGameFilters = (query = {}) =>
+  [
+    ...Object.values(LIST_FILTERS).flatMap(({ params }) => [
+      ...params,
+      ...params.map((param) => `-${param}`),
+    ]),
+    ...RANGE_PARAMS,
+  ].some((param) => query[param] !== undefined && query[param] !== "");
+
+/**
+ * Parse and validate game filters:
+ *   genre (or category), platform, publisher, developer - repeated or
+ *     comma-separated values, any of which may match
+ *   genreMatch, platformMatch - "all" to require every value
+ *   -genre, -platform, -publisher, -developer - values to exclude
+ *   releaseFrom, releaseTo - inclusive release date range (year, YYYY-MM
+ *     or YYYY-MM-DD)
+ *   minRating, minReviews - minimum average rating and review count
+ *   maxMemory, maxStorage - GB of RAM and disk space the player has.
+ *     Games that don't list a requirement, browser games mostly, match.
+ * Throws an "Invalid filter: ..." error for malformed values.
+ * @param {Object} query - Request query
+ * @param {string} prefix - Path of the game document, e.g. "gameId."
+ * @returns {Object} { conditions, applied } - conditions keyed by facet
+ *   name (genre, platform, publisher, developer, releaseYear, rating) plus
+ *   reviews, memory and storage, and the normalized filters to echo back
+ */
+const parseGameFilters = (query = {}, prefix = "") => {
+  const conditions = {};
+  const applied = {};
+
+  Object.entries(LIST_FILTERS).forEach(([name, options]) => {
+    const include = readValues(query, options.params);
+    const exclude = readValues(
+      query,
+      options.params.map((param) => `-${param}`)
+    );
+    const match = query[`${name}Match`] || "any";
+    if (
+      !["any", "all"].includes(match) ||
+      (match === "all" && !options.matchAll)
+    ) {
+      throw invalid(
+        options.matchAll
+          ? `${name}Match must be "any" or "all"`
+          : `${name}Match is not supported`
+      );
+    }
+
+    const path = `${prefix}${name}`;
+    const toPattern = (value) =>
+      new RegExp(
+        options.exact ? `^${escapeRegex(value)}$` : escapeRegex(value),
+        "i"
+      );
+
+    const clauses = [];
+    if (include.length > 0 && match === "all") {
+      include.forEach((value) => clauses.push({ [path]: toPattern(value) }));
+    } else if (include.length > 0) {
+      clauses.push({ [path]: { $in: include.map(toPattern) } });
+    }
+    if (exclude.length > 0) {
+      clauses.push({ [path]: { $nin: exclude.map(toPattern) } });
+    }
+
+    if (clauses.length > 0) {
+      conditions[name] = clauses.length === 1 ? clauses[0] : { $and: clauses };
+      applied[name] = {
+        include,
+        exclude,
+        ...(options.matchAll && { match }),
+      };
+    }
+  });
+
+  // Release date range, both ends inclusive
+  const from = readDate(query, "releaseFrom");
+  const to = readDate(query, "releaseTo");
+  if (from && to && from.start >= to.next) {
+    throw invalid("releaseFrom must not be after releaseTo");
+  }
+  if (from || to) {
+    conditions.releaseYear = {
+      [`${prefix}releaseDate`]: {
+        ...(from && { $gte: from.start }),
+        ...(to && { $lt: to.next }),
+      },
+    };
+    applied.releaseDate = {
+      from: from ? from.value : null,
+      to: to ? to.value : null,
+    };
+  }
+
+  const minRating = readNumber(query, "minRating", { min: 0, max: 5 });
+  if (minRating !== null) {
+    conditions.rating = { [`${prefix}averageRating`]: { $gte: minRating } };
+    applied.minRating = minRating;
+  }
+
+  const minReviews = readNumber(query, "minReviews", {
+    min: 0,
+    max: Infinity,
+    integer: true,
+  });
+  if (minReviews !== null) {
+    conditions.reviews = { [`${prefix}totalReviews`]: { $gte: minReviews } };
+    applied.minReviews = minReviews;
+  }
+
+  Object.entries(HARDWARE_FILTERS).forEach(([param, { condition, path }]) => {
+    const value = readNumber(query, param, { min: 0, max: Infinity });
+    if (value !== null) {
+      conditions[condition] = {
+        [`${prefix}${path}`]: { $not: { $gt: value } },
+      };
+      applied[param] = value;
+    }
+  });
+
+  return { conditions, applied };
+};
+
+module.exports = {
+  hasGameFilters,
+  parseGameFilters,
+};
@@ -0,0 +1,67 @@
+/**
+ * Password Hashing Utilities
+ * scrypt-based hashing for local account passwords
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters (N=2^15 uses 32MB per hash)
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MAX_MEMORY = 64 * 1024 * 1024;
+
+// Hash a password, the result encodes its own parameters and salt
+const hashPassword = async (password) => {
+  const { N, r, p } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH, {
+    N,
+    r,
+    p,
+    maxmem: MAX_MEMORY,
+  });
+
+  return [
+    "scrypt",
+    N,
+    r,
+    p,
+    salt.toString("base64"),
+    hash.toString("base64"),
+  ].join("$");
+};
+
+// Check a password against a stored hash in constant time
+const verifyPassword = async (password, storedHash) => {
+  if (!password || !storedHash) {
+    return false;
+  }
+
+  const [scheme, N, r, p, salt, hash] = storedHash.split("$");
+  if (scheme !== "scrypt" || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, "base64");
+  const actual = await scrypt(
+    password,
+    Buffer.from(salt, "base64"),
+    expected.length,
+    {
+      N: Number(N),
+      r: Number(r),
+      p: Number(p),
+      maxmem: MAX_MEMORY,
+    }
+  );
+
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+};
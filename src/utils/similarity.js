@@ -0,0 +1,57 @@
+/**
+ * String Similarity Utilities
+ * Name normalisation and edit-distance similarity, used to spot games
+ * that were entered twice with small differences.
+ */
+
+/**
+ * Reduce a name to lowercase letters and digits, so "WarFrame " and
+ * "Warframe™" compare equal
+ * @param {string} value - Title, developer or publisher
+ * @returns {string} Normalised name
+ */
+const normalizeName = (value) =>
+  String(value || "")
+    .replace(/[\u00a9\u00ae\u2122]/g, "") // (c), (r) and TM signs
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // Accents
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z0-9]/g, "");
+
+// Edit distance between two strings, keeping a single row of the table
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Similarity of two normalised names, from 0 (nothing in common) to 1
+ * (equal)
+ * @param {string} a - Normalised name
+ * @param {string} b - Normalised name
+ * @returns {number} Similarity
+ */
+const similarity = (a, b) => {
+  if (a === b) return 1;
+  const length = Math.max(a.length, b.length);
+  return 1 - levenshtein(a, b) / length;
+};
+
+module.exports = {
+  normalizeName,
+  similarity,
+};
@@ -0,0 +1,225 @@
+/**
+ * System Requirement Utilities
+ * Turns free-text system requirements ("8 GB RAM", "Windows 10 64-bit")
+ * into numbers that can be filtered on, and compares them with a player's
+ * hardware.
+ */
+
+// Bump when parsing changes, so saved games are parsed again
+const PARSER_VERSION = 1;
+
+// Names each operating system family goes by, global to find every mention
+const OS_FAMILIES = [
+  { family: "windows", pattern: /\bwin(?:dows)?(?=\b|\d)/gi },
+  { family: "macos", pattern: /\b(?:mac\s?os(?:\s?x)?|os\s?x|mac)\b/gi },
+  {
+    family: "linux",
+    pattern: /\b(?:linux|ubuntu|steam\s?os|debian|fedora)\b/gi,
+  },
+];
+
+// Windows releases known by name rather than number
+const WINDOWS_VERSIONS = { xp: "5.1", vista: "6" };
+
+const CORE_WORDS = { dual: 2, quad: 4, hexa: 6, six: 6, octa: 8, eight: 8 };
+
+/**
+ * Read the first size in a text, in GB ("512 MB" -> 0.5, "1 TB" -> 1024)
+ * @param {string} text - Requirement text
+ * @returns {number|null} Size in GB, null if none is given
+ */
+const parseSize = (text) => {
+  const match = String(text || "")
+    .replace(/(\d),(\d{3})\b/g, "$1$2") // 1,024 MB
+    .replace(/(\d),(\d)/g, "$1.$2") // 1,5 GB
+    .match(/(\d+(?:\.\d+)?)\s*(tb|gb|mb)\b/i);
+  if (!match) return null;
+
+  const factors = { tb: 1024, gb: 1, mb: 1 / 1024 };
+  const size = Number(match[1]) * factors[match[2].toLowerCase()];
+  return Math.round(size * 100) / 100;
+};
+
+/**
+ * Read the operating systems a requirement names, each with the lowest
+ * version it mentions ("Windows 7/8/10 64-bit" -> windows 7,
+ * "Windows 11 / Windows 10" -> windows 10)
+ * @param {string} text - OS requirement
+ * @returns {Array} [{ family, version }], version null when not given
+ */
+const parseOS = (text) => {
+  // Drop bit widths and service packs, "64-bit" and "SP1" aren't versions
+  const clean = String(text || "")
+    .replace(/\b(?:x?(?:32|64|86))[\s-]*(?:bits?)?\b/gi, " ")
+    .replace(/\b(?:sp|service\s?pack)\s?\d+\b/gi, " ");
+
+  const mentions = OS_FAMILIES.flatMap(({ family, pattern }) =>
+    [...clean.matchAll(pattern)].map((match) => ({
+      family,
+      index: match.index,
+      end: match.index + match[0].length,
+    }))
+  ).sort((a, b) => a.index - b.index);
+
+  // One entry per family, in the order they're first named
+  const versions = new Map();
+  mentions.forEach(({ family, end }, position) => {
+    // Versions follow the name, up to the next system mentioned
+    const next = mentions[position + 1];
+    const rest = clean.slice(end, next ? next.index : undefined);
+    const found = versions.get(family) || [];
+
+    if (family === "windows") {
+      for (const match of rest.matchAll(
+        /\b(xp|vista)\b|\b(\d+(?:\.\d+)?)\b/gi
+      )) {
+        found.push(
+          match[1] ? WINDOWS_VERSIONS[match[1].toLowerCase()] : match[2]
+        );
+      }
+    } else if (family === "macos") {
+      for (const match of rest.matchAll(/\b(\d+(?:\.\d+)*)\b/g)) {
+        found.push(match[1]);
+      }
+    }
+    // Linux distributions don't share version numbers
+
+    versions.set(family, found);
+  });
+
+  return [...versions].map(([family, found]) => ({
+    family,
+    version: found.length
+      ? found.reduce((lowest, version) =>
+          compareVersions(version, lowest) < 0 ? version : lowest
+        )
+      : null,
+  }));
+};
+
+/**
+ * Read a processor's clock speed in GHz and core count
+ * @param {string} text - Processor requirement
+ * @returns {Object} { ghz, cores }, each null when not given
+ */
+const parseProcessor = (text) => {
+  const value = String(text || "");
+
+  const ghz = value.match(/(\d+(?:[.,]\d+)?)\s*ghz/i);
+  const mhz = value.match(/(\d+)\s*mhz/i);
+  const cores = value.match(
+    /\b(\d+|dual|quad|hexa|six|octa|eight)[\s-]*cores?\b/i
+  );
+
+  let coreCount = null;
+  if (cores) {
+    const word = cores[1].toLowerCase();
+    coreCount = CORE_WORDS[word] || Number(word);
+  }
+
+  return {
+    ghz: ghz
+      ? Number(ghz[1].replace(",", "."))
+      : mhz
+      ? Math.round(Number(mhz[1]) / 10) / 100
+      : null,
+    cores: coreCount,
+  };
+};
+
+/**
+ * Parse one level (minimum or recommended) of free-text requirements
+ * @param {Object} text - os, processor, memory, graphics and storage texts
+ * @returns {Object} Structured requirements, see the Game model
+ */
+const parseRequirements = ({ os, processor, memory, graphics, storage }) => {
+  const cpu = parseProcessor(processor);
+  return {
+    os: parseOS(os),
+    processorGHz: cpu.ghz,
+    processorCores: cpu.cores,
+    memoryGB: parseSize(memory),
+    graphicsMemoryGB: parseSize(graphics),
+    storageGB: parseSize(storage),
+  };
+};
+
+// -1, 0 or 1, comparing dotted version numbers ("10.13" > "10.9")
+const compareVersions = (a, b) => {
+  const left = String(a).split(".").map(Number);
+  const right = String(b).split(".").map(Number);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const difference = (left[i] || 0) - (right[i] || 0);
+    if (difference !== 0) return difference > 0 ? 1 : -1;
+  }
+  return 0;
+};
+
+// Combine results: any fail fails, otherwise any unknown is unknown
+const combine = (results) =>
+  results.includes("fail")
+    ? "fail"
+    : results.includes("unknown")
+    ? "unknown"
+    : "pass";
+
+// Compare numbers a requirement asks for with what the player has
+const checkValues = (pairs) =>
+  combine(
+    pairs
+      .filter(([required]) => required !== null && required !== undefined)
+      .map(([required, provided]) =>
+        provided === null || provided === undefined
+          ? "unknown"
+          : provided >= required
+          ? "pass"
+          : "fail"
+      )
+  );
+
+const checkOS = (required, provided) => {
+  if (!required || required.length === 0) return "pass";
+  if (!provided) return "unknown";
+
+  const match = required.find(({ family }) => family === provided.family);
+  if (!match) return "fail";
+  if (!match.version) return "pass";
+  if (!provided.version) return "unknown";
+  return compareVersions(provided.version, match.version) >= 0
+    ? "pass"
+    : "fail";
+};
+
+/**
+ * Check a player's hardware against one level of structured requirements.
+ * Components a game doesn't list pass, and ones the player didn't
+ * describe are "unknown".
+ * @param {Object} requirements - Structured requirements
+ * @param {Object} profile - os ({ family, version }), processorGHz,
+ *   processorCores, memoryGB, graphicsMemoryGB and storageGB
+ * @returns {Object} "pass", "fail" or "unknown" per component
+ */
+const checkRequirements = (requirements, profile) => {
+  const level = requirements || {};
+  return {
+    os: checkOS(level.os, profile.os),
+    processor: checkValues([
+      [level.processorGHz, profile.processorGHz],
+      [level.processorCores, profile.processorCores],
+    ]),
+    memory: checkValues([[level.memoryGB, profile.memoryGB]]),
+    graphics: checkValues([[level.graphicsMemoryGB, profile.graphicsMemoryGB]]),
+    storage: checkValues([[level.storageGB, profile.storageGB]]),
+  };
+};
+
+module.exports = {
+  PARSER_VERSION,
+  parseSize,
+  parseOS,
+  parseProcessor,
+  parseRequirements,
+  compareVersions,
+  combine,
+  checkRequirements,
+};
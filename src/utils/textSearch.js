@@ -0,0 +1,64 @@
+/**
+ * Text Search Utilities
+ * Turns user input into a safe MongoDB $text search string and escapes
+ * values used in regular expressions.
+ */
+
+const { GAMES } = require("./constants");
+
+const MAX_TERMS = 10;
+
+// Escape a value for use inside a RegExp
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Remove characters with a meaning in $text syntax from a term or phrase
+const cleanToken = (value) =>
+  value.replace(/["\\]/g, " ").replace(/^-+/, "").replace(/\s+/g, " ").trim();
+
+/**
+ * Build a $text $search string from user input. Supports "exact phrases"
+ * and -negated terms or phrases; any other quote or backslash is dropped.
+ * Returns null when there is nothing to search for, since $text needs at
+ * least one term that isn't negated.
+ * @param {string} input - Raw search input
+ * @returns {string|null} $search string
+ */
+const buildTextSearch = (input) => {
+  if (!input || typeof input !== "string") {
+    return null;
+  }
+
+  const text = input.slice(0, GAMES.SEARCH_MAX_LENGTH);
+  const pattern = /(-?)"([^"]*)"|(-?)([^\s"]+)/g;
+  const tokens = [];
+
+  for (const match of text.matchAll(pattern)) {
+    const isPhrase = match[2] !== undefined;
+    const negated = (isPhrase ? match[1] : match[3]) === "-";
+    const value = cleanToken(isPhrase ? match[2] : match[4]);
+    if (!value) {
+      continue;
+    }
+
+    if (isPhrase) {
+      tokens.push({ token: `"${value}"`, negated });
+    } else {
+      value.split(" ").forEach((word) => tokens.push({ token: word, negated }));
+    }
+  }
+
+  const limited = tokens.slice(0, MAX_TERMS);
+  if (!limited.some((t) => !t.negated)) {
+    return null;
+  }
+
+  return limited
+    .map(({ token, negated }) => (negated ? `-${token}` : token))
+    .join(" ");
+};
+
+module.exports = {
+  escapeRegex,
+  buildTextSearch,
+};
@@ -0,0 +1,43 @@
+const express = require("express");
+const request = require("supertest");
+const {
+  gameImportUpload,
+  handleMulterError,
+} = require("../../src/middleware/upload");
+const { GAME_TRANSFER } = require("../../src/utils/constants");
+
+// The upload chain of the admin import route
+const app = express();
+app.post(
+  "/import",
+  gameImportUpload,
+  express.text({ type: "text/csv", limit: GAME_TRANSFER.MAX_FILE_SIZE }),
+  handleMulterError,
+  (req, res) => res.json({ success: true })
+);
+
+const tooLarge = Buffer.alloc(GAME_TRANSFER.MAX_FILE_SIZE + 1, "a");
+const message = `File too large. Maximum size is ${
+  GAME_TRANSFER.MAX_FILE_SIZE / (1024 * 1024)
+} MB.`;
+
+describe("Import upload size limit", () => {
+  it("names the import limit for a file upload", async () => {
+    const res = await request(app)
+      .post("/import")
+      .attach("file", tooLarge, "games.csv");
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(message);
+  });
+
+  it("names the same limit for a raw body", async () => {
+    const res = await request(app)
+      .post("/import")
+      .set("Content-Type", "text/csv")
+      .send(tooLarge.toString());
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(message);
+  });
+});
@@ -0,0 +1,61 @@
+const Game = require("../../src/models/Game");
+const { PARSER_VERSION } = require("../../src/utils/systemRequirements");
+
+const gameFields = {
+  title: "Browser Game",
+  slug: "browser-game",
+  description: "Plays in a browser",
+  shortDescription: "Browser game",
+  thumbnail: "https://example.com/thumb.png",
+  gameUrl: "https://example.com/play",
+  genre: ["Puzzle"],
+  platform: ["Web"],
+  releaseDate: new Date("2020-01-01"),
+  developer: "Dev",
+  publisher: "Pub",
+};
+
+describe("Game requirements parsing", () => {
+  beforeEach(() => {
+    jest
+      .spyOn(Game, "generateSlug")
+      .mockImplementation(async () => gameFields.slug);
+  });
+
+  it("parses the requirements of a new game", async () => {
+    const game = new Game({ ...gameFields, minMemory: "4 GB RAM" });
+    await game.validate();
+
+    expect(game.requirements.minimum.memoryGB).toBe(4);
+    expect(game.requirements.parserVersion).toBe(PARSER_VERSION);
+  });
+
+  it("doesn't parse again a game without requirements", async () => {
+    const game = Game.hydrate({
+      _id: "64b000000000000000000001",
+      ...gameFields,
+      requirements: {
+        minimum: null,
+        recommended: null,
+        parserVersion: PARSER_VERSION,
+      },
+    });
+    await game.validate();
+
+    expect(game.isModified("requirements")).toBe(false);
+  });
+
+  it("parses games saved by an older parser", async () => {
+    const game = Game.hydrate({
+      _id: "64b000000000000000000002",
+      ...gameFields,
+      minStorage: "2 GB",
+      requirements: { minimum: null, recommended: null },
+    });
+    await game.validate();
+
+    expect(game.requirements.minimum.storageGB).toBe(2);
+    expect(game.requirements.parserVersion).toBe(PARSER_VERSION);
+    expect(game.isModified("requirements")).toBe(true);
+  });
+});
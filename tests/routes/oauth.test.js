@@ -0,0 +1,434 @@
+const http = require("http");
+const crypto = require("crypto");
+const request = require("supertest");
+const sift = require("sift").default;
+const User = require("../../src/models/User");
+const AuthCode = require("../../src/models/AuthCode");
+const RevokedToken = require("../../src/models/RevokedToken");
+const TokenService = require("../../src/services/tokenService");
+const AuthCodeService = require("../../src/services/authCodeService");
+
+const CLIENT_URL = "http://client.test";
+const CLIENT_ID = "fake-client-id";
+const CLIENT_SECRET = "fake-client-secret";
+
+// A GitHub-style OAuth provider: the account it signs in as is whatever the
+// test puts in provider.account
+const provider = {
+  account: null,
+  codes: new Map(), // code -> { account, redirectUri }
+  tokens: new Map(), // access token -> account
+};
+
+const readBody = (req) =>
+  new Promise((resolve) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => resolve(new URLSearchParams(body)));
+  });
+
+const sendJson = (res, status, json) => {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(json));
+};
+
+const fakeProvider = http.createServer(async (req, res) => {
+  const url = new URL(req.url, "http://localhost");
+
+  if (url.pathname === "/authorize") {
+    const redirectUri = url.searchParams.get("redirect_uri");
+    if (url.searchParams.get("client_id") !== CLIENT_ID || !redirectUri) {
+      return sendJson(res, 400, { error: "invalid_request" });
+    }
+    const code = crypto.randomBytes(8).toString("hex");
+    provider.codes.set(code, { account: provider.account, redirectUri });
+    const callback = new URL(redirectUri);
+    callback.searchParams.set("code", code);
+    callback.searchParams.set("state", url.searchParams.get("state"));
+    res.writeHead(302, { Location: callback.toString() });
+    return res.end();
+  }
+
+  if (url.pathname === "/token" && req.method === "POST") {
+    const body = await readBody(req);
+    const grant = provider.codes.get(body.get("code"));
+    provider.codes.delete(body.get("code"));
+    if (
+      !grant ||
+      body.get("client_id") !== CLIENT_ID ||
+      body.get("client_secret") !== CLIENT_SECRET ||
+      body.get("redirect_uri") !== grant.redirectUri
+    ) {
+      return sendJson(res, 400, { error: "invalid_grant" });
+    }
+    const accessToken = crypto.randomBytes(8).toString("hex");
+    provider.tokens.set(accessToken, grant.account);
+    return sendJson(res, 200, {
+      access_token: accessToken,
+      token_type: "bearer",
+    });
+  }
+
+  const token = (req.headers.authorization || "").replace("Bearer ", "");
+  const account = provider.tokens.get(token);
+  if (!account) {
+    return sendJson(res, 401, { message: "Bad credentials" });
+  }
+  if (url.pathname === "/user") {
+    return sendJson(res, 200, {
+      id: account.id,
+      login: account.login,
+      name: account.name,
+      avatar_url: null,
+    });
+  }
+  if (url.pathname === "/user/emails") {
+    return sendJson(res, 200, [
+      { email: account.email, primary: true, verified: true },
+    ]);
+  }
+  return sendJson(res, 404, { message: "Not Found" });
+});
+
+// In-memory collections standing in for MongoDB
+let users;
+let authCodes;
+
+// A query that resolves to value, whatever is chained on it
+const mockQuery = (value) => {
+  const query = {
+    select: () => query,
+    setOptions: () => query,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return query;
+};
+
+const findIn = (collection, filter) => collection.filter(sift(filter));
+
+const saveUser = (user) => {
+  users = users.filter((stored) => !stored._id.equals(user._id));
+  users.push(user.toObject());
+};
+
+const createUser = (fields) => {
+  const user = new User({
+    name: "Existing User",
+    username: `user${users.length}`,
+    email: `user${users.length}@example.com`,
+    emailVerified: true,
+    ...fields,
+  });
+  saveUser(user);
+  return user;
+};
+
+const authHeader = (user) => `Bearer ${TokenService.generateAccessToken(user)}`;
+
+// Follow a redirect to the fake provider and back to the API callback,
+// returning the callback's response
+const signInWithProvider = async (app, startPath, account) => {
+  provider.account = account;
+
+  const start = await request(app).get(startPath);
+  expect(start.status).toBe(302);
+
+  const authorize = await fetch(start.headers.location, {
+    redirect: "manual",
+  });
+  expect(authorize.status).toBe(302);
+
+  const callback = new URL(authorize.headers.get("location"));
+  return request(app).get(callback.pathname + callback.search);
+};
+
+const githubAccount = {
+  id: 4242,
+  login: "octo",
+  name: "Octo Cat",
+  email: "octo@example.com",
+};
+
+describe("OAuth sign-in with a fake provider", () => {
+  let app;
+
+  beforeAll(async () => {
+    await new Promise((resolve) => fakeProvider.listen(0, resolve));
+    const providerURL = `http://127.0.0.1:${fakeProvider.address().port}`;
+
+    process.env.CLIENT_URL = CLIENT_URL;
+    process.env.GITHUB_CLIENT_ID = CLIENT_ID;
+    process.env.GITHUB_CLIENT_SECRET = CLIENT_SECRET;
+    process.env.GITHUB_AUTHORIZATION_URL = `${providerURL}/authorize`;
+    process.env.GITHUB_TOKEN_URL = `${providerURL}/token`;
+    process.env.GITHUB_PROFILE_URL = `${providerURL}/user`;
+    process.env.GITHUB_EMAILS_URL = `${providerURL}/user/emails`;
+    process.env.GITHUB_CALLBACK_URL =
+      "http://api.test/api/auth/github/callback";
+
+    // Strategies are registered when the app loads, so it must come after
+    // the provider environment
+    app = require("../../src/app");
+  });
+
+  afterAll(() => new Promise((resolve) => fakeProvider.close(resolve)));
+
+  beforeEach(() => {
+    users = [];
+    authCodes = [];
+    provider.codes.clear();
+    provider.tokens.clear();
+
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest
+      .spyOn(User, "findOne")
+      .mockImplementation((filter) =>
+        mockQuery(
+          findIn(users, filter).map((doc) => User.hydrate(doc))[0] || null
+        )
+      );
+    jest
+      .spyOn(User, "findById")
+      .mockImplementation((id) =>
+        mockQuery(
+          findIn(users, { _id: id }).map((doc) => User.hydrate(doc))[0] || null
+        )
+      );
+    jest.spyOn(User.prototype, "save").mockImplementation(function () {
+      saveUser(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(AuthCode, "create").mockImplementation(async (fields) => {
+      const authCode = new AuthCode(fields);
+      authCodes.push(authCode.toObject());
+      return authCode;
+    });
+    jest
+      .spyOn(AuthCode, "findOneAndUpdate")
+      .mockImplementation(async (filter, update) => {
+        const [stored] = findIn(authCodes, filter);
+        if (!stored) {
+          return null;
+        }
+        Object.assign(stored, update);
+        return AuthCode.hydrate(stored);
+      });
+    jest.spyOn(RevokedToken, "exists").mockResolvedValue(null);
+  });
+
+  describe("sign-in", () => {
+    it("creates an account for a new provider identity", async () => {
+      const res = await signInWithProvider(
+        app,
+        "/api/auth/github",
+        githubAccount
+      );
+
+      expect(res.status).toBe(302);
+      const redirect = new URL(res.headers.location);
+      expect(redirect.origin + redirect.pathname).toBe(
+        `${CLIENT_URL}/auth/callback`
+      );
+
+      const user = await AuthCodeService.redeemCode(
+        redirect.searchParams.get("code")
+      );
+      expect(user.email).toBe("octo@example.com");
+      expect(user.emailVerified).toBe(true);
+      expect(user.identities.map((i) => [i.provider, i.providerId])).toEqual([
+        ["github", "4242"],
+      ]);
+      expect(users).toHaveLength(1);
+    });
+
+    it("signs in to the account already linked to the identity", async () => {
+      const existing = createUser({
+        email: "someone@example.com",
+        identities: [{ provider: "github", providerId: "4242" }],
+      });
+
+      const res = await signInWithProvider(
+        app,
+        "/api/auth/github",
+        githubAccount
+      );
+
+      const code = new URL(res.headers.location).searchParams.get("code");
+      const user = await AuthCodeService.redeemCode(code);
+      expect(user._id.equals(existing._id)).toBe(true);
+      expect(users).toHaveLength(1);
+    });
+
+    it("redirects to the login page when the provider rejects the code", async () => {
+      const start = await request(app).get("/api/auth/github");
+      const state = new URL(start.headers.location).searchParams.get("state");
+
+      const res = await request(app).get(
+        `/api/auth/github/callback?code=forged&state=${encodeURIComponent(
+          state
+        )}`
+      );
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toBe(
+        `${CLIENT_URL}/login?error=Authentication%20failed`
+      );
+      expect(users).toHaveLength(0);
+    });
+  });
+
+  describe("linking", () => {
+    // Start linking as user and come back from the provider with a link_code
+    const getLinkCode = async (user, account) => {
+      const link = await request(app)
+        .post("/api/auth/identities/github/link")
+        .set("Authorization", authHeader(user));
+      expect(link.status).toBe(200);
+
+      const res = await signInWithProvider(app, link.body.data.url, account);
+      expect(res.status).toBe(302);
+      const redirect = new URL(res.headers.location);
+      expect(redirect.pathname).toBe("/settings/accounts");
+      expect(redirect.searchParams.get("provider")).toBe("github");
+      return redirect.searchParams.get("link_code");
+    };
+
+    it("links the provider once the initiating user redeems the code", async () => {
+      const user = createUser({ passwordHash: "hash" });
+      const linkCode = await getLinkCode(user, githubAccount);
+
+      // Nothing is linked until the code is redeemed
+      expect(users[0].identities).toHaveLength(0);
+
+      const res = await request(app)
+        .post("/api/auth/identities/github/link/complete")
+        .set("Authorization", authHeader(user))
+        .send({ code: linkCode });
+
+      expect(res.status).toBe(200);
+      expect(
+        users[0].identities.map((i) => [i.provider, i.providerId, i.email])
+      ).toEqual([["github", "4242", "octo@example.com"]]);
+    });
+
+    it("rejects a link code redeemed by another user", async () => {
+      const user = createUser({ passwordHash: "hash" });
+      const other = createUser({ passwordHash: "hash" });
+      const linkCode = await getLinkCode(user, githubAccount);
+
+      const res = await request(app)
+        .post("/api/auth/identities/github/link/complete")
+        .set("Authorization", authHeader(other))
+        .send({ code: linkCode });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Invalid link code");
+      expect(users.every((stored) => stored.identities.length === 0)).toBe(
+        true
+      );
+
+      // The code was consumed by the failed attempt
+      const retry = await request(app)
+        .post("/api/auth/identities/github/link/complete")
+        .set("Authorization", authHeader(user))
+        .send({ code: linkCode });
+      expect(retry.status).toBe(400);
+    });
+
+    it("refuses a provider account linked to another user", async () => {
+      createUser({ identities: [{ provider: "github", providerId: "4242" }] });
+      const user = createUser({ passwordHash: "hash" });
+      const linkCode = await getLinkCode(user, githubAccount);
+
+      const res = await request(app)
+        .post("/api/auth/identities/github/link/complete")
+        .set("Authorization", authHeader(user))
+        .send({ code: linkCode });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toBe("Cannot link provider");
+      expect(users[1].identities).toHaveLength(0);
+    });
+  });
+
+  describe("unlinking", () => {
+    const unlink = (user) =>
+      request(app)
+        .delete("/api/auth/identities/github")
+        .set("Authorization", authHeader(user));
+
+    it("unlinks a provider when a password remains", async () => {
+      const user = createUser({
+        passwordHash: "hash",
+        identities: [{ provider: "github", providerId: "4242" }],
+      });
+
+      const res = await unlink(user);
+
+      expect(res.status).toBe(200);
+      expect(users[0].identities).toHaveLength(0);
+    });
+
+    it("unlinks a provider when another provider remains", async () => {
+      const user = createUser({
+        identities: [
+          { provider: "github", providerId: "4242" },
+          { provider: "discord", providerId: "99" },
+        ],
+      });
+
+      const res = await unlink(user);
+
+      expect(res.status).toBe(200);
+      expect(users[0].identities.map((i) => i.provider)).toEqual(["discord"]);
+    });
+
+    it("keeps the last sign-in method", async () => {
+      const user = createUser({
+        identities: [{ provider: "github", providerId: "4242" }],
+      });
+
+      const res = await unlink(user);
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Cannot unlink provider");
+      expect(users[0].identities).toHaveLength(1);
+    });
+
+    it("returns 404 for a provider that is not linked", async () => {
+      const user = createUser({ passwordHash: "hash" });
+
+      const res = await unlink(user);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  it("signs in with an account linked through the flow", async () => {
+    const user = createUser({ passwordHash: "hash" });
+    const link = await request(app)
+      .post("/api/auth/identities/github/link")
+      .set("Authorization", authHeader(user));
+    const linked = await signInWithProvider(
+      app,
+      link.body.data.url,
+      githubAccount
+    );
+    await request(app)
+      .post("/api/auth/identities/github/link/complete")
+      .set("Authorization", authHeader(user))
+      .send({
+        code: new URL(linked.headers.location).searchParams.get("link_code"),
+      });
+
+    const res = await signInWithProvider(
+      app,
+      "/api/auth/github",
+      githubAccount
+    );
+
+    const code = new URL(res.headers.location).searchParams.get("code");
+    const signedIn = await AuthCodeService.redeemCode(code);
+    expect(signedIn._id.equals(user._id)).toBe(true);
+  });
+});
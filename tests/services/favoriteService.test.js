@@ -0,0 +1,77 @@
+const mongoose = require("mongoose");
+const Favorite = require("../../src/models/Favorite");
+const Game = require("../../src/models/Game");
+const FavoriteService = require("../../src/services/favoriteService");
+
+const userId = new mongoose.Types.ObjectId();
+const trashedId = new mongoose.Types.ObjectId();
+
+// A find query that resolves to the given documents
+const mockQuery = (docs) => {
+  const query = {
+    populate: () => query,
+    sort: () => query,
+    skip: () => query,
+    limit: () => query,
+    then: (resolve, reject) => Promise.resolve(docs).then(resolve, reject),
+  };
+  return query;
+};
+
+describe("FavoriteService.getUserFavorites", () => {
+  it("leaves trashed games out before paginating and counting", async () => {
+    jest.spyOn(Game, "distinct").mockResolvedValue([trashedId]);
+    const find = jest.spyOn(Favorite, "find").mockReturnValue(mockQuery([]));
+    const count = jest.spyOn(Favorite, "countDocuments").mockResolvedValue(0);
+
+    await FavoriteService.getUserFavorites(userId, 1, 20);
+
+    const filter = { userId, gameId: { $nin: [trashedId] } };
+    expect(find).toHaveBeenCalledWith(filter);
+    expect(count).toHaveBeenCalledWith(filter);
+  });
+});
+
+describe("FavoriteService.getFilteredFavorites", () => {
+  it("leaves trashed games out before paginating and counting", async () => {
+    const aggregate = jest
+      .spyOn(Favorite, "aggregate")
+      .mockResolvedValueOnce([{ _id: "f1", gameId: { title: "A" } }])
+      .mockResolvedValueOnce([{ total: 21 }]);
+
+    const result = await FavoriteService.getFilteredFavorites(
+      userId,
+      {},
+      1,
+      20
+    );
+
+    const [pipeline] = aggregate.mock.calls[0];
+    const trashed = pipeline.findIndex(
+      (stage) => stage.$match && "gameId.deletedAt" in stage.$match
+    );
+    const skip = pipeline.findIndex((stage) => "$skip" in stage);
+    expect(trashed).toBeGreaterThan(-1);
+    expect(trashed).toBeLessThan(skip);
+
+    const [countPipeline] = aggregate.mock.calls[1];
+    expect(countPipeline[trashed]).toEqual(pipeline[trashed]);
+    expect(result.pagination.totalFavorites).toBe(21);
+    expect(result.pagination.hasNextPage).toBe(true);
+  });
+
+  it("matches the search text literally", async () => {
+    const aggregate = jest
+      .spyOn(Favorite, "aggregate")
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([]);
+
+    await FavoriteService.getFilteredFavorites(userId, { search: "(a+)+$" });
+
+    const [pipeline] = aggregate.mock.calls[0];
+    const search = pipeline.find((stage) => stage.$match && stage.$match.$and)
+      .$match.$and[0].$or[0]["gameId.title"];
+    expect(search.test("Game (a+)+$ edition")).toBe(true);
+    expect(search.test("aaaa")).toBe(false);
+  });
+});
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const Game = require("../../src/models/Game");
+const ReviewService = require("../../src/services/reviewService");
+const GameRevisionService = require("../../src/services/gameRevisionService");
+const GameMediaService = require("../../src/services/gameMediaService");
+const autocompleteService = require("../../src/services/autocompleteService");
+const GameMergeService = require("../../src/services/gameMergeService");
+
+const gameFields = {
+  genre: ["Puzzle"],
+  platform: ["Web"],
+  status: "published",
+};
+
+describe("GameMergeService.mergeGames", () => {
+  let duplicate;
+  let canonical;
+  let merged;
+  let updates;
+  let record;
+
+  beforeEach(() => {
+    duplicate = Game.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      ...gameFields,
+      title: "Puzzle Game (copy)",
+      slug: "puzzle-game-copy",
+      externalId: "200",
+      externalIdAliases: ["300"],
+    });
+    canonical = Game.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      ...gameFields,
+      title: "Puzzle Game",
+      slug: "puzzle-game",
+      externalId: "100",
+      inPlayersFavorites: 1,
+    });
+    // The canonical game as the merge leaves it
+    merged = Game.hydrate({
+      ...canonical.toObject(),
+      mergedIds: [duplicate._id],
+      slugAliases: ["puzzle-game-copy"],
+      externalIdAliases: ["200", "300"],
+      inPlayersFavorites: 3,
+    });
+
+    jest
+      .spyOn(Game, "findById")
+      .mockImplementation(async (id) =>
+        id.equals(duplicate._id)
+          ? duplicate
+          : updates.length > 1
+          ? merged
+          : canonical
+      );
+    updates = [];
+    jest.spyOn(Game, "updateOne").mockImplementation(async (filter, update) => {
+      updates.push(update);
+      return { matchedCount: 1 };
+    });
+    jest.spyOn(Game, "findByIdAndDelete").mockResolvedValue(duplicate);
+    jest
+      .spyOn(GameMergeService, "moveUserDocuments")
+      .mockResolvedValue({ moved: 0, dropped: 0 });
+    jest.spyOn(ReviewService, "updateGameRating").mockResolvedValue();
+    jest.spyOn(GameMediaService, "removeFiles").mockResolvedValue(0);
+    jest.spyOn(autocompleteService, "refresh").mockImplementation(() => {});
+    record = jest.spyOn(GameRevisionService, "record").mockResolvedValue(null);
+    jest
+      .spyOn(require("../../src/models/Favorite"), "countDocuments")
+      .mockResolvedValue(3);
+  });
+
+  it("keeps the duplicate's catalogue ids as aliases", async () => {
+    await GameMergeService.mergeGames(duplicate._id, canonical._id);
+
+    const [, final] = updates;
+    expect(final.$set.externalId).toBeUndefined();
+    expect(final.$addToSet).toEqual({
+      externalIdAliases: { $each: ["200", "300"] },
+    });
+  });
+
+  it("gives the canonical game the duplicate's id when it has none", async () => {
+    canonical.externalId = undefined;
+
+    await GameMergeService.mergeGames(duplicate._id, canonical._id);
+
+    const [, final] = updates;
+    expect(final.$set.externalId).toBe("200");
+    expect(final.$addToSet).toEqual({
+      externalIdAliases: { $each: ["300"] },
+    });
+  });
+
+  it("records a merge revision on the canonical game", async () => {
+    const author = new mongoose.Types.ObjectId();
+
+    await GameMergeService.mergeGames(duplicate._id, canonical._id, author);
+
+    expect(record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        gameId: duplicate._id,
+        action: "delete",
+        source: "merge",
+      })
+    );
+    expect(record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        gameId: canonical._id,
+        action: "merge",
+        source: "merge",
+        author,
+        mergedFrom: duplicate._id,
+        otherChanges: expect.arrayContaining([
+          { field: "mergedIds", from: [], to: [duplicate._id.toString()] },
+          {
+            field: "slugAliases",
+            from: [],
+            to: ["puzzle-game-copy"],
+          },
+          {
+            field: "externalIdAliases",
+            from: [],
+            to: ["200", "300"],
+          },
+          { field: "inPlayersFavorites", from: 1, to: 3 },
+        ]),
+      })
+    );
+  });
+});
@@ -0,0 +1,93 @@
+const mongoose = require("mongoose");
+const Game = require("../../src/models/Game");
+const autocompleteService = require("../../src/services/autocompleteService");
+const GameRevisionService = require("../../src/services/gameRevisionService");
+const GamePublicationService = require("../../src/services/gamePublicationService");
+
+const gameFields = {
+  title: "Scheduled Game",
+  slug: "scheduled-game",
+  genre: ["Puzzle"],
+  platform: ["Web"],
+};
+
+describe("GamePublicationService", () => {
+  let record;
+
+  beforeEach(() => {
+    record = jest.spyOn(GameRevisionService, "record").mockResolvedValue(null);
+    jest.spyOn(autocompleteService, "refresh").mockImplementation(() => {});
+  });
+
+  it("records a status change in the game's revisions", async () => {
+    const game = Game.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      ...gameFields,
+      status: "draft",
+    });
+    jest.spyOn(Game, "findById").mockResolvedValue(game);
+    jest.spyOn(game, "save").mockResolvedValue(game);
+    const author = new mongoose.Types.ObjectId();
+
+    await GamePublicationService.setStatus(
+      game._id,
+      { status: "published" },
+      author
+    );
+
+    expect(record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        gameId: game._id,
+        action: "update",
+        author,
+        before: expect.objectContaining({ status: "draft" }),
+        after: expect.objectContaining({ status: "published" }),
+      })
+    );
+  });
+
+  it("publishes due games one at a time and records each", async () => {
+    const publishAt = new Date(Date.now() - 1000);
+    const published = Game.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      ...gameFields,
+      status: "scheduled",
+      publishAt,
+    });
+    const takenByAnother = new mongoose.Types.ObjectId();
+    jest.spyOn(Game, "find").mockReturnValue({
+      select: () => ({
+        setOptions: () => ({
+          lean: async () => [{ _id: published._id }, { _id: takenByAnother }],
+        }),
+      }),
+    });
+    const update = jest
+      .spyOn(Game, "findOneAndUpdate")
+      .mockResolvedValueOnce(published)
+      .mockResolvedValueOnce(null);
+
+    const count = await GamePublicationService.publishDue();
+
+    expect(count).toBe(1);
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(update.mock.calls[0][0]).toEqual(
+      expect.objectContaining({ _id: published._id, status: "scheduled" })
+    );
+    expect(record).toHaveBeenCalledTimes(1);
+    expect(record).toHaveBeenCalledWith(
+      expect.objectContaining({
+        gameId: published._id,
+        source: "schedule",
+        before: expect.objectContaining({
+          status: "scheduled",
+          publishAt: publishAt.toISOString(),
+        }),
+        after: expect.objectContaining({
+          status: "published",
+          publishAt: null,
+        }),
+      })
+    );
+  });
+});
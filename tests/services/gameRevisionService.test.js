@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+const Game = require("../../src/models/Game");
+const GameRevision = require("../../src/models/GameRevision");
+const Favorite = require("../../src/models/Favorite");
+const ReviewService = require("../../src/services/reviewService");
+const autocompleteService = require("../../src/services/autocompleteService");
+const GameRevisionService = require("../../src/services/gameRevisionService");
+
+const gameId = new mongoose.Types.ObjectId();
+
+const snapshot = {
+  title: "Purged Game",
+  shortDescription: "Gone for good",
+  genre: ["Puzzle"],
+  platform: ["Web"],
+  releaseDate: "2020-01-01T00:00:00.000Z",
+};
+
+// A query that resolves to value, whatever is chained on it
+const mockQuery = (value) => {
+  const query = {
+    sort: () => query,
+    select: () => query,
+    setOptions: () => query,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return query;
+};
+
+// Restore a purged game from a revision holding the given snapshot
+const restorePurged = async (revisionSnapshot) => {
+  let saved = null;
+  jest
+    .spyOn(GameRevision, "findOne")
+    .mockImplementation((filter) =>
+      mockQuery(
+        filter.rev ? { gameId, rev: 2, snapshot: revisionSnapshot } : null
+      )
+    );
+  jest.spyOn(GameRevision, "create").mockImplementation(async (doc) => doc);
+  jest.spyOn(Game, "findById").mockImplementation(() => mockQuery(saved));
+  jest.spyOn(Game.prototype, "save").mockImplementation(async function () {
+    saved = this;
+    return this;
+  });
+  jest.spyOn(Favorite, "countDocuments").mockResolvedValue(0);
+  jest.spyOn(ReviewService, "updateGameRating").mockResolvedValue();
+  jest.spyOn(autocompleteService, "refresh").mockImplementation(() => {});
+
+  return GameRevisionService.restoreRevision(gameId, 2, null);
+};
+
+describe("GameRevisionService.restoreRevision", () => {
+  it("recreates a purged draft as a draft", async () => {
+    const { game, revision } = await restorePurged({
+      ...snapshot,
+      status: "draft",
+      publishAt: null,
+    });
+
+    expect(game.status).toBe("draft");
+    expect(game.isPublished()).toBe(false);
+    expect(revision.snapshot.status).toBe("draft");
+  });
+
+  it("recreates a scheduled game with its publication date", async () => {
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const { game } = await restorePurged({
+      ...snapshot,
+      status: "scheduled",
+      publishAt,
+    });
+
+    expect(game.status).toBe("scheduled");
+    expect(game.publishAt.toISOString()).toBe(publishAt);
+  });
+
+  it("recreates games from revisions without a status as drafts", async () => {
+    const { game } = await restorePurged(snapshot);
+
+    expect(game.status).toBe("draft");
+  });
+
+  it("dates the publication of a game restored as published", async () => {
+    const { game } = await restorePurged({ ...snapshot, status: "published" });
+
+    expect(game.isPublished()).toBe(true);
+    expect(game.publishedAt).toBeInstanceOf(Date);
+  });
+});
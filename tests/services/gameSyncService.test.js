@@ -0,0 +1,33 @@
+const Game = require("../../src/models/Game");
+const GameRevisionService = require("../../src/services/gameRevisionService");
+const GameSyncService = require("../../src/services/gameSyncService");
+
+// A query that resolves to value, whatever is chained on it
+const mockQuery = (value) => {
+  const query = {
+    setOptions: () => query,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return query;
+};
+
+describe("GameSyncService.upsertGame", () => {
+  it("leaves catalogue entries merged into another game alone", async () => {
+    jest.spyOn(Game, "findOne").mockImplementation(() => mockQuery(null));
+    const exists = jest
+      .spyOn(Game, "exists")
+      .mockImplementation(() => mockQuery({ _id: "canonical" }));
+    const save = jest.spyOn(Game.prototype, "save");
+    const record = jest.spyOn(GameRevisionService, "record");
+
+    const result = await GameSyncService.upsertGame({
+      externalId: "200",
+      title: "Puzzle Game (copy)",
+    });
+
+    expect(result).toBe("unchanged");
+    expect(exists).toHaveBeenCalledWith({ externalIdAliases: "200" });
+    expect(save).not.toHaveBeenCalled();
+    expect(record).not.toHaveBeenCalled();
+  });
+});
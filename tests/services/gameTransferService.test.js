@@ -0,0 +1,50 @@
+const GameTransferService = require("../../src/services/gameTransferService");
+
+const game = {
+  title: '=HYPERLINK("http://evil.example")',
+  shortDescription: "+1 player",
+  minOS: "-- any --",
+  developer: "@dev",
+  publisher: "Publisher",
+  genre: ["Action"],
+  platform: ["PC"],
+  releaseDate: new Date("2020-05-01"),
+};
+
+describe("GameTransferService CSV export", () => {
+  it("quotes cells a spreadsheet would run as formulas", () => {
+    const record = GameTransferService.toExportRecord(game, "csv");
+
+    expect(record).toEqual(
+      expect.arrayContaining([
+        '\'=HYPERLINK("http://evil.example")',
+        "'+1 player",
+        "'-- any --",
+        "'@dev",
+        "Publisher",
+        "2020-05-01",
+      ])
+    );
+  });
+
+  it("leaves JSON lines untouched", () => {
+    const record = GameTransferService.toExportRecord(game, "jsonl");
+
+    expect(record.title).toBe(game.title);
+    expect(record.developer).toBe("@dev");
+  });
+
+  it("imports an exported row with its original text", () => {
+    const [{ record }] = GameTransferService.parseRecords(
+      "title,developer,publisher\n" +
+        '"\'=HYPERLINK(""http://evil.example"")",\'@dev,\'Tis Games\n',
+      "csv"
+    );
+
+    expect(record).toEqual({
+      title: game.title,
+      developer: "@dev",
+      publisher: "'Tis Games",
+    });
+  });
+});
@@ -0,0 +1,4 @@
+// Shared setup for every test file (see jest.config.json)
+process.env.NODE_ENV = "test";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-jwt-secret";
+process.env.JWT_EXPIRE = process.env.JWT_EXPIRE || "15m";
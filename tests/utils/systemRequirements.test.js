@@ -0,0 +1,78 @@
+const {
+  parseOS,
+  checkRequirements,
+} = require("../../src/utils/systemRequirements");
+
+describe("parseOS", () => {
+  it("keeps the lowest of several versions", () => {
+    expect(parseOS("Windows 10/8/7 64-bit")).toEqual([
+      { family: "windows", version: "7" },
+    ]);
+  });
+
+  it("reads versions from every mention of a family", () => {
+    expect(parseOS("Windows 11 / Windows 10")).toEqual([
+      { family: "windows", version: "10" },
+    ]);
+    expect(parseOS("macOS 10.13 or later, OS X 10.9")).toEqual([
+      { family: "macos", version: "10.9" },
+    ]);
+  });
+
+  it("maps named Windows releases", () => {
+    expect(parseOS("Windows XP/Vista/7")).toEqual([
+      { family: "windows", version: "5.1" },
+    ]);
+  });
+
+  it("ignores bit widths and service packs", () => {
+    expect(parseOS("Win10 x64")).toEqual([
+      { family: "windows", version: "10" },
+    ]);
+    expect(parseOS("Windows 7 SP1 64-bit")).toEqual([
+      { family: "windows", version: "7" },
+    ]);
+  });
+
+  it("lists each family once, in the order first named", () => {
+    expect(
+      parseOS("Ubuntu 20.04, SteamOS, Windows 10 / Mac OS X 10.12.6")
+    ).toEqual([
+      { family: "linux", version: null },
+      { family: "windows", version: "10" },
+      { family: "macos", version: "10.12.6" },
+    ]);
+  });
+
+  it("returns nothing without a known system", () => {
+    expect(parseOS("")).toEqual([]);
+    expect(parseOS(null)).toEqual([]);
+  });
+});
+
+describe("checkRequirements", () => {
+  it("passes an OS version the requirement lists as its lowest", () => {
+    const requirements = { os: parseOS("Windows 10/8/7 64-bit") };
+
+    expect(
+      checkRequirements(requirements, {
+        os: { family: "windows", version: "8" },
+      }).os
+    ).toBe("pass");
+  });
+
+  it("fails an older version or another family", () => {
+    const requirements = { os: parseOS("Windows 11 / Windows 10") };
+
+    expect(
+      checkRequirements(requirements, {
+        os: { family: "windows", version: "8.1" },
+      }).os
+    ).toBe("fail");
+    expect(
+      checkRequirements(requirements, {
+        os: { family: "macos", version: "14" },
+      }).os
+    ).toBe("fail");
+  });
+});